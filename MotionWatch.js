@@ -6,18 +6,32 @@
  * 
  * Основные возможности:
  * - Автоматическое или ручное определение видео элемента
+ * - Источник кадров не только <video>: <canvas> (WebRTC/WASM-плееры), <img> с MJPEG-потоком, ImageBitmap через setSource()
+ * - Несколько видео сразу (сетка камер): у каждого свои зоны, порог, тревога и рамка
  * - Детекция движения через сравнение кадров (RGB каналы)
- * - Временная фильтрация шума (медианная фильтрация за 7 кадров)
+ * - Временная фильтрация шума (медианная фильтрация, по умолчанию за 7 кадров)
  * - Порог с гистерезисом для предотвращения ложных срабатываний
- * - Настройка зон контроля (до 12 зон)
+ * - Настройка зон контроля (до 12 зон) со своими названиями, порогами и тревогой у каждой
+ * - Зоны игнора (маски) — исключают метку времени, мигающий светодиод и т.п. из детекции
+ * - Зоны любой формы: прямоугольник, многоугольник или закрашенная кистью область
+ * - Захват вкладки (getDisplayMedia), если пиксели видео закрыты CORS
  * - Автокалибровка порога чувствительности
- * - Визуальная и звуковая тревога
+ * - Визуальная и звуковая тревога, системные уведомления (Notification API), когда вкладка в фоне
+ * - Снимки кадров при тревоге (до/в момент/после) в карточке «История тревог»
+ * - Журнал событий (тревоги, вкл/выкл, калибровка, видео) в IndexedDB с экспортом CSV/JSON
+ * - Архив кадров и клипов тревог в IndexedDB (лимит по МБ и дням) с просмотром после перезагрузки
+ * - Запись WebM-клипов тревоги (от N до 1,5N секунд до и M секунд после) через MediaRecorder
+ * - Профили настроек («день», «ночь») с экспортом и импортом JSON
+ * - Параметры движка (разрешение анализа, фильтр шума, калибровка) меняются на ходу: карточка «Расширенные», configure()
+ * - Автозапуск из userscript (build-userscript.js) с восстановлением охраны после перезагрузки
  * - Перетаскиваемая панель управления
  * 
  * Использование:
  * 1. Скопируйте весь код в консоль браузера
  * 2. Скрипт автоматически найдет видео на странице
  * 3. Используйте панель управления для настройки
+ * Без консоли: node build-userscript.js --match "https://сайт/*" соберёт userscript для Tampermonkey/Violentmonkey
+ * (и закладку с --url); на сайте включите «Автозапуск» в карточке «Охрана и подтверждение»
  * 
  * Горячие клавиши:
  * - 0 или Правый Shift: включить/выключить детектор
@@ -27,6 +41,13 @@
  * - Нажмите кнопку "✕" в панели управления
  * - Или выполните: window.__videoMotionWatch.destroy()
  * 
+ * Подписка на события (вместо опроса debug()):
+ * - const off = window.__videoMotionWatch.on('alarm:start', (e) => console.log(e.dFiltered, e.thr));
+ * - off() или window.__videoMotionWatch.off('alarm:start') — отписаться
+ * - window.__videoMotionWatch.setSource(canvasOrImgOrBitmap) — задать источник кадров вручную, setSource(null) — автовыбор
+ * - window.__videoMotionWatch.configure({ sampleW: 320, sampleH: 180 }) — параметры движка, configure() — прочитать их
+ * - События: alarm:start, alarm:end, video:bound, video:lost, calibration:done, blocked, zones:changed, zones:alarm, clip:saved, schedule:changed, * (все)
+ * 
  * @author Nikolay D
  * @version 21
  */
@@ -39,8 +60,9 @@
   // =========================
   const TARGET_SELECTOR = 'auto'; // '#myVideo' / '.player video' / 'video' / 'auto'
 
-  const SAMPLE_W = 160, SAMPLE_H = 90;
-  const PIXEL_STRIDE = 2;
+  // Параметры движка (разрешение анализа, фильтр шума, калибровка) меняются на ходу — см. ENGINE ниже и applyEngine()
+  let SAMPLE_W = 160, SAMPLE_H = 90;
+  let PIXEL_STRIDE = 2;
 
   const THR = { def: 0.80, min: 0.01, max: 30.0, step: 0.01 };
   const OPA = { def: 0.32, min: 0.05, max: 0.95, step: 0.01 };
@@ -48,9 +70,9 @@
   // громкость для аудио тревоги (0..1)
   const VOL = { def: 0.12, min: 0.01, max: 0.60, step: 0.01 };
 
-  const REF_UPDATE_EVERY = 12;
+  let REF_UPDATE_EVERY = 12;
 
-  // Параметры фильтрации шума (автоматическая адаптация)
+  // Параметры фильтрации шума (автоматическая адаптация); поля меняет applyEngine()
   const NOISE_FILTER = {
     bufferSize: 7,        // размер буфера для временной фильтрации (7 кадров)
     hysteresisRatio: 0.75, // коэффициент гистерезиса (нижний порог = 75% от верхнего)
@@ -60,6 +82,7 @@
   const TOGGLE_CODES = new Set(['Digit0', 'ShiftRight']); // enable/disable
   const CLEAR_CODES  = new Set(['Digit1', 'ShiftLeft']);  // clear alarm
 
+  // Калибровка; samples, trimTop, madK и safety меняет applyEngine()
   const CAL = {
     samples: 260,
     trimTop: 0.10,
@@ -79,9 +102,220 @@
   const ZONES_MAX = 12;
   const ZONE_MIN_PX = 8;      // минимум при рисовании (px на экране)
   const ZONE_MIN_NORM = 0.02; // минимум зоны (в долях)
+  const ZONE_NAME_MAX = 24;   // максимальная длина названия зоны
+  const ZONE_HYST = { min: 0.30, max: 0.98, step: 0.01 }; // допустимый коэффициент гистерезиса зоны
+  const ZONE_NUDGE = { step: 0.005, fast: 0.025 };        // сдвиг зоны стрелками (с Shift — fast), доли кадра
+  const ZONE_NUDGE_SETTLE_MS = 600; // сброс отслеживания — один раз, когда стрелки отпустили на столько мс
+  const ZONE_DRAG_PX = 4;           // мышь ушла меньше — это клик (выбор зоны), а не перенос
+
+  // Формы зон: прямоугольник, многоугольник (клики по вершинам), кисть (закрашенная маска)
+  const ZONE_SHAPES = new Set(['rect', 'poly', 'mask']);
+  const POLY_MAX_POINTS = 64;
+  // Радиус кисти — в долях ширины видео; maxPoints — лимит точек всех мазков одной зоны (размер localStorage)
+  const BRUSH = { def: 0.035, min: 0.01, max: 0.15, step: 0.005, maxPoints: 600 };
+  // Версия формата зон в localStorage: v1 — просто массив прямоугольников, v2 — { v: 2, zones: [...] } с формами
+  const ZONES_VERSION = 2;
+
+  // Постановка на охрану и правила тревоги (поверх медианного фильтра и гистерезиса зон)
+  const ARM = {
+    exitDelay:     { def: 0, min: 0, max: 120,  step: 5,   label: 'Задержка на выход',      unit: 'с' },
+    confirmMs:     { def: 0, min: 0, max: 3000, step: 100, label: 'Подтверждение, время',   unit: 'мс' },
+    confirmFrames: { def: 1, min: 1, max: 30,   step: 1,   label: 'Подтверждение, кадров',  unit: 'кадр.' },
+    holdSec:       { def: 0, min: 0, max: 30,   step: 1,   label: 'Мин. длительность тревоги', unit: 'с' },
+    cooldownSec:   { def: 0, min: 0, max: 120,  step: 5,   label: 'Пауза после тревоги',    unit: 'с' },
+  };
+
+  // Расширенные параметры движка (карточка «Расширенные», configure()); def — начальные значения переменных выше.
+  // Разрешение анализа и буфер фильтра пересобирают canvas и отслеживание (см. applyEngine)
+  const ENGINE = {
+    sampleW:         { def: 160,  min: 64,   max: 640,  step: 16,   label: 'Ширина кадра анализа',  unit: 'px' },
+    sampleH:         { def: 90,   min: 36,   max: 360,  step: 2,    label: 'Высота кадра анализа',  unit: 'px' },
+    pixelStride:     { def: 2,    min: 1,    max: 8,    step: 1,    label: 'Шаг пикселей',          unit: 'px' },
+    refUpdateEvery:  { def: 12,   min: 1,    max: 300,  step: 1,    label: 'Обновление опорного кадра', unit: 'кадр.' },
+    bufferSize:      { def: 7,    min: 1,    max: 31,   step: 1,    label: 'Буфер фильтра шума',    unit: 'кадр.' },
+    hysteresisRatio: { def: 0.75, min: 0.30, max: 0.98, step: 0.01, label: 'Гистерезис',            unit: '×' },
+    calSamples:      { def: 260,  min: 60,   max: 2000, step: 20,   label: 'Калибровка, кадров',    unit: 'кадр.' },
+    calTrimTop:      { def: 0.10, min: 0,    max: 0.5,  step: 0.01, label: 'Калибровка, отброс выбросов', unit: '×' },
+    calMadK:         { def: 6,    min: 1,    max: 20,   step: 0.5,  label: 'Калибровка, запас по MAD', unit: '×' },
+    calSafety:       { def: 1.15, min: 1,    max: 3,    step: 0.05, label: 'Калибровка, множитель порога', unit: '×' },
+  };
+
+  // Охрана по расписанию: окна «с-по» на каждый день недели, в минутах от полуночи (окно с > по идёт через полночь)
+  const SCHEDULE = {
+    days: ['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Вс'],
+    maxWindows: 6,
+    // по умолчанию: в будни — ночь и вечер (нерабочее время), в выходные — весь день
+    def: [
+      [[0, 480], [1080, 1440]], [[0, 480], [1080, 1440]], [[0, 480], [1080, 1440]],
+      [[0, 480], [1080, 1440]], [[0, 480], [1080, 1440]], [[0, 1440]], [[0, 1440]],
+    ],
+  };
 
   const ACTIVE_HIGHLIGHT_ENABLED = true;
 
+  // Снимки кадров при тревоге (хранятся только в памяти вкладки)
+  const SNAP = {
+    max: 18,             // размер кольцевого буфера (старые снимки вытесняются)
+    preEveryMs: 700,     // как часто обновлять кадр «до тревоги»
+    postDelayMs: 1000,   // через сколько мс после начала тревоги снять кадр «после»
+    thumbH: 64,          // высота миниатюры в панели (px)
+  };
+
+  // Системные уведомления о тревоге (Notification API), когда вкладка в фоне
+  const NOTIFY = {
+    minGapMs: 30000,     // не чаще одного уведомления за 30 с (мигающая тревога не засыпает уведомлениями)
+    imageW: 360,         // ширина кадра тревоги в уведомлении (px)
+    quality: 0.8,        // качество JPEG этого кадра
+    tag: 'motionwatch-alarm', // новое уведомление заменяет прежнее, а не копится стопкой
+  };
+
+  // HTTP-запрос (webhook) на начало и конец тревоги
+  const WEBHOOK = {
+    methods: ['POST', 'PUT'],
+    timeoutMs: 8000,     // нет ответа за это время — попытка неудачна
+    retry: { baseMs: 2000, maxMs: 60000, max: 6 }, // паузы 2, 4, 8… с (не больше минуты), всего до 6 попыток
+    queueMax: 50,        // запросов в очереди, старше — выбрасываются
+    logMax: 30,          // строк журнала доставки
+    imageW: 640,         // ширина кадра в base64 (px)
+    quality: 0.75,       // качество JPEG этого кадра
+  };
+
+  // Связь между вкладками (BroadcastChannel / postMessage)
+  const BRIDGE = {
+    channel: 'motionwatch', // общий канал всех экземпляров на одном сайте
+    proto: 1,               // версия формата сообщений (поле mw)
+    statusMs: 1000,         // как часто слать своё состояние
+    staleMs: 5000,          // молчит дольше — считаем вкладку закрытой
+  };
+
+  // Несколько видео на странице (сетка камер): каждое отслеживается отдельно — см. CHANNELS
+  const MULTI = {
+    max: 16,             // сколько видео страницы (см. Sources) брать под наблюдение
+    slots: 64,           // сколько наборов зон и порога помнить за видео (S.multi.src)
+    idleMs: 40,          // пауза цикла, если основное видео стоит, а остальные смотреть нужно
+  };
+
+  // Источники кадров, кроме <video>: <canvas> (WebRTC/WASM-плееры), <img> с MJPEG-потоком, ImageBitmap (через setSource)
+  const SOURCE = {
+    selector: 'video, canvas, img', // что считается источником (пипетка, автовыбор, несколько видео)
+    pollMs: 100,                    // без requestVideoFrameCallback кадр берём раз в pollMs
+    minW: 160, minH: 90,            // <canvas>/<img> меньше этого на экране — значки и кнопки, не камера
+    keyMax: 300,                    // длина метки источника (sourceKey) в localStorage
+    rescanMs: 2000,                 // список источников (Sources) пересобирается не реже, даже без изменений DOM
+  };
+
+  // Захват вкладки (getDisplayMedia), когда пиксели видео закрыты CORS — см. TAB CAPTURE
+  const CAPTURE = {
+    fps: 15,             // частота кадров потока захвата
+    maskColor: '#808080', // чем закрашивается место панели и мини-панели в кадре захвата
+  };
+
+  // Профили настроек (наборы «день», «ночь», перенос на другой компьютер) — см. PROFILES
+  const PROFILE = {
+    format: 'motionwatch-profile', // поле format в JSON экспорта
+    version: 2,                    // версия формата (поле v); профили новее не принимаем. v2 — поле engine
+    max: 20,                       // сколько профилей хранить
+    nameMax: 40,
+    maxBytes: 1024 * 1024,         // больше — не профиль (зоны-кисти самые тяжёлые, и те меньше)
+  };
+
+  // Архив тревог: кадры и клипы в IndexedDB, переживают перезагрузку — см. ARCHIVE
+  const ARCHIVE = {
+    maxMB:   { def: 200, min: 20, max: 4000, step: 20 }, // предел размера архива; сверх — удаляются самые старые
+    maxDays: { def: 14,  min: 1,  max: 365,  step: 1 },  // файлы старше удаляются
+    show: 60,            // строк в карточке (новые сверху)
+    thumbH: 40,          // высота миниатюры кадра в списке (px)
+    filters: { all: 'Все', snap: 'Кадры', clip: 'Клипы' },
+  };
+
+  // Журнал событий (тревоги, вкл/выкл, калибровка, видео) — хранится в IndexedDB, см. STORAGE и JOURNAL
+  const JOURNAL = {
+    days: { def: 30, min: 1, max: 365, step: 1 }, // сколько дней хранить записи
+    maxItems: 5000,      // больше — старые удаляются раньше срока
+    show: 200,           // строк в карточке (остальные — только в экспорте)
+    format: 'motionwatch-journal', // поле format в JSON экспорта
+    // фильтры карточки: ключ → подпись (power — включение и выключение)
+    filters: { all: 'Все', alarm: 'Тревоги', power: 'Вкл/выкл', calibration: 'Калибровка', video: 'Видео' },
+  };
+
+  // Точки состояния видео в карточке «Несколько видео»
+  const VIDEO_DOT = {
+    on:      'rgba(80,160,255,1)',   // на охране
+    alarm:   'rgba(255,60,60,1)',    // тревога
+    wait:    'rgba(160,160,160,1)',  // нет кадров (пауза, загрузка) или вне расписания
+    off:     'rgba(160,160,160,.35)',// не отслеживается
+    blocked: 'rgba(255,170,40,1)',   // canvas заблокирован (CORS)
+  };
+
+  // Запись видеоклипов тревоги (MediaRecorder)
+  const REC = {
+    pre:  { def: 5, min: 2, max: 20, step: 1 }, // секунд до тревоги (pre-roll, не меньше; до 1,5 раза больше)
+    post: { def: 5, min: 1, max: 30, step: 1 }, // секунд после начала тревоги
+    maxClips: 6,        // сколько клипов держать в памяти
+    extendMaxSec: 60,   // сколько секунд после первой тревоги клип ещё продлевается новыми; дальше — новый клип
+    buffers: 3,         // буферных сессий: новая каждые N/2 секунд, самая старая начата N…1,5N секунд назад
+    maxEncoders: 3,     // одновременных MediaRecorder: буферные сессии, пока пишется клип — на одну меньше
+    timesliceMs: 1000,  // как часто MediaRecorder отдаёт кусок записи
+    canvasFps: 15,      // FPS запасного canvas-потока
+  };
+
+  // Компенсация освещения: нормировка яркости/контраста кадра и распознавание равномерной смены света
+  const LIGHT = {
+    mean: 128, std: 48,           // к этим средней и СКО яркости приводится каждый кадр
+    minStd: 6,                    // СКО почти однотонного кадра не раздуваем (шум)
+    maxGain: 4,                   // предел усиления контраста
+    grid: { cols: 16, rows: 9 },  // сетка ячеек для проверки «поменялось всё сразу»
+    cellDelta: 8,                 // на сколько должна измениться яркость ячейки (0…255)
+    uniformShare: 0.7,            // доля ячеек, изменившихся в одну сторону, — это смена освещения
+    holdMs: 1500,                 // сколько после смены освещения не поднимать новую тревогу
+  };
+
+  // Модель фона: опорный кадр раз в REF_UPDATE_EVERY кадров (ref) или бегущие среднее/дисперсия пикселя (gauss)
+  const BG = {
+    rate: { def: 0.02, min: 0.002, max: 0.2, step: 0.001 }, // скорость обучения фона (доля за кадр)
+    fgPct: { def: 2, min: 0.1, max: 50, step: 0.1 },         // порог тревоги: доля пикселей переднего плана, % зоны
+    fgSlow: 0.1,      // во сколько раз медленнее учатся пиксели переднего плана
+    k: 2.5,           // порог переднего плана, в сигмах
+    minDiff: 12,      // и не меньше этой разницы яркости (0…255)
+    initVar: 100,     // начальная дисперсия (σ = 10)
+    minVar: 16,       // σ не меньше 4 — иначе шум камеры на статичной картинке станет передним планом
+    maxVar: 2500,     // σ не больше 50
+    warmup: 15,       // кадров на обучение фона после сброса
+  };
+  const BG_MODELS = new Set(['ref', 'gauss']);
+
+  // Детектор «объекты»: пятна изменившихся блоков вместо средней разницы по зоне
+  const BLOB = {
+    block: 4,                                            // блок 4×4 пикселя кадра анализа (160×90 → 40×23 блока)
+    pixThr:  { def: 20, min: 4, max: 120, step: 1 },     // порог разницы блока (0…255)
+    minArea: { def: 1.5, min: 0.1, max: 50, step: 0.1 }, // минимальная площадь пятна для тревоги, % зоны
+    maxBoxes: 8,                                         // сколько рамок пятен рисовать поверх видео
+  };
+  const DETECTORS = new Set(['avg', 'blob']);
+
+  const BLOB_STYLE = {
+    border: 'rgba(255,215,80,.95)', // пятно меньше минимальной площади
+    hit:    'rgba(255,70,70,.98)',  // пятно, которое вызывает тревогу
+  };
+
+  // График разницы в карточке «Чувствительность»
+  const CHART = {
+    h: 84,                                          // высота холста (CSS px)
+    sec: { def: 60, min: 30, max: 120, list: [30, 60, 120] }, // окно графика (секунд)
+  };
+
+  // Тепловая карта движения (сетка ячеек поверх видео)
+  const HEAT = {
+    cell: 5,            // ячейка — 5×5 пикселей кадра анализа (160×90 → 32×18 ячеек)
+    liveDecay: 0.80,    // затухание следа в режиме «сейчас» (за кадр)
+    scale: 40,          // разница ячейки, которой соответствует самый «горячий» цвет в режиме «сейчас»
+    accFloor: 3,        // минимум нормировки накопленной карты (чтобы шум не становился красным)
+    bucketMs: 60000,    // накопление — поминутными корзинами
+    minutes: { def: 10, min: 1, max: 60, step: 1 }, // окно накопленной карты (минут)
+    opacity: 0.55,
+  };
+  const HEAT_MODES = new Set(['off', 'live', 'acc']);
+
   const ACTIVE_BLUE = {
     border: 'rgba(80,160,255,.70)',
     glow1: 'rgba(80,160,255,.16)',
@@ -93,12 +327,31 @@
     border: 'rgba(120,200,255,.90)',
     fill:   'rgba(120,200,255,.06)',
     glow:   'rgba(120,200,255,.14)',
+    paint:  'rgba(120,200,255,.22)', // заливка многоугольника/кисти
+  };
+
+  // Зона игнора: серая пунктирная рамка со штриховкой (эти пиксели не участвуют в детекции)
+  const IGNORE_STYLE = {
+    border: 'rgba(210,210,210,.85)',
+    fill:   'repeating-linear-gradient(45deg, rgba(0,0,0,.30) 0 6px, rgba(255,255,255,.08) 6px 12px)',
+    glow:   'rgba(0,0,0,.18)',
+    paint:  'rgba(150,150,150,.40)',
+  };
+
+  // Зона в тревоге (рамка и бейдж краснеют)
+  const ZONE_ALARM_STYLE = {
+    border: 'rgba(255,90,90,.95)',
+    fill:   'rgba(255,60,60,.10)',
+    glow:   'rgba(255,60,60,.22)',
+    badge:  'rgba(200,30,30,.80)',
+    paint:  'rgba(255,60,60,.30)',
   };
 
   const DRAW_STYLE = {
     border: 'rgba(160,240,255,1)',
     fill:   'rgba(160,240,255,.09)',
     glow:   'rgba(160,240,255,.20)',
+    paint:  'rgba(160,240,255,.35)',
   };
 
   const NS = `__motionwatch_v21_ru::${location.hostname}::${TARGET_SELECTOR}`;
@@ -106,10 +359,37 @@
     thr:      `${NS}::thr`,
     opa:      `${NS}::opa`,
     vol:      `${NS}::vol`,
-    alarmMod: `${NS}::alarmMode`, // visual | audio | both
+    alarmMod: `${NS}::alarmMode`, // visual | audio | both | notify | all
     min:      `${NS}::min`,
     zones:    `${NS}::zones`,
+    drawShape: `${NS}::drawShape`, // форма новой зоны: rect | poly | mask
     pos:      `${NS}::pos`,       // ✅ позиция панели
+    snapExtra: `${NS}::snapExtra`, // снимать кадры до/после тревоги (1/0)
+    rec:      `${NS}::rec`,       // запись клипов (1/0)
+    recPre:   `${NS}::recPre`,
+    recPost:  `${NS}::recPost`,
+    heatMode: `${NS}::heatMode`,  // тепловая карта: off | live | acc
+    heatMin:  `${NS}::heatMin`,   // окно накопленной карты (минут)
+    chartSec: `${NS}::chartSec`,  // окно графика разницы (секунд)
+    detector: `${NS}::detector`,  // avg | blob
+    blobPix:  `${NS}::blobPix`,
+    blobArea: `${NS}::blobArea`,
+    lightComp: `${NS}::lightComp`, // компенсация освещения (1/0)
+    bgModel:  `${NS}::bgModel`,   // модель фона: ref | gauss
+    bgRate:   `${NS}::bgRate`,
+    bgFg:     `${NS}::bgFg`,      // порог переднего плана адаптивного фона (% зоны)
+    schedule: `${NS}::schedule`,  // { on, days } — общее расписание охраны
+    bridge:   `${NS}::bridge`,    // связь с другими вкладками (1/0)
+    bridgeOrigins: `${NS}::bridgeOrigins`, // [origin] — чужие сайты, которым можно postMessage (пульт)
+    hook:     `${NS}::webhook`,   // { on, url, method, headers, template, snapshot }
+    arm:      `${NS}::arm`,       // { exitDelay, confirmMs, confirmFrames, holdSec, cooldownSec }
+    multi:    `${NS}::multi`,     // { on, off: [номера видео, которые не отслеживать], src: { номер набора зон и порога: sourceKey видео }, pick: [sourceKey выбранных <canvas>/<img>] }
+    profiles: `${NS}::profiles`,  // { active, items: [{ name, settings }] }
+    engine:   `${NS}::engine`,    // { sampleW, sampleH, …, useMedian } — см. ENGINE
+    journalDays: `${NS}::journalDays`, // срок хранения журнала событий (дней)
+    archive:  `${NS}::archive`,   // { on, maxMB, maxDays } — архив тревог в IndexedDB
+    autoStart: `${NS}::autoStart`, // автозапуск из userscript и восстановление охраны (1/0)
+    armed:    `${NS}::armed`,     // последнее состояние вкл/выкл детектора (1/0) — для автозапуска
   };
 
   // =========================
@@ -129,6 +409,14 @@
     return el;
   };
   
+  // Создание SVG-элемента (обычный createElement для SVG не работает — нужен namespace)
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const svgEl = (tag, attrs = {}) => {
+    const el = document.createElementNS(SVG_NS, tag);
+    for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, String(v));
+    return el;
+  };
+  
   // Создание слайдера с общими настройками
   const createSlider = (min, max, step, value) => {
     const slider = createEl('input', { width: '100%', accentColor: 'rgba(255,255,255,.75)' });
@@ -140,6 +428,25 @@
     return slider;
   };
   
+  // Создание поля ввода (текст/число) в стиле панели
+  const createInput = (type, value = '', styles = {}) => {
+    const input = createEl('input', {
+      boxSizing: 'border-box',
+      width: '100%',
+      height: '24px',
+      padding: '0 6px',
+      borderRadius: '8px',
+      border: '1px solid rgba(255,255,255,.14)',
+      background: 'rgba(0,0,0,.22)',
+      color: '#fff',
+      font: 'inherit',
+      ...styles
+    });
+    input.type = type;
+    input.value = String(value ?? '');
+    return input;
+  };
+  
   // Создание чипа (chip элемента)
   const createChip = (text, minWidth = '78px') => {
     return createEl('span', {
@@ -182,12 +489,84 @@
   const clampThr = (v) => clamp(quant(Number(v) || 0, THR.step), THR.min, THR.max);
   const clampOpa = (v) => clamp(quant(Number(v) || 0, OPA.step), OPA.min, OPA.max);
   const clampVol = (v) => clamp(quant(Number(v) || 0, VOL.step), VOL.min, VOL.max);
+  const clampHyst = (v) => clamp(quant(Number(v) || 0, ZONE_HYST.step), ZONE_HYST.min, ZONE_HYST.max);
+  const clampRecPre  = (v) => clamp(quant(Number(v) || 0, REC.pre.step),  REC.pre.min,  REC.pre.max);
+  const clampRecPost = (v) => clamp(quant(Number(v) || 0, REC.post.step), REC.post.min, REC.post.max);
+  const clampHeatMin = (v) => clamp(quant(Number(v) || 0, HEAT.minutes.step), HEAT.minutes.min, HEAT.minutes.max);
+  const clampBlobPix  = (v) => clamp(quant(Number(v) || 0, BLOB.pixThr.step), BLOB.pixThr.min, BLOB.pixThr.max);
+  const clampBlobArea = (v) => clamp(quant(Number(v) || 0, BLOB.minArea.step), BLOB.minArea.min, BLOB.minArea.max);
+  const clampBgRate = (v) => clamp(quant(Number(v) || 0, BG.rate.step), BG.rate.min, BG.rate.max);
+  const clampBgFg = (v) => clamp(quant(Number(v) || 0, BG.fgPct.step), BG.fgPct.min, BG.fgPct.max);
+  const clampArm = (key, v) => clamp(quant(Number(v) || 0, ARM[key].step), ARM[key].min, ARM[key].max);
+  const sanitizeArm = (o) => Object.fromEntries(Object.keys(ARM).map(k => [k, clampArm(k, o?.[k] ?? ARM[k].def)]));
+
+  const clampEngine = (key, v) => {
+    const cfg = ENGINE[key];
+    // шаг отсчитывается от min (ширина 64, 80, 96…), округление убирает хвосты 0.1+0.2
+    const n = cfg.min + quant((Number(v) || 0) - cfg.min, cfg.step);
+    return clamp(Math.round(n * 1000) / 1000, cfg.min, cfg.max);
+  };
+  const sanitizeEngine = (o) => ({
+    ...Object.fromEntries(Object.keys(ENGINE).map(k => [k, clampEngine(k, o?.[k] ?? ENGINE[k].def)])),
+    useMedian: typeof o?.useMedian === 'boolean' ? o.useMedian : true,
+  });
+
+  // Переносит параметры движка в рабочие переменные и объекты NOISE_FILTER/CAL
+  function setEngineVars(e) {
+    SAMPLE_W = e.sampleW;
+    SAMPLE_H = e.sampleH;
+    PIXEL_STRIDE = e.pixelStride;
+    REF_UPDATE_EVERY = e.refUpdateEvery;
+    NOISE_FILTER.bufferSize = e.bufferSize;
+    NOISE_FILTER.hysteresisRatio = e.hysteresisRatio;
+    NOISE_FILTER.useMedian = e.useMedian;
+    CAL.samples = e.calSamples;
+    CAL.trimTop = e.calTrimTop;
+    CAL.madK = e.calMadK;
+    CAL.safety = e.calSafety;
+  }
+
+  const sanitizeHook = (o) => ({
+    on: !!o?.on,
+    url: String(o?.url ?? '').trim(),
+    method: WEBHOOK.methods.includes(o?.method) ? o.method : 'POST',
+    headers: String(o?.headers ?? ''),
+    template: String(o?.template ?? ''),
+    snapshot: !!o?.snapshot,
+  });
+  // 'https://site.example/path' → 'https://site.example'; не http(s) или не адрес — null
+  const toOrigin = (s) => {
+    try {
+      const u = new URL(String(s));
+      return /^https?:$/.test(u.protocol) ? u.origin : null;
+    } catch {
+      return null;
+    }
+  };
+  const sanitizeBridgeOrigins = (list) => [...new Set((Array.isArray(list) ? list : []).map(toOrigin).filter(Boolean))];
+  const sanitizeMulti = (o) => ({
+    on: !!o?.on,
+    off: new Set((Array.isArray(o?.off) ? o.off : []).filter(i => Number.isInteger(i) && i >= 0 && i < MULTI.max)),
+    src: Object.fromEntries(Object.entries(o?.src && typeof o.src === 'object' ? o.src : {})
+      .filter(([n, key]) => /^\d+$/.test(n) && Number(n) < MULTI.slots && typeof key === 'string' && key)),
+    pick: (Array.isArray(o?.pick) ? o.pick : []).filter(key => typeof key === 'string' && key).slice(-MULTI.max),
+  });
+  const clampArchive = (key, v) => clamp(quant(Number(v) || 0, ARCHIVE[key].step), ARCHIVE[key].min, ARCHIVE[key].max);
+  const sanitizeArchive = (o) => ({
+    on: typeof o?.on === 'boolean' ? o.on : true,
+    maxMB: clampArchive('maxMB', o?.maxMB ?? ARCHIVE.maxMB.def),
+    maxDays: clampArchive('maxDays', o?.maxDays ?? ARCHIVE.maxDays.def),
+  });
+  const clampJournalDays = (v) => clamp(quant(Number(v) || 0, JOURNAL.days.step), JOURNAL.days.min, JOURNAL.days.max);
 
   const isTypingTarget = (t) =>
     t && (t.tagName === 'INPUT' || t.tagName === 'TEXTAREA' || t.isContentEditable);
 
   const getLSNum = (k, fallback) => {
-    const x = Number(localStorage.getItem(k));
+    const raw = localStorage.getItem(k);
+    // Number(null) === 0: без этой проверки отсутствующий ключ давал 0 вместо значения по умолчанию
+    if (raw === null || raw === '') return fallback;
+    const x = Number(raw);
     return Number.isFinite(x) ? x : fallback;
   };
 
@@ -251,9 +630,57 @@
 
   const isFiniteNum = (x) => Number.isFinite(x) && !Number.isNaN(x);
 
-  const alarmModeNormalize = (m) => (m === 'visual' || m === 'audio' || m === 'both') ? m : 'both';
-  const alarmHasVisual = (m) => m === 'visual' || m === 'both';
-  const alarmHasAudio  = (m) => m === 'audio'  || m === 'both';
+  // Время для имени файла: 20240131-235959
+  const fileStamp = (ts) => {
+    const d = new Date(ts);
+    const p2 = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}${p2(d.getMonth() + 1)}${p2(d.getDate())}-${p2(d.getHours())}${p2(d.getMinutes())}${p2(d.getSeconds())}`;
+  };
+
+  // Скачивание Blob как файла через временную ссылку <a download>
+  const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const a = createEl('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    // даём браузеру начать скачивание, затем освобождаем память
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  // Уменьшенная (до maxW px по ширине) JPEG-копия canvas как data: URL; null — пусто или canvas заблокирован CORS
+  const scaledJpeg = (cvs, maxW, quality) => {
+    if (!cvs?.width || !cvs?.height) return null;
+    try {
+      const k = Math.min(1, maxW / cvs.width);
+      const c = document.createElement('canvas');
+      c.width = Math.round(cvs.width * k);
+      c.height = Math.round(cvs.height * k);
+      c.getContext('2d').drawImage(cvs, 0, 0, c.width, c.height);
+      return c.toDataURL('image/jpeg', quality);
+    } catch {
+      return null;
+    }
+  };
+
+  // Promise-обёртка над canvas.toBlob (кидает ошибку, если canvas «испорчен» CORS)
+  const canvasToBlob = (cvs, type = 'image/png', quality) => new Promise((resolve, reject) => {
+    try {
+      cvs.toBlob((b) => b ? resolve(b) : reject(new Error('toBlob вернул пустой результат')), type, quality);
+    } catch (err) {
+      reject(err);
+    }
+  });
+
+  // Режимы тревоги: visual — красный фон, audio — звук, both — фон + звук,
+  // notify — системное уведомление, all — фон + звук + уведомление
+  const ALARM_MODES = new Set(['visual', 'audio', 'both', 'notify', 'all']);
+  const alarmModeNormalize = (m) => ALARM_MODES.has(m) ? m : 'both';
+  const alarmHasVisual = (m) => m === 'visual' || m === 'both' || m === 'all';
+  const alarmHasAudio  = (m) => m === 'audio'  || m === 'both' || m === 'all';
+  const alarmHasNotify = (m) => m === 'notify' || m === 'all';
 
   // =========================
   // AUDIO (beep on alarm)
@@ -323,6 +750,152 @@
     }
   };
 
+  // =========================
+  // NOTIFY (системные уведомления)
+  // =========================
+  // Канал тревоги для вкладки в фоне: Notification API со снимком тревоги, зонами и временем.
+  // Не чаще NOTIFY.minGapMs; тревоги между уведомлениями считаются и попадают в текст следующего.
+  const Notifier = {
+    last: null,     // последнее показанное уведомление (закрываем при destroy)
+    lastTs: 0,      // Date.now() последнего уведомления о тревоге
+    skipped: 0,     // тревог, пропущенных ограничением частоты
+
+    supported: () => typeof window.Notification === 'function',
+
+    permission() {
+      return this.supported() ? Notification.permission : 'unsupported';
+    },
+
+    // Разрешение можно запросить только из обработчика клика — иначе браузер откажет молча
+    async ensurePermission() {
+      if (!this.supported()) return 'unsupported';
+      if (Notification.permission === 'default') {
+        try { await Notification.requestPermission(); } catch {}
+      }
+      return Notification.permission;
+    },
+
+    // Уменьшенный кадр для icon/image. data: URL, а не blob: — blob-картинки в уведомлениях показываются не везде.
+    // Canvas заблокирован CORS — уведомление уйдёт без картинки
+    thumb(cvs) {
+      return scaledJpeg(cvs, NOTIFY.imageW, NOTIFY.quality);
+    },
+
+    // Вызывается из showAlarm(); frame — canvas кадра тревоги в полном разрешении (или null)
+    onAlarmStart(frame) {
+      if (!alarmHasNotify(S.alarmMode) || this.permission() !== 'granted') return;
+      // вкладка на виду и в фокусе — хватает панели (и красного фона/звука, если включены)
+      if (document.visibilityState === 'visible' && document.hasFocus()) return;
+
+      const now = Date.now();
+      if (now - this.lastTs < NOTIFY.minGapMs) {
+        this.skipped++;
+        return;
+      }
+
+      const zones = describeZones(S.alarmZones).map(z => z.name).join(', ');
+      const more = this.skipped ? `\nи ещё тревог с прошлого уведомления: ${this.skipped}` : '';
+      this.show(
+        `Тревога: ${zones || 'движение'}`,
+        `${new Date(now).toLocaleString()} • ${location.hostname}${more}`,
+        this.thumb(frame)
+      );
+      this.lastTs = now;
+      this.skipped = 0;
+    },
+
+    // Клик по уведомлению возвращает к вкладке с детектором
+    show(title, body, image = null) {
+      try {
+        this.last?.close();
+        const n = new Notification(title, {
+          body,
+          tag: NOTIFY.tag,
+          renotify: true,
+          ...(image ? { icon: image, image } : {}),
+        });
+        n.onclick = () => {
+          window.focus();
+          n.close();
+        };
+        this.last = n;
+      } catch (err) {
+        // например, Chrome на Android: уведомления только через service worker
+        console.warn('[MotionWatch] не удалось показать уведомление:', err);
+      }
+    },
+
+    destroy() {
+      try { this.last?.close(); } catch {}
+      this.last = null;
+    }
+  };
+
+  // =========================
+  // EVENT BUS (подписки на события)
+  // =========================
+  // Позволяет внешним скриптам реагировать на тревогу без опроса debug():
+  //   window.__videoMotionWatch.on('alarm:start', (e) => console.log(e.dFiltered));
+  // Список событий — в EVENT_TYPES. Обработчик получает объект события
+  // (см. eventPayload ниже) с полями type, ts, d, dPrev, dRef, dFiltered, thr и т.д.
+  const EVENT_TYPES = new Set([
+    'alarm:start',      // тревога включилась
+    'alarm:end',        // тревога выключилась (сама или сброшена)
+    'video:bound',      // привязались к <video>
+    'video:lost',       // прежнее <video> пропало/сменилось
+    'calibration:done', // автокалибровка завершилась (успешно или нет)
+    'blocked',          // canvas заблокирован (CORS/tainted)
+    'zones:changed',    // зоны сохранены (добавлены/удалены/очищены)
+    'clip:saved',       // записан клип тревоги (WebM)
+    'zones:alarm',      // изменился набор зон в тревоге
+    'schedule:changed', // детектор встал на охрану / снят с охраны по расписанию
+  ]);
+
+  const Events = {
+    handlers: new Map(), // type -> Set(handler)
+
+    on(type, handler) {
+      if (!EVENT_TYPES.has(type) && type !== '*') {
+        console.warn(`[MotionWatch] неизвестное событие "${type}". Доступны: ${[...EVENT_TYPES].join(', ')}, *`);
+      }
+      if (typeof handler !== 'function') return () => {};
+      if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+      this.handlers.get(type).add(handler);
+      // Возвращаем функцию отписки — удобно, чтобы не хранить ссылку на handler
+      return () => this.off(type, handler);
+    },
+
+    // off(type, handler) — снять один обработчик
+    // off(type)          — снять все обработчики события
+    // off()              — снять вообще все
+    off(type, handler) {
+      if (type === undefined) { this.handlers.clear(); return; }
+      const set = this.handlers.get(type);
+      if (!set) return;
+      if (handler === undefined) set.clear();
+      else set.delete(handler);
+      if (!set.size) this.handlers.delete(type);
+    },
+
+    emit(type, payload) {
+      const evt = { type, ...payload };
+      // '*' — подписка на все события сразу
+      for (const key of [type, '*']) {
+        const set = this.handlers.get(key);
+        if (!set) continue;
+        // копия множества: обработчик может отписаться прямо во время вызова
+        for (const h of [...set]) {
+          // ошибка в чужом обработчике не должна ронять цикл детектора
+          try { h(evt); } catch (err) { console.error(`[MotionWatch] ошибка в обработчике "${type}":`, err); }
+        }
+      }
+    },
+
+    destroy() {
+      this.handlers.clear();
+    }
+  };
+
   // =========================
   // UI
   // =========================
@@ -404,6 +977,16 @@
     });
     document.body.appendChild(zonesLayer);
 
+    // Рамки пятен детектора «объекты»
+    const blobLayer = document.createElement('div');
+    Object.assign(blobLayer.style, {
+      position: 'fixed',
+      inset: '0',
+      zIndex: '1000001',
+      pointerEvents: 'none',
+    });
+    document.body.appendChild(blobLayer);
+
     const drawBox = document.createElement('div');
     Object.assign(drawBox.style, {
       position: 'fixed',
@@ -418,6 +1001,32 @@
     });
     document.body.appendChild(drawBox);
 
+    // Тепловая карта: маленький canvas (ячейка = пиксель), растянутый на видео
+    const heatCanvas = document.createElement('canvas');
+    Object.assign(heatCanvas.style, {
+      position: 'fixed',
+      left: '0',
+      top: '0',
+      display: 'none',
+      zIndex: '1000000',
+      pointerEvents: 'none',
+      opacity: String(HEAT.opacity),
+      transform: 'translate(-99999px, -99999px)',
+    });
+    document.body.appendChild(heatCanvas);
+
+    // Предпросмотр многоугольника/кисти во время рисования (координаты — пиксели экрана)
+    const drawSvg = svgEl('svg', { width: '100%', height: '100%' });
+    Object.assign(drawSvg.style, {
+      position: 'fixed',
+      inset: '0',
+      display: 'none',
+      zIndex: '1000002',
+      pointerEvents: 'none',
+      overflow: 'visible',
+    });
+    document.body.appendChild(drawSvg);
+
     const pickBox = document.createElement('div');
     Object.assign(pickBox.style, {
       position: 'fixed',
@@ -432,6 +1041,37 @@
     });
     document.body.appendChild(pickBox);
 
+    // Меню зоны в режиме редактирования (правый клик по зоне): название, вкл/выкл, удалить
+    const zoneMenu = createEl('div', {
+      position: 'fixed',
+      display: 'none',
+      zIndex: '1000004',
+      width: '190px',
+      padding: '8px',
+      borderRadius: '12px',
+      color: '#fff',
+      font: '11.5px/1.35 system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif',
+      background: 'rgba(18,18,18,.88)',
+      backdropFilter: 'blur(10px)',
+      boxShadow: '0 10px 30px rgba(0,0,0,.30)',
+      border: '1px solid rgba(255,255,255,.12)',
+    });
+    const zoneMenuTitle = createEl('div', { fontWeight: '650', marginBottom: '6px', opacity: '.9' });
+    const zoneMenuName = createInput('text', '', { marginBottom: '6px' });
+    zoneMenuName.maxLength = ZONE_NAME_MAX;
+    zoneMenuName.placeholder = 'Название';
+    const zoneMenuRow = createEl('div', { display: 'flex', gap: '6px' });
+    const btnZoneMenuToggle = mkBtn('Выключить', 'Включить/выключить зону');
+    const btnZoneMenuDelete = mkBtn('Удалить', 'Удалить зону (Delete)');
+    btnZoneMenuToggle.style.flex = '1 1 auto';
+    btnZoneMenuDelete.style.flex = '1 1 auto';
+    zoneMenuRow.appendChild(btnZoneMenuToggle);
+    zoneMenuRow.appendChild(btnZoneMenuDelete);
+    zoneMenu.appendChild(zoneMenuTitle);
+    zoneMenu.appendChild(zoneMenuName);
+    zoneMenu.appendChild(zoneMenuRow);
+    document.body.appendChild(zoneMenu);
+
     const panel = document.createElement('div');
     Object.assign(panel.style, {
       position: 'fixed',
@@ -606,10 +1246,14 @@
     const btnModeVisual = mkSegBtn('Только визуал', 'Красный фон, без звука');
     const btnModeAudio  = mkSegBtn('Только звук',   'Звук, без красного фона');
     const btnModeBoth   = mkSegBtn('Вместе',        'Красный фон + звук');
+    const btnModeNotify = mkSegBtn('Уведомление',   'Системное уведомление, когда вкладка в фоне');
+    const btnModeAll    = mkSegBtn('Всё сразу',     'Красный фон + звук + системное уведомление');
 
     seg.appendChild(btnModeVisual);
     seg.appendChild(btnModeAudio);
     seg.appendChild(btnModeBoth);
+    seg.appendChild(btnModeNotify);
+    seg.appendChild(btnModeAll);
 
     const audioLine = createEl('div', { marginTop: '10px' });
 
@@ -630,8 +1274,54 @@
     audioLine.appendChild(audioRow);
     audioLine.appendChild(audioHint);
 
+    const notifyLine = createEl('div', { marginTop: '10px' });
+
+    const { row: notifyTop, left: notifyLeft, right: notifyRight } = createMetaRow();
+    notifyLeft.textContent = 'Системные уведомления';
+
+    const btnNotifyTest = mkBtn('Проверить уведомление', 'Показать пробное уведомление (и запросить разрешение, если нужно)');
+    btnNotifyTest.style.marginTop = '8px';
+
+    const notifyHint = createEl('div', { marginTop: '8px', opacity: '.78' }, `Приходят, только когда вкладка в фоне или окно не в фокусе: зоны, время и кадр тревоги (если видео не защищено CORS). Не чаще раза в ${NOTIFY.minGapMs / 1000} с — пропущенные тревоги посчитаны в следующем. Клик по уведомлению возвращает к вкладке.`);
+
+    notifyLine.appendChild(notifyTop);
+    notifyLine.appendChild(btnNotifyTest);
+    notifyLine.appendChild(notifyHint);
+
     react.appendChild(seg);
     react.appendChild(audioLine);
+    react.appendChild(notifyLine);
+
+    // Arming / confirmation
+    const armCard = card('Охрана и подтверждение');
+
+    const { row: armMeta, left: armLeft, right: armRight } = createMetaRow();
+    armLeft.textContent = 'Когда поднимать тревогу';
+    armCard.appendChild(armMeta);
+
+    const autoRow = createEl('div', { display: 'flex', gap: '8px', marginTop: '8px' });
+    const btnAutoStart = mkBtn('Автозапуск: выкл', 'Запускать MotionWatch из userscript при загрузке страницы и возвращать охрану в последнее состояние (вкл/выкл)');
+    btnAutoStart.style.flex = '1 1 auto';
+    autoRow.appendChild(btnAutoStart);
+    armCard.appendChild(autoRow);
+
+    const armSliders = {};
+    const armChips = {};
+    for (const [key, cfg] of Object.entries(ARM)) {
+      const { row: m, left: l } = createMetaRow();
+      m.style.marginTop = '10px';
+      l.textContent = cfg.label;
+      const row = createEl('div', { display: 'flex', alignItems: 'center', gap: '10px', marginTop: '6px' });
+      armSliders[key] = createSlider(cfg.min, cfg.max, cfg.step, cfg.def);
+      armChips[key] = createChip('');
+      row.appendChild(armSliders[key]);
+      row.appendChild(armChips[key]);
+      armCard.appendChild(m);
+      armCard.appendChild(row);
+    }
+
+    const armHint = createEl('div', { marginTop: '8px', opacity: '.78' }, 'Задержка на выход — после включения (0 / Правый Shift, запуск скрипта) есть время уйти из кадра, отсчёт виден в мини-панели. Подтверждение — тревога только если движение держится выше порога столько-то мс и кадров подряд (в дополнение к медианному фильтру). Мин. длительность — тревога не гаснет раньше, пауза — после тревоги новая не поднимается. Автозапуск — userscript сам поднимает MotionWatch после перезагрузки страницы, ждёт видео и возвращает охрану как была.');
+    armCard.appendChild(armHint);
 
     // Sensitivity
     const sens = card('Чувствительность');
@@ -646,6 +1336,28 @@
     thrRow.appendChild(sliderThr);
     thrRow.appendChild(modeChip);
 
+    // График: Δ (серым), отфильтрованное Δ (голубым), порог и нижний порог гистерезиса (оранжевым)
+    const chartCanvas = document.createElement('canvas');
+    Object.assign(chartCanvas.style, {
+      display: 'block',
+      width: '100%',
+      height: `${CHART.h}px`,
+      marginTop: '10px',
+      borderRadius: '10px',
+      background: 'rgba(0,0,0,.22)',
+      border: '1px solid rgba(255,255,255,.10)',
+      cursor: 'crosshair',
+    });
+    chartCanvas.title = 'Клик — поставить порог на этой высоте';
+
+    const chartSeg = createEl('div', { display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '8px', marginTop: '6px' });
+    const chartBtns = CHART.sec.list.map((sec) => {
+      const b = mkSegBtn(`${sec} с`, `Показывать последние ${sec} секунд`);
+      b.style.height = '24px';
+      chartSeg.appendChild(b);
+      return b;
+    });
+
     const btnRow = createEl('div', { display: 'flex', gap: '8px', marginTop: '10px', flexWrap: 'wrap' });
 
     const btnAuto = mkBtn('Автокалибровка', `Собирает статистику и выставляет порог (по зонам)`);
@@ -660,9 +1372,84 @@
 
     sens.appendChild(meta);
     sens.appendChild(thrRow);
+    sens.appendChild(chartCanvas);
+    sens.appendChild(chartSeg);
     sens.appendChild(btnRow);
     sens.appendChild(hintThr);
 
+    // Detector
+    const det = card('Детектор');
+
+    const { row: detMeta, left: detLeft, right: detRight } = createMetaRow();
+    detLeft.textContent = 'Как считать движение';
+
+    const detSeg = createEl('div', { display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginTop: '8px' });
+    const btnDetAvg  = mkSegBtn('Средняя разница', 'Средняя разница пикселей по зоне (порог — слайдер чувствительности)');
+    const btnDetBlob = mkSegBtn('Объекты', 'Тревога, только если изменившееся пятно больше минимальной площади');
+    detSeg.appendChild(btnDetAvg);
+    detSeg.appendChild(btnDetBlob);
+
+    const { row: blobPixMeta, left: blobPixLeft } = createMetaRow();
+    blobPixMeta.style.marginTop = '10px';
+    blobPixLeft.textContent = 'Порог изменения блока';
+    const blobPixRow = createEl('div', { display: 'flex', alignItems: 'center', gap: '10px', marginTop: '6px' });
+    const sliderBlobPix = createSlider(BLOB.pixThr.min, BLOB.pixThr.max, BLOB.pixThr.step, BLOB.pixThr.def);
+    const blobPixChip = createChip('');
+    blobPixRow.appendChild(sliderBlobPix);
+    blobPixRow.appendChild(blobPixChip);
+
+    const { row: blobAreaMeta, left: blobAreaLeft } = createMetaRow();
+    blobAreaMeta.style.marginTop = '8px';
+    blobAreaLeft.textContent = 'Мин. площадь пятна, % зоны';
+    const blobAreaRow = createEl('div', { display: 'flex', alignItems: 'center', gap: '10px', marginTop: '6px' });
+    const sliderBlobArea = createSlider(BLOB.minArea.min, BLOB.minArea.max, BLOB.minArea.step, BLOB.minArea.def);
+    const blobAreaChip = createChip('');
+    blobAreaRow.appendChild(sliderBlobArea);
+    blobAreaRow.appendChild(blobAreaChip);
+
+    const bgSeg = createEl('div', { display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginTop: '8px' });
+    const btnBgRef   = mkSegBtn('Фон: опорный кадр', 'Сравнение с прошлым кадром и опорным, который обновляется раз в несколько кадров без тревоги (сколько — в карточке «Расширенные»)');
+    const btnBgGauss = mkSegBtn('Фон: адаптивный', 'Бегущие среднее и дисперсия каждого пикселя; Δ — доля пикселей переднего плана, %');
+    bgSeg.appendChild(btnBgRef);
+    bgSeg.appendChild(btnBgGauss);
+
+    const { row: bgRateMeta, left: bgRateLeft } = createMetaRow();
+    bgRateMeta.style.marginTop = '10px';
+    bgRateLeft.textContent = 'Скорость обучения фона';
+    const bgRateRow = createEl('div', { display: 'flex', alignItems: 'center', gap: '10px', marginTop: '6px' });
+    const sliderBgRate = createSlider(BG.rate.min, BG.rate.max, BG.rate.step, BG.rate.def);
+    const bgRateChip = createChip('');
+    bgRateRow.appendChild(sliderBgRate);
+    bgRateRow.appendChild(bgRateChip);
+
+    const { row: bgFgMeta, left: bgFgLeft } = createMetaRow();
+    bgFgMeta.style.marginTop = '8px';
+    bgFgLeft.textContent = 'Порог переднего плана, % пикселей зоны';
+    const bgFgRow = createEl('div', { display: 'flex', alignItems: 'center', gap: '10px', marginTop: '6px' });
+    const sliderBgFg = createSlider(BG.fgPct.min, BG.fgPct.max, BG.fgPct.step, BG.fgPct.def);
+    const bgFgChip = createChip('');
+    bgFgRow.appendChild(sliderBgFg);
+    bgFgRow.appendChild(bgFgChip);
+
+    const detHint = createEl('div', { marginTop: '8px', opacity: '.78' }, '«Объекты»: маленький человек в большой зоне не растворяется в среднем, а мерцание яркости по всему кадру не даёт одного пятна нужного размера. Жёлтые рамки — найденные пятна, красные — вызывающие тревогу.');
+
+    const btnLight = mkBtn('Компенсация освещения', 'Нормировать яркость/контраст кадров и подавлять тревогу при равномерной смене освещения');
+    Object.assign(btnLight.style, { width: '100%', marginTop: '8px' });
+
+    det.appendChild(detMeta);
+    det.appendChild(detSeg);
+    det.appendChild(btnLight);
+    det.appendChild(bgSeg);
+    det.appendChild(bgRateMeta);
+    det.appendChild(bgRateRow);
+    det.appendChild(bgFgMeta);
+    det.appendChild(bgFgRow);
+    det.appendChild(blobPixMeta);
+    det.appendChild(blobPixRow);
+    det.appendChild(blobAreaMeta);
+    det.appendChild(blobAreaRow);
+    det.appendChild(detHint);
+
     // Opacity
     const opa = card('Прозрачность красного фона');
 
@@ -682,103 +1469,785 @@
     opa.appendChild(opaRow);
     opa.appendChild(hintOpa);
 
-    // Zones (без редактирования)
+    // Zones
     const zones = card('Зоны контроля');
 
+    // Форма новой зоны
+    const zonesShapeSeg = createEl('div', { display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '8px', marginBottom: '8px' });
+    const btnShapeRect  = mkSegBtn('▭ Прямоугольник', 'Потяни прямоугольник по видео');
+    const btnShapePoly  = mkSegBtn('⬠ Многоугольник', 'Клики — вершины, двойной клик или Enter — замкнуть');
+    const btnShapeBrush = mkSegBtn('🖌 Кисть', 'Закрась область; Enter или двойной клик — готово; [ и ] — размер кисти');
+    zonesShapeSeg.appendChild(btnShapeRect);
+    zonesShapeSeg.appendChild(btnShapePoly);
+    zonesShapeSeg.appendChild(btnShapeBrush);
+
     const zonesRow1 = createEl('div', { display: 'flex', gap: '8px', flexWrap: 'wrap' });
 
-    const btnZoneAdd = mkBtn('Добавить зону', 'Нарисуй прямоугольник внутри видео (Esc — отмена)');
+    const btnZoneAdd = mkBtn('Добавить зону', 'Нарисуй зону выбранной формы внутри видео (Esc — отмена)');
     btnZoneAdd.style.flex = '1 1 160px';
 
+    const btnZoneIgnore = mkBtn('Добавить игнор', 'Нарисуй область, которую нужно исключить: метка времени, мигающий светодиод, флаг… (Esc — отмена)');
+    btnZoneIgnore.style.flex = '1 1 120px';
+
+    const btnZoneEdit = mkBtn('Редактировать', 'Тащи зону — перенос, углы — размер, правый клик — меню; стрелки — сдвиг, Delete — удалить, Esc — готово');
+    btnZoneEdit.style.flex = '1 1 120px';
+
     const btnZoneUndo = mkBtn('Отменить последнюю', 'Удалить последнюю добавленную зону');
     const btnZoneClear = mkBtn('Очистить зоны', 'Сбросить зоны (будет отслеживаться всё видео)');
 
     zonesRow1.appendChild(btnZoneAdd);
+    zonesRow1.appendChild(btnZoneIgnore);
+    zonesRow1.appendChild(btnZoneEdit);
     zonesRow1.appendChild(btnZoneUndo);
     zonesRow1.appendChild(btnZoneClear);
 
-    const zonesHint = createEl('div', { marginTop: '8px', opacity: '.78' }, `До ${ZONES_MAX} зон. Если зон нет — отслеживается всё видео.`);
+    // Список зон с настройками (заполняется в renderZoneList)
+    const zonesList = createEl('div', {
+      display: 'none',
+      gridTemplateColumns: 'auto 1fr 58px 52px 60px',
+      gap: '4px 6px',
+      alignItems: 'center',
+      marginTop: '10px',
+    });
+
+    const zonesHint = createEl('div', { marginTop: '8px', opacity: '.78' }, `До ${ZONES_MAX} зон. Если зон нет — отслеживается всё видео. У каждой зоны своя тревога; пустой порог/гистерезис — общие значения. Зоны игнора вырезаются из всех остальных зон. Форма: прямоугольник, многоугольник (клики, двойной клик — замкнуть) или кисть ([ ] — размер). «Редактировать» — перенос, размер, меню зоны по правому клику.`);
 
+    zones.appendChild(zonesShapeSeg);
     zones.appendChild(zonesRow1);
+    zones.appendChild(zonesList);
     zones.appendChild(zonesHint);
 
-    // Footer
-    const footer = document.createElement('div');
-    Object.assign(footer.style, { display: 'flex', alignItems: 'flex-start', gap: '10px' });
+    // Schedule
+    const sched = card('Расписание охраны');
 
-    const footerLeft = document.createElement('div');
-    Object.assign(footerLeft.style, {
-      opacity: '.85',
+    const { row: schedMeta, left: schedLeft, right: schedRight } = createMetaRow();
+    schedLeft.textContent = 'Окна охраны по дням';
+
+    const btnSched = mkBtn('Расписание: выкл', 'Снимать детектор с охраны вне заданных окон');
+    btnSched.style.marginTop = '8px';
+
+    const schedTargetRow = createEl('div', { display: 'flex', alignItems: 'center', gap: '8px', marginTop: '8px' });
+    const schedTarget = createEl('select', {
+      boxSizing: 'border-box',
       flex: '1 1 auto',
-      minWidth: 0,
-      overflow: 'hidden',
-      textOverflow: 'ellipsis',
-      whiteSpace: 'nowrap',
-      paddingTop: '4px'
+      minWidth: '0',
+      height: '24px',
+      padding: '0 6px',
+      borderRadius: '8px',
+      border: '1px solid rgba(255,255,255,.14)',
+      background: 'rgba(0,0,0,.22)',
+      color: '#fff',
+      font: 'inherit',
+    });
+    schedTarget.title = 'Общее расписание или своё расписание зоны';
+    const btnSchedInherit = mkBtn('Как общее', 'Убрать своё расписание зоны — охранять по общему');
+    schedTargetRow.appendChild(schedTarget);
+    schedTargetRow.appendChild(btnSchedInherit);
+
+    const schedDays = createEl('div', { display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '4px 8px', alignItems: 'center', marginTop: '8px' });
+    const schedInputs = SCHEDULE.days.map((day) => {
+      schedDays.appendChild(createEl('div', { opacity: '.8' }, day));
+      const input = createInput('text', '');
+      input.title = 'Окна охраны: «18:00-08:00, 12:00-13:00»; пусто — весь день без охраны';
+      schedDays.appendChild(input);
+      return input;
     });
 
-    const footerRight = document.createElement('div');
-    Object.assign(footerRight.style, {
-      flex: '0 0 auto',
+    const schedHint = createEl('div', { marginTop: '8px', opacity: '.78' }, 'Окно «с-по» через запятую, «00:00-24:00» — весь день, «22:00-06:00» — через полночь (утро — уже следующего дня). Вне окон детектор снят с охраны и в мини-панели «Вне расписания». Зона со своим расписанием охраняется по нему, остальные — по общему. Кнопка 0 / Правый Shift выключает детектор поверх расписания.');
+
+    sched.appendChild(schedMeta);
+    sched.appendChild(btnSched);
+    sched.appendChild(schedTargetRow);
+    sched.appendChild(schedDays);
+    sched.appendChild(schedHint);
+
+    // Heatmap
+    const heat = card('Тепловая карта');
+
+    const { row: heatMeta, left: heatLeft, right: heatRight } = createMetaRow();
+    heatLeft.textContent = 'Где в кадре движение';
+
+    const heatSeg = createEl('div', { display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '8px', marginTop: '8px' });
+    const btnHeatOff  = mkSegBtn('Выкл', 'Скрыть тепловую карту');
+    const btnHeatLive = mkSegBtn('Сейчас', 'Текущая разница кадров по ячейкам');
+    const btnHeatAcc  = mkSegBtn('За N мин', 'Средняя активность ячеек за последние N минут');
+    heatSeg.appendChild(btnHeatOff);
+    heatSeg.appendChild(btnHeatLive);
+    heatSeg.appendChild(btnHeatAcc);
+
+    const { row: heatMinMeta, left: heatMinLeft } = createMetaRow();
+    heatMinMeta.style.marginTop = '10px';
+    heatMinLeft.textContent = 'Окно накопления (минут)';
+    const heatMinRow = createEl('div', { display: 'flex', alignItems: 'center', gap: '10px', marginTop: '6px' });
+    const sliderHeatMin = createSlider(HEAT.minutes.min, HEAT.minutes.max, HEAT.minutes.step, HEAT.minutes.def);
+    const heatMinChip = createChip('');
+    const btnHeatReset = mkBtn('Сброс', 'Забыть накопленную активность');
+    heatMinRow.appendChild(sliderHeatMin);
+    heatMinRow.appendChild(heatMinChip);
+    heatMinRow.appendChild(btnHeatReset);
+
+    const heatHint = createEl('div', { marginTop: '8px', opacity: '.78' }, 'Синий — слабое движение, красный — сильное. Зоны игнора на карте не вырезаются: видно, где шумит. Активность копится, пока идёт детекция (до 60 минут).');
+
+    heat.appendChild(heatMeta);
+    heat.appendChild(heatSeg);
+    heat.appendChild(heatMinMeta);
+    heat.appendChild(heatMinRow);
+    heat.appendChild(heatHint);
+
+    // Alarm history (снимки кадров)
+    const snaps = card('История тревог');
+
+    const { row: snapMeta, left: snapLeft, right: snapRight } = createMetaRow();
+    snapLeft.textContent = 'Кадры в момент тревоги';
+
+    const snapStrip = createEl('div', {
       display: 'flex',
-      flexDirection: 'column',
       gap: '6px',
-      alignItems: 'stretch'
+      marginTop: '8px',
+      overflowX: 'auto',
+      overflowY: 'hidden',
+      minHeight: `${SNAP.thumbH}px`,
+      paddingBottom: '4px',
+      scrollbarWidth: 'thin',
+      scrollbarColor: 'rgba(255,255,255,.28) rgba(0,0,0,0)',
     });
 
-    const btnPickAuto = mkBtn('Перевыбрать видео', 'Заново выбрать <video> (только auto) и перезапустить');
-    btnPickAuto.style.maxWidth = '190px';
-
-    const btnPipette = mkBtn('🎯 Выбрать видео кликом', 'Выбрать нужное видео кликом по странице (Esc — отмена)');
-    btnPipette.style.maxWidth = '190px';
+    const snapEmpty = createEl('div', { opacity: '.6', alignSelf: 'center' }, 'Пока пусто — снимки появятся при первой тревоге.');
+    snapStrip.appendChild(snapEmpty);
+
+    const snapRow = createEl('div', { display: 'flex', gap: '8px', marginTop: '8px', flexWrap: 'wrap' });
+
+    const btnSnapExtra = mkBtn('Кадры до/после', 'Дополнительно снимать кадр перед тревогой и через секунду после');
+    btnSnapExtra.style.flex = '1 1 160px';
+    const btnSnapClear = mkBtn('Очистить историю', 'Удалить все снимки из памяти');
+
+    snapRow.appendChild(btnSnapExtra);
+    snapRow.appendChild(btnSnapClear);
+
+    const snapHint = createEl('div', { marginTop: '8px', opacity: '.78' }, `Клик по миниатюре — скачать PNG. Хранится до ${SNAP.max} кадров, после перезагрузки страницы остаются только в «Архиве тревог».`);
+
+    snaps.appendChild(snapMeta);
+    snaps.appendChild(snapStrip);
+    snaps.appendChild(snapRow);
+    snaps.appendChild(snapHint);
+
+    // Clip recording
+    const rec = card('Запись клипов');
+
+    const { row: recMeta, left: recLeft, right: recRight } = createMetaRow();
+    recLeft.textContent = 'Видео до и после тревоги (WebM)';
+
+    const recRow1 = createEl('div', { display: 'flex', gap: '8px', marginTop: '8px', flexWrap: 'wrap' });
+    const btnRec = mkBtn('Запись', 'Постоянно держать буфер видео и сохранять клип при тревоге');
+    btnRec.style.flex = '1 1 160px';
+    const btnRecClear = mkBtn('Очистить клипы', 'Удалить все клипы из памяти');
+    recRow1.appendChild(btnRec);
+    recRow1.appendChild(btnRecClear);
+
+    const { row: recPreMeta, left: recPreLeft } = createMetaRow();
+    recPreMeta.style.marginTop = '10px';
+    recPreLeft.textContent = 'Секунд до тревоги';
+    const recPreRow = createEl('div', { display: 'flex', alignItems: 'center', gap: '10px', marginTop: '6px' });
+    const sliderRecPre = createSlider(REC.pre.min, REC.pre.max, REC.pre.step, REC.pre.def);
+    const recPreChip = createChip('');
+    recPreRow.appendChild(sliderRecPre);
+    recPreRow.appendChild(recPreChip);
+
+    const { row: recPostMeta, left: recPostLeft } = createMetaRow();
+    recPostMeta.style.marginTop = '8px';
+    recPostLeft.textContent = 'Секунд после тревоги';
+    const recPostRow = createEl('div', { display: 'flex', alignItems: 'center', gap: '10px', marginTop: '6px' });
+    const sliderRecPost = createSlider(REC.post.min, REC.post.max, REC.post.step, REC.post.def);
+    const recPostChip = createChip('');
+    recPostRow.appendChild(sliderRecPost);
+    recPostRow.appendChild(recPostChip);
+
+    const recList = createEl('div', {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '4px',
+      marginTop: '10px',
+      maxHeight: '150px',
+      overflowY: 'auto',
+    });
 
-    const btnBackAuto = mkBtn('↩ Авто-выбор', 'Вернуться к режиму TARGET_SELECTOR');
-    btnBackAuto.style.maxWidth = '190px';
-    btnBackAuto.style.display = 'none';
+    const recHint = createEl('div', { marginTop: '8px', opacity: '.78' }, `Буфер пишется, пока детектор на охране. Клип начинается за N…1,5N секунд до тревоги (N — выбранное значение). Тревога, пока клип дописывается, продлевает этот же клип (не дольше ${REC.extendMaxSec} с от первой тревоги — дальше начинается новый). В памяти хранится до ${REC.maxClips} клипов, копии — в «Архиве тревог».`);
+
+    rec.appendChild(recMeta);
+    rec.appendChild(recRow1);
+    rec.appendChild(recPreMeta);
+    rec.appendChild(recPreRow);
+    rec.appendChild(recPostMeta);
+    rec.appendChild(recPostRow);
+    rec.appendChild(recList);
+    rec.appendChild(recHint);
+
+    // Alarm archive (IndexedDB)
+    const arch = card('Архив тревог');
+
+    const { row: archMeta, left: archLeft, right: archRight } = createMetaRow();
+    archLeft.textContent = 'Кадры и клипы после перезагрузки';
+
+    const archRow = createEl('div', { display: 'flex', gap: '8px', marginTop: '8px', flexWrap: 'wrap' });
+    const btnArchive = mkBtn('Архив: вкл', 'Сохранять кадры тревоги и клипы в IndexedDB этого сайта');
+    btnArchive.style.flex = '1 1 160px';
+    const btnArchiveClear = mkBtn('Очистить архив', 'Удалить все кадры и клипы из IndexedDB');
+    archRow.appendChild(btnArchive);
+    archRow.appendChild(btnArchiveClear);
+
+    const archSeg = createEl('div', { display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '8px', marginTop: '8px' });
+    const archFilterBtns = {};
+    for (const [key, label] of Object.entries(ARCHIVE.filters)) {
+      archFilterBtns[key] = mkSegBtn(label, `Показывать: ${label.toLowerCase()}`);
+      archSeg.appendChild(archFilterBtns[key]);
+    }
 
-    footerRight.appendChild(btnPickAuto);
-    footerRight.appendChild(btnPipette);
-    footerRight.appendChild(btnBackAuto);
+    // Просмотр одного файла архива: кадр или клип, подпись и кнопки
+    const archView = createEl('div', {
+      display: 'none',
+      marginTop: '8px',
+      padding: '6px',
+      borderRadius: '10px',
+      background: 'rgba(0,0,0,.28)',
+      border: '1px solid rgba(255,255,255,.12)',
+    });
+    const archViewMedia = createEl('div', { display: 'flex', justifyContent: 'center' });
+    const archViewCap = createEl('div', { marginTop: '6px', opacity: '.85', fontSize: '11px', fontVariantNumeric: 'tabular-nums' });
+    const archViewRow = createEl('div', { display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr 1fr', gap: '6px', marginTop: '6px' });
+    const btnArchPrev = mkSegBtn('◀', 'Более новый файл');
+    const btnArchNext = mkSegBtn('▶', 'Более старый файл');
+    const btnArchDl = mkSegBtn('⬇', 'Скачать файл');
+    const btnArchDel = mkSegBtn('🗑', 'Удалить файл из архива');
+    const btnArchClose = mkSegBtn('✕', 'Закрыть просмотр');
+    [btnArchPrev, btnArchNext, btnArchDl, btnArchDel, btnArchClose].forEach(b => archViewRow.appendChild(b));
+    archView.appendChild(archViewMedia);
+    archView.appendChild(archViewCap);
+    archView.appendChild(archViewRow);
+
+    const archList = createEl('div', {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '3px',
+      marginTop: '8px',
+      maxHeight: '200px',
+      overflowY: 'auto',
+      fontSize: '11px',
+    });
 
-    footer.appendChild(footerLeft);
-    footer.appendChild(footerRight);
+    const { row: archMBMeta, left: archMBLeft } = createMetaRow();
+    archMBMeta.style.marginTop = '10px';
+    archMBLeft.textContent = 'Не больше';
+    const archMBRow = createEl('div', { display: 'flex', alignItems: 'center', gap: '10px', marginTop: '6px' });
+    const sliderArchMB = createSlider(ARCHIVE.maxMB.min, ARCHIVE.maxMB.max, ARCHIVE.maxMB.step, ARCHIVE.maxMB.def);
+    const archMBChip = createChip('');
+    archMBRow.appendChild(sliderArchMB);
+    archMBRow.appendChild(archMBChip);
+
+    const { row: archDaysMeta, left: archDaysLeft } = createMetaRow();
+    archDaysMeta.style.marginTop = '8px';
+    archDaysLeft.textContent = 'Хранить';
+    const archDaysRow = createEl('div', { display: 'flex', alignItems: 'center', gap: '10px', marginTop: '6px' });
+    const sliderArchDays = createSlider(ARCHIVE.maxDays.min, ARCHIVE.maxDays.max, ARCHIVE.maxDays.step, ARCHIVE.maxDays.def);
+    const archDaysChip = createChip('');
+    archDaysRow.appendChild(sliderArchDays);
+    archDaysRow.appendChild(archDaysChip);
+
+    const archHint = createEl('div', { marginTop: '8px', opacity: '.78' }, 'Кадры тревоги (PNG) и клипы (WebM) копируются в IndexedDB этого сайта и видны здесь после перезагрузки — даже когда видео на странице нет. Сверх размера или срока удаляются самые старые. Клик по строке — просмотр.');
+
+    arch.appendChild(archMeta);
+    arch.appendChild(archRow);
+    arch.appendChild(archSeg);
+    arch.appendChild(archView);
+    arch.appendChild(archList);
+    arch.appendChild(archMBMeta);
+    arch.appendChild(archMBRow);
+    arch.appendChild(archDaysMeta);
+    arch.appendChild(archDaysRow);
+    arch.appendChild(archHint);
+
+    // Event journal
+    const journal = card('Журнал событий');
+
+    const { row: journalMeta, left: journalLeft, right: journalRight } = createMetaRow();
+    journalLeft.textContent = 'Тревоги, вкл/выкл, калибровка, видео';
+
+    const journalSeg = createEl('div', { display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '8px', marginTop: '8px' });
+    const journalFilterBtns = {};
+    for (const [key, label] of Object.entries(JOURNAL.filters)) {
+      journalFilterBtns[key] = mkSegBtn(label, `Показывать: ${label.toLowerCase()}`);
+      journalSeg.appendChild(journalFilterBtns[key]);
+    }
 
-    panel.appendChild(header);
-    panel.appendChild(hk);
-    panel.appendChild(react);
-    panel.appendChild(sens);
-    panel.appendChild(opa);
-    panel.appendChild(zones);
-    panel.appendChild(footer);
+    const journalList = createEl('div', {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '3px',
+      marginTop: '8px',
+      maxHeight: '180px',
+      overflowY: 'auto',
+      fontSize: '11px',
+    });
 
-    return {
-      header, // ✅ нужно для drag + dblclick reset
-      overlay, activeBox, zonesLayer, drawBox, pickBox,
-      panel, mini, dot, miniDot, miniText,
-      subtitle,
-      btnModeVisual, btnModeAudio, btnModeBoth,
-      audioRight, sliderVol, volChip, audioLine,
-      metaLeft, metaRight, modeChip,
-      opaRight, opaChip,
-      footerLeft,
-      sliderThr, sliderOpa,
-      btnAuto, btnReset, btnMin, btnClose,
-      btnPickAuto, btnPipette, btnBackAuto,
-      btnZoneAdd, btnZoneUndo, btnZoneClear,
+    const journalRow = createEl('div', { display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '8px', marginTop: '8px' });
+    const btnJournalCsv = mkBtn('⬇ CSV', 'Скачать показанные записи (с учётом фильтра) таблицей CSV');
+    const btnJournalJson = mkBtn('⬇ JSON', 'Скачать показанные записи (с учётом фильтра) в JSON');
+    const btnJournalClear = mkBtn('Очистить', 'Удалить все записи журнала');
+    journalRow.appendChild(btnJournalCsv);
+    journalRow.appendChild(btnJournalJson);
+    journalRow.appendChild(btnJournalClear);
+
+    const { row: journalDaysMeta, left: journalDaysLeft } = createMetaRow();
+    journalDaysMeta.style.marginTop = '10px';
+    journalDaysLeft.textContent = 'Хранить записи';
+    const journalDaysRow = createEl('div', { display: 'flex', alignItems: 'center', gap: '10px', marginTop: '6px' });
+    const sliderJournalDays = createSlider(JOURNAL.days.min, JOURNAL.days.max, JOURNAL.days.step, JOURNAL.days.def);
+    const journalDaysChip = createChip('');
+    journalDaysRow.appendChild(sliderJournalDays);
+    journalDaysRow.appendChild(journalDaysChip);
+
+    const journalHint = createEl('div', { marginTop: '8px', opacity: '.78' }, `Журнал хранится в IndexedDB этого сайта и переживает перезагрузку страницы. У тревоги — начало, длительность, пик и среднее Δ (отфильтрованной) и зоны, которые были в тревоге. Записи старше срока удаляются, всего хранится до ${JOURNAL.maxItems}; в карточке — последние ${JOURNAL.show}.`);
+
+    journal.appendChild(journalMeta);
+    journal.appendChild(journalSeg);
+    journal.appendChild(journalList);
+    journal.appendChild(journalRow);
+    journal.appendChild(journalDaysMeta);
+    journal.appendChild(journalDaysRow);
+    journal.appendChild(journalHint);
+
+    // Webhook
+    const hook = card('Webhook');
+
+    const { row: hookMeta, left: hookLeft, right: hookRight } = createMetaRow();
+    hookLeft.textContent = 'HTTP-запрос при тревоге';
+
+    const btnHook = mkBtn('Webhook: выкл', 'Слать запрос на начало и конец тревоги');
+    btnHook.style.marginTop = '8px';
+
+    const hookUrl = createInput('text', '', { marginTop: '8px' });
+    hookUrl.placeholder = 'https://example.local/motion-hook';
+    hookUrl.title = 'Адрес webhook';
+
+    const hookSeg = createEl('div', { display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '8px', marginTop: '8px' });
+    const hookMethodBtns = WEBHOOK.methods.map((m) => {
+      const b = mkSegBtn(m, `Метод ${m}`);
+      hookSeg.appendChild(b);
+      return b;
+    });
+    const btnHookSnap = mkSegBtn('Кадр: выкл', 'Добавлять кадр тревоги (JPEG, base64) в переменную {{snapshot}}');
+    hookSeg.appendChild(btnHookSnap);
+
+    const mkArea = (rows, placeholder, title) => {
+      const a = createEl('textarea', {
+        boxSizing: 'border-box',
+        width: '100%',
+        marginTop: '8px',
+        padding: '4px 6px',
+        borderRadius: '8px',
+        border: '1px solid rgba(255,255,255,.14)',
+        background: 'rgba(0,0,0,.22)',
+        color: '#fff',
+        font: 'inherit',
+        fontFamily: 'ui-monospace, SFMono-Regular, Menlo, Consolas, monospace',
+        fontSize: '11px',
+        resize: 'vertical',
+      });
+      a.rows = rows;
+      a.placeholder = placeholder;
+      a.title = title;
+      a.spellcheck = false;
+      return a;
     };
-  }
+    const hookHeaders = mkArea(2, 'Authorization: Bearer …', 'Заголовки: «Имя: значение», по одному на строку (Content-Type: application/json — всегда)');
+    const hookTemplate = mkArea(4, '{"text": "Тревога: {{zoneNames}}", "d": "{{dFiltered}}", "page": "{{page}}"}', 'Шаблон JSON-тела; пусто — все переменные одним объектом');
 
-  // =========================
-  // STATE
-  // =========================
-  const UI = createUI();
+    const hookRow = createEl('div', { display: 'flex', alignItems: 'center', gap: '8px', marginTop: '8px', flexWrap: 'wrap' });
+    const btnHookTest = mkBtn('Отправить тест', 'Поставить в очередь пробный запрос с текущими значениями');
+    const btnHookClearLog = mkBtn('Очистить журнал', 'Очистить журнал доставки');
+    hookRow.appendChild(btnHookTest);
+    hookRow.appendChild(btnHookClearLog);
 
-  const canvas = document.createElement('canvas');
-  canvas.width = SAMPLE_W;
-  canvas.height = SAMPLE_H;
-  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const hookLog = createEl('div', {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '3px',
+      marginTop: '8px',
+      maxHeight: '130px',
+      overflowY: 'auto',
+      fontSize: '11px',
+    });
 
+    const hookHint = createEl('div', { marginTop: '8px', opacity: '.78' }, `Переменные шаблона: {{event}} (alarm:start / alarm:end / test), {{ts}}, {{time}}, {{d}}, {{dFiltered}}, {{thr}}, {{thrHigh}}, {{thrLow}}, {{detector}}, {{video}}, {{zones}}, {{zoneNames}}, {{page}}, {{title}}, {{snapshot}}. Неудачный запрос повторяется через 2, 4, 8… с (до ${WEBHOOK.retry.max} попыток). Сервер должен разрешать CORS для этой страницы.`);
+
+    hook.appendChild(hookMeta);
+    hook.appendChild(btnHook);
+    hook.appendChild(hookUrl);
+    hook.appendChild(hookSeg);
+    hook.appendChild(hookHeaders);
+    hook.appendChild(hookTemplate);
+    hook.appendChild(hookRow);
+    hook.appendChild(hookLog);
+    hook.appendChild(hookHint);
+
+    // Bridge (other tabs)
+    const bridge = card('Другие вкладки');
+
+    const { row: bridgeMeta, left: bridgeLeft, right: bridgeRight } = createMetaRow();
+    bridgeLeft.textContent = 'Связь между вкладками';
+
+    const btnBridge = mkBtn('Связь: вкл', 'Сообщать состояние и события другим вкладкам и принимать их команды');
+    btnBridge.style.marginTop = '8px';
+
+    const bridgeId = createEl('div', { marginTop: '8px', opacity: '.6', fontSize: '10.5px', wordBreak: 'break-all' });
+
+    const bridgeList = createEl('div', {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '3px',
+      marginTop: '8px',
+      maxHeight: '130px',
+      overflowY: 'auto',
+    });
+
+    const bridgeOrigins = createInput('text', '', { marginTop: '8px' });
+    bridgeOrigins.placeholder = 'Пульт с другого сайта: https://panel.example';
+    bridgeOrigins.title = 'Сайты, которые могут открыть или встроить эту вкладку и управлять ей через postMessage (через пробел)';
+
+    const bridgeHint = createEl('div', { marginTop: '8px', opacity: '.78' }, `Экземпляры на вкладках этого сайта видят друг друга через BroadcastChannel «${BRIDGE.channel}»: состояние, события тревоги и команды (вкл/выкл, сброс тревоги, порог, автокалибровка). Панель-«пульт» может быть отдельной вкладкой — см. README. Пульт на другом сайте работает через postMessage, только если его адрес указан в поле выше.`);
+
+    bridge.appendChild(bridgeMeta);
+    bridge.appendChild(btnBridge);
+    bridge.appendChild(bridgeId);
+    bridge.appendChild(bridgeList);
+    bridge.appendChild(bridgeOrigins);
+    bridge.appendChild(bridgeHint);
+
+    // Multi-video
+    const multi = card('Несколько видео');
+
+    const { row: multiMeta, left: multiLeft, right: multiRight } = createMetaRow();
+    multiLeft.textContent = 'Все <video> страницы сразу';
+
+    const btnMulti = mkBtn('Несколько видео: выкл', 'Отслеживать все видео страницы (сетка камер), каждое со своими зонами и порогом');
+    btnMulti.style.marginTop = '8px';
+
+    const multiList = createEl('div', {
+      display: 'none',
+      flexDirection: 'column',
+      gap: '3px',
+      marginTop: '8px',
+      maxHeight: '180px',
+      overflowY: 'auto',
+    });
+
+    const multiHint = createEl('div', { marginTop: '8px', opacity: '.78' }, `Панель (порог, зоны, расписание зон, тепловая карта, запись клипов) — для основного видео; клик по номеру делает видео основным. У каждого видео свои зоны и порог, тревога любого из них включает общую реакцию. Не больше ${MULTI.max} видео.`);
+
+    multi.appendChild(multiMeta);
+    multi.appendChild(btnMulti);
+    multi.appendChild(multiList);
+    multi.appendChild(multiHint);
+
+    // Profiles
+    const prof = card('Профили');
+
+    const { row: profMeta, left: profLeft, right: profRight } = createMetaRow();
+    profLeft.textContent = 'Наборы настроек';
+
+    const profList = createEl('div', {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '3px',
+      marginTop: '8px',
+      maxHeight: '150px',
+      overflowY: 'auto',
+    });
+
+    const profSaveRow = createEl('div', { display: 'flex', alignItems: 'center', gap: '8px', marginTop: '8px' });
+    const profName = createInput('text', '', { flex: '1 1 auto', width: 'auto', minWidth: 0 });
+    profName.placeholder = 'день / ночь / …';
+    profName.maxLength = PROFILE.nameMax;
+    profName.title = 'Название профиля';
+    const btnProfSave = mkBtn('Сохранить как', 'Сохранить текущие настройки под этим названием (то же название — перезаписать)');
+    btnProfSave.style.flex = '0 0 auto';
+    profSaveRow.appendChild(profName);
+    profSaveRow.appendChild(btnProfSave);
+
+    const profIO = createEl('div', { display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginTop: '8px' });
+    const btnProfFile = mkBtn('⬇ В файл', 'Скачать текущие настройки как JSON-файл профиля');
+    const btnProfCopy = mkBtn('📋 Копировать', 'Скопировать профиль строкой (JSON) в буфер обмена');
+    const btnProfOpen = mkBtn('⬆ Из файла', 'Загрузить профиль из JSON-файла');
+    const btnProfPaste = mkBtn('Из строки', 'Загрузить профиль из строки в поле ниже');
+    [btnProfFile, btnProfCopy, btnProfOpen, btnProfPaste].forEach(b => profIO.appendChild(b));
+
+    const profFile = createEl('input', { display: 'none' });
+    profFile.type = 'file';
+    profFile.accept = 'application/json,.json';
+
+    const profText = mkArea(3, '{"format": "motionwatch-profile", "v": 1, …}', 'Строка профиля: сюда попадает скопированный профиль, сюда же вставляют чужой');
+
+    const profHint = createEl('div', { marginTop: '8px', opacity: '.78' }, 'Профиль — порог, зоны, режим тревоги, громкость, прозрачность, детектор с фильтрами, «Охрана и подтверждение» и «Расширенные». Клик по названию — включить профиль, 💾 — записать в него текущие настройки. Файл или строку можно перенести на другой компьютер.');
+
+    prof.appendChild(profMeta);
+    prof.appendChild(profList);
+    prof.appendChild(profSaveRow);
+    prof.appendChild(profIO);
+    prof.appendChild(profFile);
+    prof.appendChild(profText);
+    prof.appendChild(profHint);
+
+    // Advanced (параметры движка, см. ENGINE)
+    const eng = card('Расширенные');
+
+    const { row: engMeta, left: engLeft, right: engRight } = createMetaRow();
+    engLeft.textContent = 'Параметры движка';
+    eng.appendChild(engMeta);
+
+    const engSliders = {};
+    const engChips = {};
+    for (const [key, cfg] of Object.entries(ENGINE)) {
+      const { row: m, left: l } = createMetaRow();
+      m.style.marginTop = '10px';
+      l.textContent = cfg.label;
+      const row = createEl('div', { display: 'flex', alignItems: 'center', gap: '10px', marginTop: '6px' });
+      engSliders[key] = createSlider(cfg.min, cfg.max, cfg.step, cfg.def);
+      engChips[key] = createChip('');
+      row.appendChild(engSliders[key]);
+      row.appendChild(engChips[key]);
+      eng.appendChild(m);
+      eng.appendChild(row);
+    }
+
+    const engSeg = createEl('div', { display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginTop: '10px' });
+    const btnEngMedian = mkSegBtn('Фильтр: медиана', 'Медиана буфера кадров — лучше подавляет одиночные выбросы шума');
+    const btnEngMean   = mkSegBtn('Фильтр: среднее', 'Скользящее среднее буфера кадров — мягче, но выброс сдвигает значение');
+    engSeg.appendChild(btnEngMedian);
+    engSeg.appendChild(btnEngMean);
+    eng.appendChild(engSeg);
+
+    const btnEngReset = mkBtn('По умолчанию', 'Вернуть все параметры движка к исходным значениям');
+    Object.assign(btnEngReset.style, { width: '100%', marginTop: '8px' });
+    eng.appendChild(btnEngReset);
+
+    const engHint = createEl('div', { marginTop: '8px', opacity: '.78' }, 'Кадр анализа — до какого размера уменьшается видео: больше — мелкие объекты заметнее, но дороже для процессора. Шаг пикселей — каждый какой пиксель сравнивать. Смена размера кадра или буфера начинает отслеживание заново (тревога снимается). Калибровка: порог = max(p95, медиана + запас×MAD) × множитель по кадрам без верхней доли выбросов.');
+    eng.appendChild(engHint);
+
+    // Footer
+    const footer = document.createElement('div');
+    Object.assign(footer.style, { display: 'flex', alignItems: 'flex-start', gap: '10px' });
+
+    const footerLeft = document.createElement('div');
+    Object.assign(footerLeft.style, {
+      opacity: '.85',
+      flex: '1 1 auto',
+      minWidth: 0,
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap',
+      paddingTop: '4px'
+    });
+
+    const footerRight = document.createElement('div');
+    Object.assign(footerRight.style, {
+      flex: '0 0 auto',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '6px',
+      alignItems: 'stretch'
+    });
+
+    const btnPickAuto = mkBtn('Перевыбрать видео', 'Заново выбрать <video> (только auto) и перезапустить');
+    btnPickAuto.style.maxWidth = '190px';
+
+    const btnPipette = mkBtn('🎯 Выбрать видео кликом', 'Выбрать нужное видео кликом по странице (Esc — отмена)');
+    btnPipette.style.maxWidth = '190px';
+
+    const btnBackAuto = mkBtn('↩ Авто-выбор', 'Вернуться к режиму TARGET_SELECTOR');
+    btnBackAuto.style.maxWidth = '190px';
+    btnBackAuto.style.display = 'none';
+
+    // Видео закрыто CORS — снимать вкладку через getDisplayMedia (см. TAB CAPTURE)
+    const btnCapture = mkBtn('📺 Захват вкладки', 'Пиксели видео закрыты CORS: снимать эту вкладку (getDisplayMedia) и вырезать из неё видео');
+    btnCapture.style.maxWidth = '190px';
+    btnCapture.style.display = 'none';
+
+    footerRight.appendChild(btnPickAuto);
+    footerRight.appendChild(btnPipette);
+    footerRight.appendChild(btnBackAuto);
+    footerRight.appendChild(btnCapture);
+
+    footer.appendChild(footerLeft);
+    footer.appendChild(footerRight);
+
+    panel.appendChild(header);
+    panel.appendChild(prof);
+    panel.appendChild(hk);
+    panel.appendChild(react);
+    panel.appendChild(armCard);
+    panel.appendChild(multi);
+    panel.appendChild(sens);
+    panel.appendChild(det);
+    panel.appendChild(opa);
+    panel.appendChild(zones);
+    panel.appendChild(sched);
+    panel.appendChild(heat);
+    panel.appendChild(snaps);
+    panel.appendChild(rec);
+    panel.appendChild(arch);
+    panel.appendChild(journal);
+    panel.appendChild(hook);
+    panel.appendChild(bridge);
+    panel.appendChild(eng);
+    panel.appendChild(footer);
+
+    return {
+      header, // ✅ нужно для drag + dblclick reset
+      overlay, activeBox, zonesLayer, blobLayer, heatCanvas, drawBox, drawSvg, pickBox,
+      zoneMenu, zoneMenuTitle, zoneMenuName, btnZoneMenuToggle, btnZoneMenuDelete,
+      panel, mini, dot, miniDot, miniText,
+      subtitle,
+      btnModeVisual, btnModeAudio, btnModeBoth, btnModeNotify, btnModeAll,
+      notifyLine, notifyRight, btnNotifyTest,
+      audioRight, sliderVol, volChip, audioLine,
+      metaLeft, metaRight, modeChip,
+      chartCanvas, chartBtns,
+      armRight, armSliders, armChips, btnAutoStart,
+      engRight, engSliders, engChips, btnEngMedian, btnEngMean, btnEngReset,
+      multiRight, btnMulti, multiList,
+      profRight, profList, profName, btnProfSave, btnProfFile, btnProfCopy, btnProfOpen, btnProfPaste, profFile, profText,
+      bridgeRight, btnBridge, bridgeId, bridgeList, bridgeOrigins,
+      hookRight, btnHook, hookUrl, hookMethodBtns, btnHookSnap, hookHeaders, hookTemplate, btnHookTest, btnHookClearLog, hookLog,
+      schedRight, btnSched, schedTarget, btnSchedInherit, schedInputs,
+      detRight, btnDetAvg, btnDetBlob, btnLight, btnBgRef, btnBgGauss, sliderBgRate, bgRateChip, sliderBgFg, bgFgChip, sliderBlobPix, blobPixChip, sliderBlobArea, blobAreaChip,
+      opaRight, opaChip,
+      footerLeft,
+      sliderThr, sliderOpa,
+      btnAuto, btnReset, btnMin, btnClose,
+      btnPickAuto, btnPipette, btnBackAuto, btnCapture,
+      btnZoneAdd, btnZoneIgnore, btnZoneEdit, btnZoneUndo, btnZoneClear, zonesList,
+      btnShapeRect, btnShapePoly, btnShapeBrush,
+      heatRight, btnHeatOff, btnHeatLive, btnHeatAcc, sliderHeatMin, heatMinChip, btnHeatReset,
+      snapRight, snapStrip, snapEmpty, btnSnapExtra, btnSnapClear,
+      recRight, recList, recHint, btnRec, btnRecClear,
+      archRight, btnArchive, btnArchiveClear, archFilterBtns, archView, archViewMedia, archViewCap,
+      btnArchPrev, btnArchNext, btnArchDl, btnArchDel, btnArchClose, archList, sliderArchMB, archMBChip, sliderArchDays, archDaysChip,
+      journalRight, journalFilterBtns, journalList, btnJournalCsv, btnJournalJson, btnJournalClear, sliderJournalDays, journalDaysChip,
+      sliderRecPre, recPreChip, sliderRecPost, recPostChip,
+    };
+  }
+
+  // =========================
+  // STATE
+  // =========================
+  // Кто запустил скрипт: userscript и закладка (см. build-userscript.js) ставят метку перед кодом.
+  // Userscript срабатывает на каждой загрузке подходящей (@match) страницы, но панель поднимает
+  // только на сайтах с включённым «Автозапуском» — остальные страницы он не трогает
+  const LOADER = window.__videoMotionWatchLoader || 'console'; // console | userscript | bookmarklet
+  delete window.__videoMotionWatchLoader;
+  if (LOADER === 'userscript' && !getLSBool(LS_KEYS.autoStart, false)) return;
+
+  const UI = createUI();
+
+  // canvas анализа SAMPLE_W×SAMPLE_H. Видео без CORS «портит» canvas навсегда — после захвата вкладки берётся новый
+  function createSampleCtx() {
+    const cvs = document.createElement('canvas');
+    cvs.width = SAMPLE_W;
+    cvs.height = SAMPLE_H;
+    return cvs.getContext('2d', { willReadFrequently: true });
+  }
+
+  // Необязательное число: пусто/null/мусор → null (значит «брать общее значение»)
+  const optNum = (v, clampFn) => {
+    if (v === null || v === undefined || v === '') return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? clampFn(n) : null;
+  };
+
+  // Время «ЧЧ:ММ» ↔ минуты от полуночи (24:00 = 1440 — конец суток)
+  const parseHHMM = (str) => {
+    const m = /^(\d{1,2})(?::(\d{2}))?$/.exec(String(str).trim());
+    if (!m) return null;
+    const h = Number(m[1]), min = Number(m[2] || 0);
+    return min < 60 && h * 60 + min <= 1440 ? h * 60 + min : null;
+  };
+  const fmtHHMM = (t) => `${String(Math.floor(t / 60)).padStart(2, '0')}:${String(t % 60).padStart(2, '0')}`;
+
+  // Расписание = 7 списков окон [с, по] в минутах (0 — понедельник); не массив → null («своего расписания нет»)
+  const sanitizeSchedule = (days) => {
+    if (!Array.isArray(days)) return null;
+    return SCHEDULE.days.map((_, d) => (Array.isArray(days[d]) ? days[d] : [])
+      .map(w => [Math.round(Number(w?.[0])), Math.round(Number(w?.[1]))])
+      .filter(([a, b]) => a >= 0 && a <= 1440 && b >= 0 && b <= 1440 && a !== b)
+      .slice(0, SCHEDULE.maxWindows));
+  };
+
+  // Точка [x, y] в долях видео (0..1), округлённая до 4 знаков (меньше места в localStorage)
+  const sanitizePoint = (p) => {
+    const r4 = (v) => Math.round(clamp(Number(v) || 0, 0, 1) * 1e4) / 1e4;
+    return [r4(p?.[0]), r4(p?.[1])];
+  };
+
+  // Габаритный прямоугольник точек (padX/padY — запас по краям, например радиус кисти)
+  const pointsBBox = (pts, padX = 0, padY = 0) => {
+    let x0 = 1, y0 = 1, x1 = 0, y1 = 0;
+    for (const [px, py] of pts) {
+      x0 = Math.min(x0, px - padX); y0 = Math.min(y0, py - padY);
+      x1 = Math.max(x1, px + padX); y1 = Math.max(y1, py + padY);
+    }
+    x0 = clamp(x0, 0, 1); y0 = clamp(y0, 0, 1);
+    x1 = clamp(x1, 0, 1); y1 = clamp(y1, 0, 1);
+    return { x: x0, y: y0, w: Math.max(0, x1 - x0), h: Math.max(0, y1 - y0) };
+  };
+
+  // Объединение габаритов (для зоны-кисти из нескольких мазков)
+  const unionBBox = (a, b) => {
+    if (!a) return b;
+    const x0 = Math.min(a.x, b.x), y0 = Math.min(a.y, b.y);
+    const x1 = Math.max(a.x + a.w, b.x + b.w), y1 = Math.max(a.y + a.h, b.y + b.h);
+    return { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+  };
+
+  // Зона = форма в долях видео + собственные настройки:
+  // shape — 'rect' (x,y,w,h), 'poly' (points: [[x,y],…]) или 'mask' (strokes: [{ rx, ry, pts }] — мазки кисти);
+  //   у poly/mask x,y,w,h — габаритный прямоугольник формы (для бейджа и площади),
+  // type — 'include' (контролируемая) или 'ignore' (маска: эти пиксели исключаются из всех зон),
+  // name — название (пусто → «Зона N»), thr — свой порог (null → общий S.thr),
+  // hyst — свой коэффициент гистерезиса (null → NOISE_FILTER.hysteresisRatio), enabled — участвует ли в детекции,
+  // schedule — своё расписание охраны (null → общее; у зоны игнора не бывает)
   const sanitizeZone = (r) => {
+    const shape = ZONE_SHAPES.has(r?.shape) ? r.shape : 'rect';
+    const common = {
+      type: r?.type === 'ignore' ? 'ignore' : 'include',
+      name: String(r?.name ?? '').trim().slice(0, ZONE_NAME_MAX),
+      thr: optNum(r?.thr, clampThr),
+      hyst: optNum(r?.hyst, clampHyst),
+      enabled: r?.enabled !== false,
+      schedule: r?.type === 'ignore' ? null : sanitizeSchedule(r?.schedule),
+    };
+
+    if (shape === 'poly') {
+      const points = (Array.isArray(r.points) ? r.points : []).slice(0, POLY_MAX_POINTS).map(sanitizePoint);
+      // меньше трёх вершин — не многоугольник: нулевой размер, sanitizeZones такую зону отбросит
+      const bb = points.length >= 3 ? pointsBBox(points) : { x: 0, y: 0, w: 0, h: 0 };
+      return { ...bb, shape, points, ...common };
+    }
+
+    if (shape === 'mask') {
+      const strokes = [];
+      let budget = BRUSH.maxPoints;
+      let bb = null;
+      for (const st of (Array.isArray(r.strokes) ? r.strokes : [])) {
+        if (budget <= 0) break;
+        const pts = (Array.isArray(st?.pts) ? st.pts : []).slice(0, budget).map(sanitizePoint);
+        if (!pts.length) continue;
+        budget -= pts.length;
+        const rx = clamp(Number(st?.rx) || BRUSH.def, 0.002, 0.5);
+        const ry = clamp(Number(st?.ry) || rx, 0.002, 0.5);
+        strokes.push({ rx, ry, pts });
+        bb = unionBBox(bb, pointsBBox(pts, rx, ry));
+      }
+      return { ...(bb || { x: 0, y: 0, w: 0, h: 0 }), shape, strokes, ...common };
+    }
+
     const x = clamp(Number(r?.x ?? 0), 0, 1);
     const y = clamp(Number(r?.y ?? 0), 0, 1);
     const w = clamp(Number(r?.w ?? 1), 0, 1);
@@ -788,13 +2257,31 @@
     const h2 = clamp(h, ZONE_MIN_NORM, 1);
     const x2 = clamp(x, 0, 1 - w2);
     const y2 = clamp(y, 0, 1 - h2);
-    return { x: x2, y: y2, w: w2, h: h2 };
+    return { x: x2, y: y2, w: w2, h: h2, shape, ...common };
+  };
+
+  const isIgnoreZone = (z) => z?.type === 'ignore';
+  const zoneName = (z, i) => z?.name || `${isIgnoreZone(z) ? 'Игнор' : 'Зона'} ${i + 1}`;
+
+  // Перенос/масштаб зоны в новую рамку box = {x,y,w,h}: вершины многоугольника и мазки кисти
+  // пересчитываются относительно старой рамки, радиус кисти масштабируется вместе с ней
+  const fitZone = (z, box) => {
+    if (z.shape === 'rect') return sanitizeZone({ ...z, ...box });
+    const sx = box.w / (z.w || 1);
+    const sy = box.h / (z.h || 1);
+    const map = ([px, py]) => [box.x + (px - z.x) * sx, box.y + (py - z.y) * sy];
+    if (z.shape === 'poly') return sanitizeZone({ ...z, points: z.points.map(map) });
+    return sanitizeZone({
+      ...z,
+      strokes: z.strokes.map((st) => ({ rx: st.rx * sx, ry: st.ry * sy, pts: st.pts.map(map) })),
+    });
   };
 
   const sanitizeZones = (zones) => {
     if (!Array.isArray(zones)) return [];
     const out = [];
     for (const z of zones) {
+      if (!z || typeof z !== 'object') continue; // мусор из чужого файла — не зона на весь кадр
       const s = sanitizeZone(z);
       if (s.w >= ZONE_MIN_NORM && s.h >= ZONE_MIN_NORM) out.push(s);
       if (out.length >= ZONES_MAX) break;
@@ -802,8 +2289,56 @@
     return out;
   };
 
+  // Чтение зон из localStorage с поддержкой старого формата:
+  // v1 — массив прямоугольников [{x,y,w,h,…}] (без shape → 'rect'), v2 — { v: 2, zones: [...] }
+  const parseStoredZones = (raw) => {
+    if (Array.isArray(raw)) return sanitizeZones(raw);
+    if (raw && typeof raw === 'object' && Array.isArray(raw.zones)) return sanitizeZones(raw.zones);
+    return [];
+  };
+
+  const serializeZones = (zones) => ({ v: ZONES_VERSION, zones });
+
+  // Настройки профиля. Проверяются так же, как при чтении из localStorage: числа — clamp-хелперами,
+  // зоны — sanitizeZones; отсутствующее поле — значение по умолчанию. Исключение — engine: в профилях v1 его нет,
+  // и такой профиль параметры движка не трогает (иначе он молча сбросил бы их к умолчаниям)
+  const sanitizeProfileSettings = (o) => ({
+    thr: clampThr(o?.thr ?? THR.def),
+    zones: sanitizeZones(o?.zones),
+    alarmMode: alarmModeNormalize(o?.alarmMode),
+    volume: clampVol(o?.volume ?? VOL.def),
+    opacity: clampOpa(o?.opacity ?? OPA.def),
+    detector: DETECTORS.has(o?.detector) ? o.detector : 'avg',
+    blobPixThr: clampBlobPix(o?.blobPixThr ?? BLOB.pixThr.def),
+    blobMinArea: clampBlobArea(o?.blobMinArea ?? BLOB.minArea.def),
+    lightComp: !!o?.lightComp,
+    bgModel: BG_MODELS.has(o?.bgModel) ? o.bgModel : 'ref',
+    bgRate: clampBgRate(o?.bgRate ?? BG.rate.def),
+    bgFgPct: clampBgFg(o?.bgFgPct ?? BG.fgPct.def),
+    arm: sanitizeArm(o?.arm),
+    ...(o?.engine && typeof o.engine === 'object' ? { engine: sanitizeEngine(o.engine) } : {}),
+  });
+
+  const profileName = (name) => String(name ?? '').trim().slice(0, PROFILE.nameMax);
+
+  const sanitizeProfiles = (o) => {
+    const items = [];
+    for (const p of (Array.isArray(o?.items) ? o.items : [])) {
+      const name = profileName(p?.name);
+      if (!name || items.some(x => x.name === name)) continue;
+      items.push({ name, settings: sanitizeProfileSettings(p?.settings) });
+      if (items.length >= PROFILE.max) break;
+    }
+    return { active: items.some(p => p.name === o?.active) ? o.active : '', items };
+  };
+
+  const autoStart = getLSBool(LS_KEYS.autoStart, false);
+  const storedSchedule = getLSJSON(LS_KEYS.schedule, null); // { on, days }
+
   const S = {
-    enabled: true,
+    // с «Автозапуском» после перезагрузки (или падения вкладки) охрана возвращается в последнее состояние
+    enabled: autoStart ? getLSBool(LS_KEYS.armed, true) : true,
+    autoStart,
     blocked: false,
     calibrating: false,
     alarm: false,
@@ -815,22 +2350,75 @@
     alarmMode: alarmModeNormalize(getLSStr(LS_KEYS.alarmMod, 'both')),
     volume: clampVol(getLSNum(LS_KEYS.vol, VOL.def)),
     minimized: getLSBool(LS_KEYS.min, false),
+    snapExtra: getLSBool(LS_KEYS.snapExtra, true),
+    recEnabled: getLSBool(LS_KEYS.rec, false),
+    recPre: clampRecPre(getLSNum(LS_KEYS.recPre, REC.pre.def)),
+    recPost: clampRecPost(getLSNum(LS_KEYS.recPost, REC.post.def)),
+    journalDays: clampJournalDays(getLSNum(LS_KEYS.journalDays, JOURNAL.days.def)),
+    journalFilter: 'all',  // что показывает карточка «Журнал событий» (ключ JOURNAL.filters)
+    journalAlarm: null,    // идущая тревога для журнала: { rec, sum, n, zones: Set названий }
+    archive: sanitizeArchive(getLSJSON(LS_KEYS.archive, null)), // { on, maxMB, maxDays }
+    archiveFilter: 'all',  // что показывает карточка «Архив тревог» (ключ ARCHIVE.filters)
+    detector: DETECTORS.has(getLSStr(LS_KEYS.detector, 'avg')) ? getLSStr(LS_KEYS.detector, 'avg') : 'avg',
+    blobPixThr: clampBlobPix(getLSNum(LS_KEYS.blobPix, BLOB.pixThr.def)),
+    blobMinArea: clampBlobArea(getLSNum(LS_KEYS.blobArea, BLOB.minArea.def)),
+    lightComp: getLSBool(LS_KEYS.lightComp, false),
+    bgModel: BG_MODELS.has(getLSStr(LS_KEYS.bgModel, 'ref')) ? getLSStr(LS_KEYS.bgModel, 'ref') : 'ref',
+    bgRate: clampBgRate(getLSNum(LS_KEYS.bgRate, BG.rate.def)),
+    bgFgPct: clampBgFg(getLSNum(LS_KEYS.bgFg, BG.fgPct.def)),
+    lightCells: null,      // яркость ячеек прошлого кадра (для распознавания смены освещения)
+    lightHoldUntil: 0,     // до какого момента (performance.now) подавлять новые тревоги после смены освещения
+    bridgeOn: getLSBool(LS_KEYS.bridge, true),
+    bridgeOrigins: sanitizeBridgeOrigins(getLSJSON(LS_KEYS.bridgeOrigins, [])), // кроме своего сайта
+    multi: sanitizeMulti(getLSJSON(LS_KEYS.multi, null)), // { on, off: Set номеров видео, которые не отслеживать, src, pick }
+    profiles: sanitizeProfiles(getLSJSON(LS_KEYS.profiles, null)), // { active, items: [{ name, settings }] }
+    chan: 0,               // номер основного видео среди <video> страницы; вне режима — 0
+    slot: 0,               // номер набора зон и порога основного видео (см. Channels.assignSlots); вне режима — 0
+    hook: sanitizeHook(getLSJSON(LS_KEYS.hook, null)),
+    arm: sanitizeArm(getLSJSON(LS_KEYS.arm, null)),
+    engine: sanitizeEngine(getLSJSON(LS_KEYS.engine, null)), // см. ENGINE; в рабочие переменные — setEngineVars()
+    armUntil: 0,           // performance.now(), когда кончится задержка на выход (0 — уже на охране)
+    confirmCount: 0,       // кадров подряд с зонами в тревоге, пока общая тревога не поднята
+    confirmSince: 0,       // с какого момента идёт этот счёт
+    alarmSince: 0,         // когда поднялась текущая тревога
+    cooldownUntil: 0,      // до какого момента не поднимать новую тревогу
+    schedOn: !!storedSchedule?.on,
+    schedDays: sanitizeSchedule(storedSchedule?.days) || sanitizeSchedule(SCHEDULE.def),
+    schedOut: false,          // сейчас вне расписания — детектор снят с охраны
+    schedZonesOff: new Set(), // индексы зон, снятых с охраны расписанием (своим или общим)
+    schedTarget: -1,          // чьё расписание открыто в карточке: -1 — общее, иначе индекс зоны
+    heatMode: HEAT_MODES.has(getLSStr(LS_KEYS.heatMode, 'off')) ? getLSStr(LS_KEYS.heatMode, 'off') : 'off',
+    heatMinutes: clampHeatMin(getLSNum(LS_KEYS.heatMin, HEAT.minutes.def)),
+    chartSec: CHART.sec.list.includes(getLSNum(LS_KEYS.chartSec, CHART.sec.def)) ? getLSNum(LS_KEYS.chartSec, CHART.sec.def) : CHART.sec.def,
 
     manualVideo: null,
     video: null,
+    announcedVideo: null, // последнее видео, о котором сообщили событием video:bound
 
-    zones: sanitizeZones(getLSJSON(LS_KEYS.zones, [])),
+    zones: parseStoredZones(getLSJSON(LS_KEYS.zones, [])),
+    drawShape: ZONE_SHAPES.has(getLSStr(LS_KEYS.drawShape, 'rect')) ? getLSStr(LS_KEYS.drawShape, 'rect') : 'rect',
     zoneEls: [],
+    blobs: [],             // пятна последнего кадра (режим «объекты»): { key, x0, y0, x1, y1, area, hit } в пикселях кадра анализа
+    blobEls: [],
 
     drawDrag: null,
+    drawPath: null,        // рисование многоугольника/кисти: { shape, vr, pts, strokes, hover, painting }
+    brushR: BRUSH.def,     // радиус кисти (доля ширины видео)
 
     prev: null,
     ref: null,
     refCounter: 0,
 
     d: 0, dPrev: 0, dRef: 0,
-    diffBuffer: [],        // буфер последних значений разницы для фильтрации шума
     dFiltered: 0,          // отфильтрованное значение разницы (после временной фильтрации)
+    filterReady: false,    // буфер фильтра набрал достаточно кадров
+    // Состояние каждой зоны: ключ = индекс зоны (-1 — всё видео, когда зон нет)
+    // значение = { buffer, d, dFiltered, alarm }
+    zoneState: new Map(),
+    alarmZones: [],        // ключи зон, которые сейчас в тревоге
+    zoneRows: [],          // строки списка зон в панели (для живого Δ)
+    ignoreMask: null,      // Uint8Array SAMPLE_W*SAMPLE_H: 1 — пиксель в зоне игнора (null — масок нет)
+    drawType: 'include',   // тип зоны, которую сейчас рисуем
     status: 'инициализация…',
 
     stop: false,
@@ -848,6 +2436,18 @@
     zMoveH: null,
     zUpH: null,
     zKeyH: null,
+    zDblH: null,
+    zClickH: null,
+
+    editingZones: false,   // режим редактирования зон
+    editSel: -1,           // индекс выбранной зоны (-1 — нет)
+    editDrag: null,        // перенос/растяжение: { i, mode: 'move'|'nw'|'ne'|'sw'|'se', startX, startY, vr, zone0, moved }
+    nudgeTimer: 0,         // отложенный сброс отслеживания после сдвига зоны стрелками
+    eDownH: null,
+    eMoveH: null,
+    eUpH: null,
+    eCtxH: null,
+    eKeyH: null,
 
     onViewportChange: null,
 
@@ -863,6 +2463,9 @@
     headerDblH: null,
   };
 
+  setEngineVars(S.engine);
+  let ctx = createSampleCtx();
+
   UI.sliderThr.value = String(S.thr);
   UI.sliderOpa.value = String(S.opacity);
   UI.overlay.style.opacity = String(S.opacity);
@@ -870,6 +2473,19 @@
   UI.sliderVol.value = String(S.volume);
   Audio.volume = S.volume;
 
+  UI.sliderRecPre.value = String(S.recPre);
+  UI.sliderRecPost.value = String(S.recPost);
+  UI.sliderJournalDays.value = String(S.journalDays);
+  UI.sliderArchMB.value = String(S.archive.maxMB);
+  UI.sliderArchDays.value = String(S.archive.maxDays);
+  UI.sliderHeatMin.value = String(S.heatMinutes);
+  UI.sliderBlobPix.value = String(S.blobPixThr);
+  UI.sliderBgRate.value = String(S.bgRate);
+  UI.sliderBgFg.value = String(S.bgFgPct);
+  UI.sliderBlobArea.value = String(S.blobMinArea);
+  for (const key of Object.keys(ARM)) UI.armSliders[key].value = String(S.arm[key]);
+  for (const key of Object.keys(ENGINE)) UI.engSliders[key].value = String(S.engine[key]);
+
   // =========================
   // DRAG PANEL / MINI + SAVE POS
   // =========================
@@ -1051,23 +2667,142 @@
   // =========================
   // VIDEO SELECTION
   // =========================
+  // «Видео» здесь — любой источник кадров: <video>, <canvas>, <img> (MJPEG) или BitmapFeed.
+  // Зоны, оверлеи и детектор работают с ним одинаково, различаются только размер кадра и то, как ждать новый кадр.
+
+  // ImageBitmap-источник: кадры приносит сама страница через setSource(bitmap).
+  // Объект постоянный — от кадра к кадру меняется только bitmap внутри, S.video остаётся тем же.
+  const BitmapFeed = { bitmap: null };
+
+  const NO_RECT = { left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0 };
+
+  // Что рисовать в canvas анализа
+  function sourceImage(src) {
+    return src === BitmapFeed ? BitmapFeed.bitmap : src;
+  }
+
+  // Собственный размер кадра источника (0×0 — кадра ещё нет; у закрытого ImageBitmap тоже 0×0)
+  function sourceSize(src) {
+    if (src === BitmapFeed) return { w: src.bitmap?.width || 0, h: src.bitmap?.height || 0 };
+    if (src instanceof HTMLVideoElement) return { w: src.videoWidth, h: src.videoHeight };
+    if (src instanceof HTMLImageElement) return { w: src.naturalWidth, h: src.naturalHeight };
+    if (src instanceof HTMLCanvasElement) return { w: src.width, h: src.height };
+    return { w: 0, h: 0 };
+  }
+
+  // Источник — элемент страницы (есть место на экране для зон, рамок и пипетки); у BitmapFeed его нет
+  function isPageSource(src) {
+    return src instanceof Element;
+  }
+
+  function sourceRect(src) {
+    return isPageSource(src) ? src.getBoundingClientRect() : NO_RECT;
+  }
+
+  // Элемент на месте / у BitmapFeed есть кадр
+  function sourceAttached(src) {
+    return src === BitmapFeed ? !!BitmapFeed.bitmap : !!src && document.contains(src);
+  }
+
+  // Свои элементы (график, тепловая карта, миниатюры снимков) источником не считаем
+  function isOwnElement(el) {
+    return [UI.panel, UI.mini, UI.heatCanvas].some(x => x.contains(el));
+  }
+
+  // <video> годится всегда; <canvas>/<img> — если не наш и заметного размера на экране
+  function isSourceCandidate(el) {
+    if (el instanceof HTMLVideoElement) return true;
+    if (!(el instanceof HTMLCanvasElement || el instanceof HTMLImageElement) || isOwnElement(el)) return false;
+    const r = el.getBoundingClientRect();
+    return r.width >= SOURCE.minW && r.height >= SOURCE.minH;
+  }
+
+  // Источники страницы для режима «Несколько видео»: сначала все <video> (их номера не зависят от картинок
+  // на странице), потом основной и выбранные пипеткой или setSource() <canvas>/<img> — крупная картинка
+  // на странице ещё не камера.
+  // Channels.sync берёт список на каждом кадре, поэтому он кэшируется: сбрасывают его наблюдатель DOM (S.mo),
+  // смена размеров окна и выбор пипеткой, а на случай перемен без них — SOURCE.rescanMs
+  const Sources = {
+    cache: null,
+    at: 0,
+    picked: new WeakSet(), // выбранные пипеткой <canvas>/<img>; после перезагрузки узнаются по S.multi.pick
+
+    list() {
+      const now = performance.now();
+      if (!this.cache || now - this.at > SOURCE.rescanMs) {
+        const vids = Array.from(document.querySelectorAll('video'));
+        const other = Array.from(document.querySelectorAll('canvas, img')).filter(el => this.isPicked(el) && isSourceCandidate(el));
+        this.cache = vids.concat(other);
+        this.at = now;
+      }
+      return this.cache;
+    },
+
+    isPicked(el) {
+      if (el === S.video || this.picked.has(el)) return true;
+      const key = sourceKey(el);
+      return !!key && S.multi.pick.includes(key);
+    },
+
+    // Пипетка или setSource() выбрали <canvas>/<img> — с этих пор он тоже камера в режиме «Несколько видео»
+    pick(el) {
+      if (!(el instanceof HTMLCanvasElement || el instanceof HTMLImageElement)) return;
+      this.picked.add(el);
+      const key = sourceKey(el);
+      if (key && !S.multi.pick.includes(key)) {
+        S.multi.pick = [...S.multi.pick, key].slice(-MULTI.max);
+        Channels.save();
+      }
+      this.reset();
+    },
+
+    reset() {
+      this.cache = null;
+    },
+
+    // Записи MutationObserver: появился или пропал <video>/<canvas>/<img>
+    touched(records) {
+      const hit = (n) => n.nodeType === 1 && (n.matches(SOURCE.selector) || !!n.querySelector(SOURCE.selector));
+      return records.some(r => [...r.addedNodes, ...r.removedNodes].some(hit));
+    },
+  };
+
+  // Метка источника, по которой его можно узнать после перезагрузки: id элемента или адрес
+  // (blob: и data: каждый раз новые); '' — узнать нельзя
+  function sourceKey(el) {
+    if (!(el instanceof Element)) return '';
+    if (el.id) return `#${el.id}`;
+    const src = el.currentSrc || el.src || '';
+    return /^(blob|data):/i.test(src) ? '' : src.slice(0, SOURCE.keyMax);
+  }
+
   // Проверка валидности видео элемента
   function isValidVideo(video) {
-    return video && document.contains(video) && video.readyState >= 2 && video.videoWidth > 0 && video.videoHeight > 0;
+    if (!sourceAttached(video)) return false;
+    if (video instanceof HTMLVideoElement && video.readyState < 2) return false;
+    const { w, h } = sourceSize(video);
+    return w > 0 && h > 0;
   }
 
   function pickVideoAuto() {
+    const bySize = (a, b) => (b.clientWidth * b.clientHeight) - (a.clientWidth * a.clientHeight);
     const vids = Array.from(document.querySelectorAll('video'));
     const playing = vids.find(v => !v.paused && !v.ended && v.readyState >= 2 && v.videoWidth > 0);
     if (playing) return playing;
 
-    return vids
+    const best = vids
       .filter(v => v.readyState >= 2 && v.videoWidth > 0 && v.videoHeight > 0)
-      .sort((a, b) => (b.clientWidth * b.clientHeight) - (a.clientWidth * a.clientHeight))[0] || null;
+      .sort(bySize)[0];
+    if (best) return best;
+
+    // <video> нет — самый крупный <canvas>/<img> с кадром (WebRTC/WASM-плеер, MJPEG-камера)
+    return Array.from(document.querySelectorAll('canvas, img'))
+      .filter(el => isSourceCandidate(el) && isValidVideo(el))
+      .sort(bySize)[0] || null;
   }
 
   function resolveVideo() {
-    if (S.manualVideo && document.contains(S.manualVideo)) return S.manualVideo;
+    if (S.manualVideo && sourceAttached(S.manualVideo)) return S.manualVideo;
     if (TARGET_SELECTOR === 'auto') return pickVideoAuto();
     return document.querySelector(TARGET_SELECTOR);
   }
@@ -1095,11 +2830,17 @@
             clearTimeout(t);
             finish(true);
           });
-        } else {
+        } else if (v instanceof HTMLVideoElement) {
           requestAnimationFrame(() => {
             clearTimeout(t);
             finish(true);
           });
+        } else {
+          // canvas, img и ImageBitmap о новых кадрах не сообщают — берём кадр раз в SOURCE.pollMs
+          setTimeout(() => {
+            clearTimeout(t);
+            finish(true);
+          }, SOURCE.pollMs);
         }
       } catch {
         clearTimeout(t);
@@ -1108,25 +2849,30 @@
     });
   }
 
+  // Кадр S.video в разрешении анализа (у каждого из остальных видео — свой canvas, см. Channels.create)
   function captureFrame() {
-    ctx.drawImage(S.video, 0, 0, SAMPLE_W, SAMPLE_H);
-    return ctx.getImageData(0, 0, SAMPLE_W, SAMPLE_H).data;
+    const c = Channels.current?.ctx || ctx;
+    if (Capture.covers(S.video)) Capture.draw(c, SAMPLE_W, SAMPLE_H);
+    else c.drawImage(sourceImage(S.video), 0, 0, SAMPLE_W, SAMPLE_H);
+    return c.getImageData(0, 0, SAMPLE_W, SAMPLE_H).data;
   }
 
+  // Зоны в S.zones уже прошли sanitizeZone (при загрузке, рисовании и правке) — здесь только пересчёт в пиксели,
+  // он вызывается для каждой зоны на каждом кадре
   function zonesToSampleBounds(zones) {
     if (!zones.length) return [{ x0: 0, y0: 0, x1: SAMPLE_W, y1: SAMPLE_H }];
 
     return zones.map(z => {
-      const r = sanitizeZone(z);
-      const x0 = clamp(Math.floor(r.x * SAMPLE_W), 0, SAMPLE_W - 1);
-      const y0 = clamp(Math.floor(r.y * SAMPLE_H), 0, SAMPLE_H - 1);
-      const x1 = clamp(Math.ceil((r.x + r.w) * SAMPLE_W), x0 + 1, SAMPLE_W);
-      const y1 = clamp(Math.ceil((r.y + r.h) * SAMPLE_H), y0 + 1, SAMPLE_H);
+      const x0 = clamp(Math.floor(z.x * SAMPLE_W), 0, SAMPLE_W - 1);
+      const y0 = clamp(Math.floor(z.y * SAMPLE_H), 0, SAMPLE_H - 1);
+      const x1 = clamp(Math.ceil((z.x + z.w) * SAMPLE_W), x0 + 1, SAMPLE_W);
+      const y1 = clamp(Math.ceil((z.y + z.h) * SAMPLE_H), y0 + 1, SAMPLE_H);
       return { x0, y0, x1, y1 };
     });
   }
 
-  function avgDiffPerChannelROI(curr, prev, bounds) {
+  // mask (необязательно) — Uint8Array SAMPLE_W*SAMPLE_H, пиксели с 1 пропускаются (зоны игнора)
+  function avgDiffPerChannelROI(curr, prev, bounds, mask = null) {
     const { x0, y0, x1, y1 } = bounds;
     let sum = 0;
     let count = 0;
@@ -1135,6 +2881,7 @@
     for (let y = y0; y < y1; y += s) {
       let idx = (y * SAMPLE_W + x0) * 4;
       for (let x = x0; x < x1; x += s) {
+        if (mask && mask[y * SAMPLE_W + x]) { idx += s * 4; continue; }
         sum += Math.abs(curr[idx]     - prev[idx]);
         sum += Math.abs(curr[idx + 1] - prev[idx + 1]);
         sum += Math.abs(curr[idx + 2] - prev[idx + 2]);
@@ -1145,69 +2892,417 @@
     return count ? (sum / (count * 3)) : 0;
   }
 
-  function motionAcrossZones(currArr, prevArr, boundsList) {
+  // Максимум разницы по целям детекции (targets из zoneTargets — у каждой свои границы и маска)
+  function motionAcrossZones(currArr, prevArr, targets) {
     let maxD = 0;
-    for (const b of boundsList) {
-      const d = avgDiffPerChannelROI(currArr, prevArr, b);
+    for (const t of targets) {
+      const d = avgDiffPerChannelROI(currArr, prevArr, t.bounds, t.mask);
       if (d > maxD) maxD = d;
     }
     return maxD;
   }
 
-  function computeAutoThreshold(diffs) {
-    const sorted = diffs.slice().sort((a, b) => a - b);
-    const cut = Math.floor(sorted.length * (1 - CAL.trimTop));
-    const trimmed = sorted.slice(0, Math.max(10, cut));
+  // Детектор «объекты»: разница считается по блокам BLOB.block×BLOB.block пикселей кадра анализа
+  // (при шаге пикселей больше блока — по блокам в шаг: иначе часть блоков не попадёт ни в одну выборку,
+  // и объект распадётся на несвязные кусочки меньше минимальной площади).
+  // Блок «изменился», если средняя разница его пикселей (с прошлым или опорным кадром) больше pixThr.
+  // Соседние изменившиеся блоки (8-связность) объединяются в пятна; area — доля блоков зоны, %.
+  // Рамки пятен — в пикселях кадра анализа, отсортированы по убыванию площади.
+  // fg (необязательно) — маска переднего плана модели фона: тогда блок «изменился», если в нём больше половины таких пикселей.
+  function detectBlobs(curr, prev, ref, bounds, mask, pixThr, fg = null) {
+    const { x0, y0, x1, y1 } = bounds;
+    const B = Math.max(BLOB.block, PIXEL_STRIDE);
+    const gw = Math.ceil((x1 - x0) / B);
+    const gh = Math.ceil((y1 - y0) / B);
+    const sum = new Float32Array(gw * gh);
+    const cnt = new Uint16Array(gw * gh);
+    const s = Math.max(1, PIXEL_STRIDE);
 
-    const m = median(trimmed);
-    const absDev = trimmed.map(x => Math.abs(x - m));
-    const mad = median(absDev);
-    const robustStd = 1.4826 * mad;
+    for (let y = y0; y < y1; y += s) {
+      const row = (((y - y0) / B) | 0) * gw;
+      for (let x = x0; x < x1; x += s) {
+        if (mask && mask[y * SAMPLE_W + x]) continue;
+        const c = row + (((x - x0) / B) | 0);
+        cnt[c]++;
+        if (fg) {
+          sum[c] += fg[y * SAMPLE_W + x] * 255;
+          continue;
+        }
+        const idx = (y * SAMPLE_W + x) * 4;
+        const dp = Math.abs(curr[idx] - prev[idx]) + Math.abs(curr[idx + 1] - prev[idx + 1]) + Math.abs(curr[idx + 2] - prev[idx + 2]);
+        const dr = ref
+          ? Math.abs(curr[idx] - ref[idx]) + Math.abs(curr[idx + 1] - ref[idx + 1]) + Math.abs(curr[idx + 2] - ref[idx + 2])
+          : dp;
+        sum[c] += Math.max(dp, dr) / 3;
+      }
+    }
 
-    const robustThr = m + CAL.madK * robustStd;
-    const p95 = percentile(trimmed, 0.95);
+    // Блоки зоны (хотя бы один пиксель вне масок) и изменившиеся среди них
+    let total = 0;
+    const on = new Uint8Array(gw * gh);
+    const blockThr = fg ? 127 : pixThr;
+    for (let c = 0; c < on.length; c++) {
+      if (!cnt[c]) continue;
+      total++;
+      if (sum[c] / cnt[c] > blockThr) on[c] = 1;
+    }
+    if (!total) return { area: 0, blobs: [] };
+
+    // Связные компоненты обходом в глубину (on[c] = 2 — блок уже в пятне)
+    const blobs = [];
+    const stack = [];
+    for (let c0 = 0; c0 < on.length; c0++) {
+      if (on[c0] !== 1) continue;
+      let n = 0, bx0 = gw, by0 = gh, bx1 = 0, by1 = 0;
+      on[c0] = 2;
+      stack.push(c0);
+      while (stack.length) {
+        const c = stack.pop();
+        const cx = c % gw, cy = (c / gw) | 0;
+        n++;
+        if (cx < bx0) bx0 = cx;
+        if (cx > bx1) bx1 = cx;
+        if (cy < by0) by0 = cy;
+        if (cy > by1) by1 = cy;
+        for (let dy = -1; dy <= 1; dy++) {
+          const ny = cy + dy;
+          if (ny < 0 || ny >= gh) continue;
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = cx + dx;
+            if (nx < 0 || nx >= gw) continue;
+            const nc = ny * gw + nx;
+            if (on[nc] === 1) { on[nc] = 2; stack.push(nc); }
+          }
+        }
+      }
+      blobs.push({
+        x0: x0 + bx0 * B,
+        y0: y0 + by0 * B,
+        x1: Math.min(x1, x0 + (bx1 + 1) * B),
+        y1: Math.min(y1, y0 + (by1 + 1) * B),
+        area: (n / total) * 100,
+      });
+    }
 
-    return clampThr(Math.max(p95, robustThr) * CAL.safety);
+    blobs.sort((a, b) => b.area - a.area);
+    return { area: blobs[0]?.area || 0, blobs };
   }
 
   // =========================
-  // VISUALS (boxes)
+  // BACKGROUND MODEL (адаптивный фон)
   // =========================
-  function placeBoxAbs(el, left, top, w, h) {
-    el.style.display = 'block';
-    el.style.transform = `translate(${Math.round(left)}px, ${Math.round(top)}px)`;
-    el.style.width = `${Math.round(w)}px`;
-    el.style.height = `${Math.round(h)}px`;
-  }
+  // Для каждого пикселя кадра анализа — бегущие среднее и дисперсия яркости (одна гауссиана).
+  // Пиксель — передний план, если отличается от среднего больше чем на BG.k сигм (и не меньше BG.minDiff).
+  // Фон учится со скоростью S.bgRate, пиксели переднего плана — в BG.fgSlow раз медленнее:
+  // медленный объект не «растворяется» в фоне, а листва и рябь набирают дисперсию и перестают срабатывать.
+  const Background = {
+    mean: null,   // Float32Array SAMPLE_W*SAMPLE_H
+    vari: null,   // Float32Array SAMPLE_W*SAMPLE_H
+    fg: null,     // Uint8Array SAMPLE_W*SAMPLE_H — маска переднего плана последнего кадра
+    frames: 0,
+
+    reset() {
+      this.mean = this.vari = this.fg = null;
+      this.frames = 0;
+    },
 
-  function hideBox(el) {
-    el.style.display = 'none';
-    el.style.transform = 'translate(-99999px, -99999px)';
+    // Фон ещё учится — маске пока нельзя верить
+    ready() {
+      return this.frames >= BG.warmup;
+    },
+
+    // Учит модель кадром и возвращает маску переднего плана
+    update(frame) {
+      const n = SAMPLE_W * SAMPLE_H;
+      if (!this.mean) {
+        this.mean = new Float32Array(n);
+        this.vari = new Float32Array(n).fill(BG.initVar);
+        this.fg = new Uint8Array(n);
+        for (let p = 0, i = 0; p < n; p++, i += 4) {
+          this.mean[p] = 0.299 * frame[i] + 0.587 * frame[i + 1] + 0.114 * frame[i + 2];
+        }
+        this.frames = 1;
+        return this.fg;
+      }
+
+      // в начале учимся быстро, чтобы фон сложился за BG.warmup кадров
+      const rate = this.ready() ? S.bgRate : Math.max(S.bgRate, 1 / (this.frames + 1));
+      const rateFg = rate * BG.fgSlow;
+      const k2 = BG.k * BG.k;
+      const { mean, vari, fg } = this;
+
+      for (let p = 0, i = 0; p < n; p++, i += 4) {
+        const l = 0.299 * frame[i] + 0.587 * frame[i + 1] + 0.114 * frame[i + 2];
+        const d = l - mean[p];
+        const d2 = d * d;
+        const isFg = d2 > k2 * vari[p] && Math.abs(d) > BG.minDiff;
+        fg[p] = isFg ? 1 : 0;
+        const r = isFg ? rateFg : rate;
+        mean[p] += r * d;
+        vari[p] = clamp(vari[p] + r * (d2 - vari[p]), BG.minVar, BG.maxVar);
+      }
+      this.frames++;
+      return fg;
+    },
+  };
+
+  // Доля пикселей переднего плана в зоне, % (пиксели масок не считаются)
+  function foregroundPctROI(fg, bounds, mask = null) {
+    const { x0, y0, x1, y1 } = bounds;
+    const s = Math.max(1, PIXEL_STRIDE);
+    let hits = 0, count = 0;
+    for (let y = y0; y < y1; y += s) {
+      for (let x = x0; x < x1; x += s) {
+        const p = y * SAMPLE_W + x;
+        if (mask && mask[p]) continue;
+        hits += fg[p];
+        count++;
+      }
+    }
+    return count ? (hits / count) * 100 : 0;
   }
 
-  function updateActiveHighlight() {
-    if (!ACTIVE_HIGHLIGHT_ENABLED) return;
+  // =========================
+  // LIGHTING (компенсация освещения)
+  // =========================
+  // Яркость кадра: средняя и СКО по всему кадру (без зон игнора) и средняя по ячейкам сетки LIGHT.grid
+  function lumaStats(frame, mask) {
+    const { cols, rows } = LIGHT.grid;
+    const cells = new Float32Array(cols * rows);
+    const counts = new Uint16Array(cols * rows);
+    const s = Math.max(1, PIXEL_STRIDE);
+    let sum = 0, sum2 = 0, n = 0;
+
+    for (let y = 0; y < SAMPLE_H; y += s) {
+      const row = ((y * rows / SAMPLE_H) | 0) * cols;
+      for (let x = 0; x < SAMPLE_W; x += s) {
+        if (mask && mask[y * SAMPLE_W + x]) continue;
+        const i = (y * SAMPLE_W + x) * 4;
+        const l = 0.299 * frame[i] + 0.587 * frame[i + 1] + 0.114 * frame[i + 2];
+        sum += l;
+        sum2 += l * l;
+        n++;
+        const c = row + ((x * cols / SAMPLE_W) | 0);
+        cells[c] += l;
+        counts[c]++;
+      }
+    }
+    for (let c = 0; c < cells.length; c++) cells[c] = counts[c] ? cells[c] / counts[c] : NaN;
 
-    const shouldShow =
-      !S.minimized &&
-      !S.blocked &&
-      S.enabled &&
-      !S.alarm &&
-      !S.picking &&
-      !S.drawingZone &&
-      isValidVideo(S.video);
+    const mean = n ? sum / n : 0;
+    const std = n ? Math.sqrt(Math.max(0, sum2 / n - mean * mean)) : 0;
+    return { mean, std, cells };
+  }
 
-    if (!shouldShow) return hideBox(UI.activeBox);
+  // Нормировка яркости и контраста: кадр приводится к средней LIGHT.mean и СКО LIGHT.std,
+  // поэтому общий сдвиг экспозиции (облако, автоэкспозиция камеры) не даёт разницы между кадрами
+  function normalizeFrame(frame, stats) {
+    const gain = clamp(LIGHT.std / Math.max(stats.std, LIGHT.minStd), 1 / LIGHT.maxGain, LIGHT.maxGain);
+    const offset = LIGHT.mean - stats.mean * gain;
+    const out = new Uint8ClampedArray(frame.length);
+    for (let i = 0; i < frame.length; i += 4) {
+      out[i]     = frame[i]     * gain + offset;
+      out[i + 1] = frame[i + 1] * gain + offset;
+      out[i + 2] = frame[i + 2] * gain + offset;
+      out[i + 3] = 255;
+    }
+    return out;
+  }
 
-    const r = S.video.getBoundingClientRect();
-    if (r.width <= 1 || r.height <= 1) return hideBox(UI.activeBox);
-    placeBoxAbs(UI.activeBox, r.left, r.top, r.width, r.height);
+  // Равномерная смена освещения: почти все ячейки кадра разом стали светлее (или темнее).
+  // Движение объекта меняет яркость лишь в части ячеек, поэтому под это правило не попадает.
+  function isUniformLightChange(cells, prevCells) {
+    if (!prevCells || prevCells.length !== cells.length) return false;
+    let up = 0, down = 0, n = 0;
+    for (let c = 0; c < cells.length; c++) {
+      if (Number.isNaN(cells[c]) || Number.isNaN(prevCells[c])) continue;
+      n++;
+      const dl = cells[c] - prevCells[c];
+      if (dl > LIGHT.cellDelta) up++;
+      else if (dl < -LIGHT.cellDelta) down++;
+    }
+    return n > 0 && Math.max(up, down) / n >= LIGHT.uniformShare;
   }
 
-  function reconcileZoneEls(count) {
-    while (S.zoneEls.length < count) {
-      const el = document.createElement('div');
-      Object.assign(el.style, {
+  // Кадр для сравнения: с компенсацией — нормированный, иначе — копия как есть
+  function prepareFrame(raw) {
+    const stats = S.lightComp ? lumaStats(raw, S.ignoreMask) : null;
+    return { arr: stats ? normalizeFrame(raw, stats) : new Uint8ClampedArray(raw), stats };
+  }
+
+  // =========================
+  // ZONE MASKS (растеризация форм)
+  // =========================
+  // Любая зона превращается в маску SAMPLE_W×SAMPLE_H (1 — пиксель внутри зоны).
+  // Пиксель считается внутри, если внутри его центр. Маски кэшируются на объект зоны:
+  // saveZones() создаёт новые объекты, поэтому после изменения зон кэш обновляется сам.
+  let zoneMaskCache = new WeakMap(); // пересоздаётся при смене разрешения анализа (applyEngine)
+
+  // Многоугольник: построчная заливка по правилу чётности (even-odd)
+  function fillPolygon(mask, pts) {
+    const n = pts.length;
+    for (let y = 0; y < SAMPLE_H; y++) {
+      const py = (y + 0.5) / SAMPLE_H;
+      const xs = [];
+      for (let i = 0, j = n - 1; i < n; j = i++) {
+        const [xi, yi] = pts[i];
+        const [xj, yj] = pts[j];
+        if ((yi > py) !== (yj > py)) xs.push(xi + (py - yi) * (xj - xi) / (yj - yi));
+      }
+      xs.sort((a, b) => a - b);
+      for (let k = 0; k + 1 < xs.length; k += 2) {
+        const xa = clamp(Math.ceil(xs[k] * SAMPLE_W - 0.5), 0, SAMPLE_W);
+        const xb = clamp(Math.floor(xs[k + 1] * SAMPLE_W - 0.5) + 1, 0, SAMPLE_W);
+        if (xb > xa) mask.fill(1, y * SAMPLE_W + xa, y * SAMPLE_W + xb);
+      }
+    }
+  }
+
+  // Мазок кисти: «капсулы» вокруг отрезков между точками. Радиус по x и y задан отдельно (rx, ry),
+  // поэтому считаем в координатах, где кисть — единичный круг.
+  function paintStroke(mask, { rx, ry, pts }) {
+    const segs = Math.max(1, pts.length - 1);
+    for (let s = 0; s < segs; s++) {
+      const [ax, ay] = pts[s];
+      const [bx, by] = pts[Math.min(s + 1, pts.length - 1)];
+
+      const x0 = clamp(Math.floor((Math.min(ax, bx) - rx) * SAMPLE_W), 0, SAMPLE_W - 1);
+      const x1 = clamp(Math.ceil((Math.max(ax, bx) + rx) * SAMPLE_W), 0, SAMPLE_W - 1);
+      const y0 = clamp(Math.floor((Math.min(ay, by) - ry) * SAMPLE_H), 0, SAMPLE_H - 1);
+      const y1 = clamp(Math.ceil((Math.max(ay, by) + ry) * SAMPLE_H), 0, SAMPLE_H - 1);
+
+      const ux = (bx - ax) / rx, uy = (by - ay) / ry;
+      const len2 = ux * ux + uy * uy;
+
+      for (let y = y0; y <= y1; y++) {
+        const qy = ((y + 0.5) / SAMPLE_H - ay) / ry;
+        for (let x = x0; x <= x1; x++) {
+          const qx = ((x + 0.5) / SAMPLE_W - ax) / rx;
+          const t = len2 ? clamp((qx * ux + qy * uy) / len2, 0, 1) : 0;
+          const dx = qx - t * ux, dy = qy - t * uy;
+          if (dx * dx + dy * dy <= 1) mask[y * SAMPLE_W + x] = 1;
+        }
+      }
+    }
+  }
+
+  function rasterZone(z) {
+    let mask = zoneMaskCache.get(z);
+    if (mask) return mask;
+
+    mask = new Uint8Array(SAMPLE_W * SAMPLE_H);
+    if (z.shape === 'poly') {
+      fillPolygon(mask, z.points);
+    } else if (z.shape === 'mask') {
+      for (const st of z.strokes) paintStroke(mask, st);
+    } else {
+      const { x0, y0, x1, y1 } = zonesToSampleBounds([z])[0];
+      for (let y = y0; y < y1; y++) mask.fill(1, y * SAMPLE_W + x0, y * SAMPLE_W + x1);
+    }
+    zoneMaskCache.set(z, mask);
+    return mask;
+  }
+
+  // Маска зон игнора в разрешении сэмпла: 1 — пиксель исключается из подсчёта разницы.
+  // Пересобирается при каждом сохранении зон (saveZones).
+  function buildIgnoreMask(zones) {
+    const ignores = zones.filter(z => isIgnoreZone(z) && z.enabled);
+    if (!ignores.length) return null;
+
+    const mask = new Uint8Array(SAMPLE_W * SAMPLE_H);
+    for (const z of ignores) {
+      const zm = rasterZone(z);
+      for (let i = 0; i < mask.length; i++) if (zm[i]) mask[i] = 1;
+    }
+    return mask;
+  }
+
+  // Маска «пропустить пиксель» для подсчёта разницы в зоне: всё вне формы зоны + зоны игнора.
+  // Для прямоугольника хватает границ (bounds), поэтому там остаётся только маска игнора.
+  let skipMaskCache = new WeakMap(); // зона -> { ignore, mask }
+  function zoneSkipMask(z) {
+    if (!z || z.shape === 'rect') return S.ignoreMask;
+
+    const cached = skipMaskCache.get(z);
+    if (cached && cached.ignore === S.ignoreMask) return cached.mask;
+
+    const inside = rasterZone(z);
+    const ign = S.ignoreMask;
+    const mask = new Uint8Array(inside.length);
+    for (let i = 0; i < mask.length; i++) mask[i] = (!inside[i] || (ign && ign[i])) ? 1 : 0;
+    skipMaskCache.set(z, { ignore: ign, mask });
+    return mask;
+  }
+
+  // Список «целей» детекции: каждая включённая зона со своими границами, маской и порогами.
+  // Если контролируемых зон нет (даже если есть зоны игнора) — одна цель на всё видео (ключ -1) с общим порогом.
+  function zoneTargets() {
+    if (!S.zones.some(z => !isIgnoreZone(z))) {
+      return [{ key: -1, zone: null, bounds: zonesToSampleBounds([])[0], mask: S.ignoreMask, ...getThresholds() }];
+    }
+    const out = [];
+    S.zones.forEach((z, i) => {
+      if (!z.enabled || isIgnoreZone(z) || S.schedZonesOff.has(i)) return;
+      out.push({ key: i, zone: z, bounds: zonesToSampleBounds([z])[0], mask: zoneSkipMask(z), ...getThresholds(z) });
+    });
+    return out;
+  }
+
+  function computeAutoThreshold(diffs) {
+    const sorted = diffs.slice().sort((a, b) => a - b);
+    const cut = Math.floor(sorted.length * (1 - CAL.trimTop));
+    const trimmed = sorted.slice(0, Math.max(10, cut));
+
+    const m = median(trimmed);
+    const absDev = trimmed.map(x => Math.abs(x - m));
+    const mad = median(absDev);
+    const robustStd = 1.4826 * mad;
+
+    const robustThr = m + CAL.madK * robustStd;
+    const p95 = percentile(trimmed, 0.95);
+
+    return clampThr(Math.max(p95, robustThr) * CAL.safety);
+  }
+
+  // =========================
+  // VISUALS (boxes)
+  // =========================
+  function placeBoxAbs(el, left, top, w, h) {
+    el.style.display = 'block';
+    el.style.transform = `translate(${Math.round(left)}px, ${Math.round(top)}px)`;
+    el.style.width = `${Math.round(w)}px`;
+    el.style.height = `${Math.round(h)}px`;
+  }
+
+  function hideBox(el) {
+    el.style.display = 'none';
+    el.style.transform = 'translate(-99999px, -99999px)';
+  }
+
+  function updateActiveHighlight() {
+    if (!ACTIVE_HIGHLIGHT_ENABLED || Channels.current) return;
+
+    const shouldShow =
+      !S.minimized &&
+      !S.blocked &&
+      S.enabled &&
+      !S.schedOut &&
+      !S.alarm &&
+      !S.picking &&
+      !S.drawingZone &&
+      isValidVideo(S.video);
+
+    if (!shouldShow) return hideBox(UI.activeBox);
+
+    const r = sourceRect(S.video);
+    if (r.width <= 1 || r.height <= 1) return hideBox(UI.activeBox);
+    placeBoxAbs(UI.activeBox, r.left, r.top, r.width, r.height);
+  }
+
+  function reconcileZoneEls(count) {
+    while (S.zoneEls.length < count) {
+      const el = document.createElement('div');
+      Object.assign(el.style, {
         position: 'fixed',
         display: 'none',
         pointerEvents: 'none',
@@ -1238,6 +3333,40 @@
       });
       el.appendChild(badge);
 
+      // Контур многоугольника/кисти (для прямоугольных зон пуст и скрыт)
+      const shapeSvg = svgEl('svg', { class: 'mw-zone-shape' });
+      Object.assign(shapeSvg.style, {
+        position: 'absolute',
+        left: '0',
+        top: '0',
+        width: '100%',
+        height: '100%',
+        overflow: 'visible',
+        display: 'none',
+        pointerEvents: 'none',
+      });
+      el.insertBefore(shapeSvg, badge);
+
+      // Угловые ручки изменения размера (видны только в режиме редактирования)
+      for (const corner of ['nw', 'ne', 'sw', 'se']) {
+        const h = document.createElement('div');
+        h.className = 'mw-zone-handle';
+        h.dataset.mwHandle = corner;
+        Object.assign(h.style, {
+          position: 'absolute',
+          display: 'none',
+          width: '10px',
+          height: '10px',
+          [corner[0] === 'n' ? 'top' : 'bottom']: '-7px',
+          [corner[1] === 'w' ? 'left' : 'right']: '-7px',
+          borderRadius: '3px',
+          background: '#fff',
+          border: '1px solid rgba(0,0,0,.45)',
+          cursor: corner === 'nw' || corner === 'se' ? 'nwse-resize' : 'nesw-resize',
+        });
+        el.appendChild(h);
+      }
+
       UI.zonesLayer.appendChild(el);
       S.zoneEls.push(el);
     }
@@ -1254,7 +3383,7 @@
       return;
     }
 
-    const vr = S.video.getBoundingClientRect();
+    const vr = sourceRect(S.video);
     if (vr.width <= 1 || vr.height <= 1) {
       reconcileZoneEls(0);
       return;
@@ -1271,13 +3400,144 @@
       const h    = r.h * vr.height;
 
       const el = S.zoneEls[i];
+      const st = S.zoneState.get(i);
+      const ignore = isIgnoreZone(r);
+      const inAlarm = !!st?.alarm && r.enabled && !ignore;
+      const style = ignore ? IGNORE_STYLE : (inAlarm ? ZONE_ALARM_STYLE : ZONE_STYLE);
+
+      // Рамка: красная — зона в тревоге, штриховка — зона игнора,
+      // пунктир и полупрозрачность — зона выключена (игнор всегда пунктиром).
+      // У многоугольника и кисти рамки нет: контур рисует SVG внутри.
+      const shaped = r.shape !== 'rect';
+      el.style.borderColor = shaped ? 'transparent' : style.border;
+      el.style.borderStyle = (r.enabled && !ignore) ? 'solid' : 'dashed';
+      el.style.boxShadow = shaped ? 'none' : `0 0 0 6px ${style.glow}`;
+      el.style.background = shaped ? 'transparent' : style.fill;
+      el.style.opacity = r.enabled ? '1' : '0.5';
+
+      // Режим редактирования: зона ловит мышь, выбранная обведена и показывает ручки
+      const editing = S.editingZones;
+      el.dataset.mwZone = String(i);
+      el.style.pointerEvents = editing ? 'auto' : 'none';
+      el.style.cursor = editing ? 'move' : '';
+      el.style.outline = editing && S.editSel === i ? '2px dashed rgba(255,255,255,.95)' : 'none';
+      el.style.outlineOffset = '3px';
+      for (const h of el.querySelectorAll('.mw-zone-handle')) h.style.display = editing && S.editSel === i ? 'block' : 'none';
+      renderZoneShape(el.querySelector('.mw-zone-shape'), z, r, vr, style);
+
       const badge = el.querySelector('.mw-zone-badge');
-      if (badge) badge.textContent = `Зона ${i + 1}`;
+      if (badge) {
+        const { thrHigh } = getThresholds(r);
+        badge.textContent = !r.enabled
+          ? `${zoneName(r, i)} • выкл`
+          : ignore
+            ? `${zoneName(r, i)} • игнор`
+            : `${zoneName(r, i)} • ${(st?.dFiltered ?? 0).toFixed(2)}/${thrHigh.toFixed(2)}`;
+        badge.style.background = inAlarm ? ZONE_ALARM_STYLE.badge : 'rgba(0,0,0,.35)';
+      }
       placeBoxAbs(el, left, top, w, h);
     });
   }
 
+  // Рамки пятен детектора «объекты» (пул div-ов, как у зон)
+  function updateBlobBoxes() {
+    const show = S.detector === 'blob' && !S.minimized && isValidVideo(S.video);
+    const vr = show ? sourceRect(S.video) : null;
+    const blobs = (vr && vr.width > 1 && vr.height > 1) ? S.blobs : [];
+
+    while (S.blobEls.length < blobs.length) {
+      const el = createEl('div', {
+        position: 'fixed',
+        left: '0',
+        top: '0',
+        display: 'none',
+        pointerEvents: 'none',
+        border: `2px solid ${BLOB_STYLE.border}`,
+        borderRadius: '4px',
+        transform: 'translate(-99999px, -99999px)',
+      });
+      const label = createEl('div', {
+        position: 'absolute',
+        left: '0',
+        bottom: '100%',
+        padding: '0 4px',
+        fontSize: '10px',
+        fontWeight: '650',
+        color: '#000',
+        whiteSpace: 'nowrap',
+      });
+      el.appendChild(label);
+      UI.blobLayer.appendChild(el);
+      S.blobEls.push(el);
+    }
+    while (S.blobEls.length > blobs.length) S.blobEls.pop().remove();
+
+    blobs.forEach((b, i) => {
+      const el = S.blobEls[i];
+      const color = b.hit ? BLOB_STYLE.hit : BLOB_STYLE.border;
+      el.style.borderColor = color;
+      el.firstChild.style.background = color;
+      el.firstChild.textContent = `${b.area.toFixed(1)}%`;
+      placeBoxAbs(
+        el,
+        vr.left + (b.x0 / SAMPLE_W) * vr.width,
+        vr.top  + (b.y0 / SAMPLE_H) * vr.height,
+        ((b.x1 - b.x0) / SAMPLE_W) * vr.width,
+        ((b.y1 - b.y0) / SAMPLE_H) * vr.height,
+      );
+    });
+  }
+
+  // SVG-путь по точкам (одна точка — отрезок нулевой длины, круглый конец даст кружок)
+  const svgPathD = (pts) => pts.length
+    ? pts.map(([x, y], i) => `${i ? 'L' : 'M'}${x.toFixed(1)} ${y.toFixed(1)}`).join('') + (pts.length === 1 ? 'l0 0' : '')
+    : '';
+
+  // Контур зоны-многоугольника/кисти в пикселях относительно её рамки.
+  // Перерисовывается только при смене зоны, размера видео или стиля.
+  function renderZoneShape(svg, zone, r, vr, style) {
+    if (!svg) return;
+    if (r.shape === 'rect') {
+      svg.style.display = 'none';
+      return;
+    }
+    svg.style.display = 'block';
+
+    const dashed = !r.enabled || isIgnoreZone(r);
+    const key = `${Math.round(vr.width)}x${Math.round(vr.height)}|${style.border}|${dashed}`;
+    if (svg.__mwZone === zone && svg.__mwKey === key) return;
+    svg.__mwZone = zone;
+    svg.__mwKey = key;
+    svg.textContent = '';
+
+    const toPx = ([x, y]) => [(x - r.x) * vr.width, (y - r.y) * vr.height];
+
+    if (r.shape === 'poly') {
+      svg.appendChild(svgEl('polygon', {
+        points: r.points.map(toPx).map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' '),
+        fill: style.paint,
+        stroke: style.border,
+        'stroke-width': 2,
+        'stroke-linejoin': 'round',
+        'stroke-dasharray': dashed ? '6 4' : 'none',
+      }));
+      return;
+    }
+
+    for (const st of r.strokes) {
+      svg.appendChild(svgEl('path', {
+        d: svgPathD(st.pts.map(toPx)),
+        fill: 'none',
+        stroke: style.paint,
+        'stroke-width': Math.max(1, st.rx * vr.width + st.ry * vr.height),
+        'stroke-linecap': 'round',
+        'stroke-linejoin': 'round',
+      }));
+    }
+  }
+
   function updateDrawBox() {
+    updateDrawPreview();
     if (!S.drawingZone || !S.drawDrag) return hideBox(UI.drawBox);
     const vr = S.drawDrag.vr;
 
@@ -1294,144 +3554,2690 @@
     placeBoxAbs(UI.drawBox, left, top, w, h);
   }
 
+  // Предпросмотр многоугольника/кисти (в пикселях экрана, поверх страницы)
+  function updateDrawPreview() {
+    const svg = UI.drawSvg;
+    const p = S.drawPath;
+    svg.textContent = '';
+    if (!S.drawingZone || !p) {
+      svg.style.display = 'none';
+      return;
+    }
+    svg.style.display = 'block';
+
+    const st = S.drawType === 'ignore' ? IGNORE_STYLE : DRAW_STYLE;
+
+    if (p.shape === 'poly') {
+      const pts = p.hover ? [...p.pts, p.hover] : p.pts;
+      if (pts.length >= 2) {
+        svg.appendChild(svgEl('polyline', {
+          points: pts.map(([x, y]) => `${x},${y}`).join(' '),
+          fill: st.paint,
+          stroke: st.border,
+          'stroke-width': 2,
+          'stroke-linejoin': 'round',
+        }));
+      }
+      // пунктир к первой вершине — так многоугольник замкнётся
+      if (pts.length >= 3) {
+        const [x1, y1] = pts[pts.length - 1];
+        const [x2, y2] = pts[0];
+        svg.appendChild(svgEl('line', { x1, y1, x2, y2, stroke: st.border, 'stroke-width': 1.5, 'stroke-dasharray': '5 4' }));
+      }
+      p.pts.forEach(([cx, cy], i) => {
+        svg.appendChild(svgEl('circle', { cx, cy, r: i ? 3.5 : 5, fill: st.border }));
+      });
+      return;
+    }
+
+    for (const stroke of p.strokes) {
+      svg.appendChild(svgEl('path', {
+        d: svgPathD(stroke.pts),
+        fill: 'none',
+        stroke: st.paint,
+        'stroke-width': stroke.rPx * 2,
+        'stroke-linecap': 'round',
+        'stroke-linejoin': 'round',
+      }));
+    }
+    if (p.hover) {
+      const [cx, cy] = p.hover;
+      svg.appendChild(svgEl('circle', { cx, cy, r: S.brushR * p.vr.width, fill: 'none', stroke: st.border, 'stroke-width': 1.5 }));
+    }
+  }
+
   // =========================
-  // ALARM (visual/audio mode)
+  // EVENTS (payload + video binding)
   // =========================
-  function showAlarm() {
-    if (S.alarm) return;
-    S.alarm = true;
-
-    if (alarmHasVisual(S.alarmMode)) UI.overlay.style.display = 'block';
-    else UI.overlay.style.display = 'none';
+  // Общие поля любого события: текущие значения разницы, порог и время
+  function eventPayload(extra = {}) {
+    const { thrHigh, thrLow } = getThresholds();
+    return {
+      ts: Date.now(),
+      d: S.d,
+      dPrev: S.dPrev,
+      dRef: S.dRef,
+      dFiltered: S.dFiltered,
+      thr: S.thr,
+      thrHigh,
+      thrLow,
+      detector: S.detector,
+      background: S.bgModel,
+      channel: S.chan,
+      alarmZones: describeZones(S.alarmZones),
+      ...extra,
+    };
+  }
 
-    if (alarmHasAudio(S.alarmMode)) Audio.startAlarmBeep();
-    else Audio.stopAlarmBeep();
+  // Описание зон по ключам (для событий и подписей): индекс, название, текущее Δ и порог
+  function describeZones(keys) {
+    return keys.map((key) => {
+      const z = key >= 0 ? S.zones[key] : null;
+      const st = S.zoneState.get(key);
+      return {
+        index: key,
+        name: key >= 0 ? zoneName(z, key) : 'всё видео',
+        d: st?.d ?? 0,
+        dFiltered: st?.dFiltered ?? 0,
+        thr: getThresholds(z).thrHigh,
+      };
+    });
+  }
 
-    updateActiveHighlight();
+  // Сообщает о смене видео: video:lost для старого и video:bound для нового.
+  // Вызывается везде, где меняется S.video; повторный вызов без смены — ничего не делает.
+  function syncVideoBinding() {
+    const prevVideo = S.announcedVideo;
+    const nextVideo = S.video || null;
+    if (prevVideo === nextVideo) return;
+
+    S.announcedVideo = nextVideo;
+    Sources.reset(); // основной <canvas>/<img> в списке источников всегда
+    if (prevVideo) {
+      Journal.onVideo('lost', prevVideo);
+      Events.emit('video:lost', eventPayload({ video: prevVideo }));
+    }
+    if (nextVideo) {
+      Journal.onVideo('bound', nextVideo);
+      Events.emit('video:bound', eventPayload({ video: nextVideo, manual: !!S.manualVideo }));
+    }
   }
 
-  function clearAlarm() {
-    S.alarm = false;
-    UI.overlay.style.display = 'none';
-    Audio.stopAlarmBeep();
-    updateActiveHighlight();
+  // Переводит основное видео в состояние «заблокирован» (canvas недоступен) и сообщает об этом.
+  // Охрана не снимается: остальные видео режима «Несколько видео» продолжают работать,
+  // и любое из них можно сделать основным (см. Channels.select)
+  function markBlocked(statusMsg, err) {
+    const wasBlocked = S.blocked;
+    S.blocked = true;
+    clearAlarm();
+    const hints = [];
+    if (Capture.supported() && isPageSource(S.video)) hints.push('попробуй «📺 Захват вкладки»');
+    if (Channels.list.some(ch => !ch.blocked)) hints.push('сделай основным другое видео');
+    S.status = statusMsg + (hints.length ? ` — ${hints.join(' или ')}` : '');
+    if (!wasBlocked) {
+      Journal.onVideo('blocked', S.video);
+      Events.emit('blocked', eventPayload({ video: S.video, error: err }));
+    }
   }
 
-  function applyAlarmMode(mode, statusMsg) {
-    S.alarmMode = alarmModeNormalize(mode);
-    localStorage.setItem(LS_KEYS.alarmMod, S.alarmMode);
+  // =========================
+  // TAB CAPTURE (обход CORS)
+  // =========================
+  // Пиксели видео с чужого сайта без CORS читать нельзя (canvas «tainted»), а снимок вкладки через
+  // getDisplayMedia — можно. Из кадра захвата вырезается место, где на экране лежит видео:
+  // 1) track.cropTo(CropTarget) — браузер сам обрезает поток по видео (Region Capture, Chrome);
+  // 2) иначе пересчитываем getBoundingClientRect() видео в координаты кадра захвата
+  //    (точно для вкладки, приблизительно для окна и экрана — рамку браузера угадываем по outer/inner размерам).
+  // В кадр попадает всё, что лежит поверх видео, поэтому на время захвата наши слои над видео прячутся
+  // (иначе заливка тревоги и рамки сами рисовали бы «движение»), а в заливке вырезается дыра под видео.
+  // Панель и мини-панель спрятать нельзя — их место в кадре закрашивается (Capture.mask).
+  const Capture = {
+    stream: null,
+    feed: null,       // скрытый <video> с потоком захвата
+    video: null,      // видео страницы, ради которого идёт захват
+    mode: '',         // crop — поток обрезан браузером, rect — вырезаем сами
+    surface: '',      // displaySurface: browser | window | monitor
+    busy: false,      // открыт диалог выбора (ждём пользователя)
+    hole: '',         // текущий clip-path заливки
+    maskKey: '',      // где в кадре панели (см. mask) — при их переносе отслеживание начинается заново
+    onEnded: null,
+    destroyed: false,
+
+    supported() {
+      return typeof navigator.mediaDevices?.getDisplayMedia === 'function';
+    },
 
-    if (S.alarm) {
-      if (alarmHasVisual(S.alarmMode)) UI.overlay.style.display = 'block';
-      else UI.overlay.style.display = 'none';
+    // Кадры этого видео берутся из захвата (даже пока поток не дал первый кадр — само видео читать нельзя)
+    covers(video) {
+      return !!this.stream && !!video && video === this.video;
+    },
 
-      if (alarmHasAudio(S.alarmMode)) Audio.startAlarmBeep();
-      else Audio.stopAlarmBeep();
-    }
+    // Вызывается по клику (getDisplayMedia требует жеста пользователя)
+    async start(video) {
+      if (this.busy || this.destroyed || !this.supported() || !isPageSource(video)) return false;
+      this.busy = true;
+      S.status = 'захват: выбери эту вкладку в диалоге браузера';
+      refreshUI(true);
 
-    if (statusMsg) S.status = statusMsg;
-    refreshUI(true);
-  }
+      let stream;
+      try {
+        stream = await navigator.mediaDevices.getDisplayMedia({
+          video: { displaySurface: 'browser', frameRate: CAPTURE.fps },
+          audio: false,
+          preferCurrentTab: true,       // Chrome: первой предложить эту вкладку
+          selfBrowserSurface: 'include',
+        });
+      } catch (err) {
+        this.busy = false;
+        S.status = err?.name === 'NotAllowedError' ? 'захват отменён' : `захват не удался: ${err?.message || err}`;
+        refreshUI(true);
+        return false;
+      }
+      this.busy = false;
 
-  function applyVolume(v, statusMsg) {
-    S.volume = clampVol(v);
-    UI.sliderVol.value = String(S.volume);
-    Audio.volume = S.volume;
-    localStorage.setItem(LS_KEYS.vol, String(S.volume));
+      if (this.destroyed || video !== S.video) {
+        stream.getTracks().forEach(t => t.stop());
+        return false;
+      }
 
-    if (S.alarm && alarmHasAudio(S.alarmMode)) {
-      Audio.stopAlarmBeep();
-      Audio.startAlarmBeep();
+      this.stop();
+      const track = stream.getVideoTracks()[0];
+      this.stream = stream;
+      this.video = video;
+      this.surface = track.getSettings?.().displaySurface || '';
+      this.mode = 'rect';
+      if (this.surface === 'browser' && typeof window.CropTarget?.fromElement === 'function' && typeof track.cropTo === 'function') {
+        try {
+          await track.cropTo(await window.CropTarget.fromElement(video));
+          this.mode = 'crop';
+        } catch {} // выбрана другая вкладка или элемент не годится — вырезаем сами
+      }
+      this.onEnded = () => this.stop('захват вкладки остановлен');
+      track.addEventListener('ended', this.onEnded);
+
+      this.feed = document.createElement('video');
+      this.feed.muted = true;
+      this.feed.playsInline = true;
+      this.feed.srcObject = stream;
+      this.feed.play().catch(() => {});
+
+      this.conceal(true);
+      // прежние canvas анализа и кадра «до» испорчены чужим видео — читать их больше нельзя
+      ctx = createSampleCtx();
+      Snapshots.preCanvas = null;
+      S.blocked = false;
+      setEnabled(true, `захват вкладки (${this.mode === 'crop' ? 'обрезка браузером' : 'по положению видео'})`);
+      return true;
+    },
+
+    stop(statusMsg) {
+      if (!this.stream) return;
+      const track = this.stream.getVideoTracks()[0];
+      track?.removeEventListener('ended', this.onEnded);
+      this.stream.getTracks().forEach(t => t.stop());
+      this.feed.srcObject = null;
+      this.stream = this.feed = this.video = this.onEnded = null;
+      this.mode = this.surface = this.maskKey = '';
+      this.conceal(false);
+      if (statusMsg) {
+        S.status = statusMsg;
+        refreshUI(true);
+      }
+    },
+
+    // Из loop(): видео, ради которого шёл захват, больше не отслеживается — захват не нужен
+    sync() {
+      if (this.stream && this.video !== S.video && !Channels.watching(this.video)) {
+        this.stop('захват вкладки остановлен: видео сменилось');
+      }
+    },
+
+    // Прямоугольник видео в пикселях кадра захвата (null — видео за пределами кадра)
+    region() {
+      const fw = this.feed.videoWidth, fh = this.feed.videoHeight;
+      if (!fw || !fh) return null;
+      if (this.mode === 'crop') return { x: 0, y: 0, w: fw, h: fh };
+
+      let ox = 0, oy = 0, sx = fw / window.innerWidth, sy = fh / window.innerHeight;
+      if (this.surface === 'window' || this.surface === 'monitor') {
+        // окно или экран целиком: страница сдвинута на рамку и панели браузера (и на положение окна на экране)
+        const border = Math.max(0, (window.outerWidth - window.innerWidth) / 2);
+        const top = Math.max(0, window.outerHeight - window.innerHeight - border);
+        const monitor = this.surface === 'monitor';
+        sx = sy = fw / (monitor ? screen.width : window.outerWidth);
+        ox = border + (monitor ? window.screenX : 0);
+        oy = top + (monitor ? window.screenY : 0);
+      }
+
+      const vr = sourceRect(this.video);
+      const x0 = clamp((vr.left + ox) * sx, 0, fw), x1 = clamp((vr.right + ox) * sx, 0, fw);
+      const y0 = clamp((vr.top + oy) * sy, 0, fh), y1 = clamp((vr.bottom + oy) * sy, 0, fh);
+      if (x1 - x0 < 1 || y1 - y0 < 1) return null;
+      return { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+    },
+
+    // Кадр видео из захвата в canvas w×h; нет кадра или видео вне его — canvas не трогаем (разница с прошлым кадром = 0)
+    draw(c, w, h) {
+      this.place();
+      const key = this.paint(c, w, h);
+      if (key === null || key === this.maskKey) return;
+      // панель перенесли или свернули: закрашенное место сдвинулось — старые кадры с новым не сравниваем
+      this.maskKey = key;
+      resetTrackingState();
+    },
+
+    // Место видео из кадра захвата — в canvas w×h, панели закрашены (см. mask); null — видео нет в кадре
+    paint(c, w, h) {
+      const r = this.region();
+      if (!r) return null;
+      c.drawImage(this.feed, r.x, r.y, r.w, r.h, 0, 0, w, h);
+      return this.mask(c, w, h);
+    },
+
+    // Кадр в разрешении захвата (для снимков, уведомлений и webhook)
+    drawFull(cvs) {
+      const r = this.region();
+      if (!r) return null;
+      const w = Math.round(r.w), h = Math.round(r.h);
+      const c = cvs || document.createElement('canvas');
+      if (c.width !== w) c.width = w;
+      if (c.height !== h) c.height = h;
+      this.paint(c.getContext('2d'), w, h);
+      return c;
+    },
+
+    // Панель и мини-панель попадают в захват, если лежат поверх видео, и их меняющийся текст стал бы
+    // «движением»: их место в кадре w×h закрашиваем ровным цветом. Возвращает ключ закрашенных прямоугольников
+    mask(c, w, h) {
+      const vr = sourceRect(this.video);
+      if (vr.width < 1 || vr.height < 1) return '';
+      const rects = [];
+      for (const el of [UI.panel, UI.mini]) {
+        const r = el.getBoundingClientRect(); // скрытая панель — нулевой прямоугольник
+        const x0 = Math.max(r.left, vr.left), x1 = Math.min(r.right, vr.right);
+        const y0 = Math.max(r.top, vr.top), y1 = Math.min(r.bottom, vr.bottom);
+        if (x1 <= x0 || y1 <= y0) continue;
+        rects.push([(x0 - vr.left) / vr.width * w, (y0 - vr.top) / vr.height * h, (x1 - x0) / vr.width * w, (y1 - y0) / vr.height * h]
+          .map(Math.round));
+      }
+      c.fillStyle = CAPTURE.maskColor;
+      for (const [x, y, rw, rh] of rects) c.fillRect(x, y, rw, rh);
+      return rects.join(';');
+    },
+
+    // Наши слои поверх видео попали бы в захват: рамки и тепловую карту прячем, в заливке — дыра под видео
+    conceal(on) {
+      for (const el of [UI.activeBox, UI.zonesLayer, UI.blobLayer, UI.heatCanvas]) el.style.visibility = on ? 'hidden' : '';
+      this.hole = '';
+      UI.overlay.style.clipPath = '';
+      if (on) this.place();
+    },
+
+    place() {
+      if (!this.stream) return;
+      const r = sourceRect(this.video);
+      const { left: l, top: t, right: rr, bottom: b } = r;
+      const hole = r.width > 1 && r.height > 1
+        ? `polygon(evenodd, 0 0, 100% 0, 100% 100%, 0 100%, 0 0, ${l}px ${t}px, ${l}px ${b}px, ${rr}px ${b}px, ${rr}px ${t}px, ${l}px ${t}px)`
+        : '';
+      if (hole === this.hole) return;
+      this.hole = hole;
+      UI.overlay.style.clipPath = hole;
+    },
+
+    destroy() {
+      this.destroyed = true;
+      this.stop();
+    },
+  };
+
+  // =========================
+  // SNAPSHOTS (кадры тревоги)
+  // =========================
+  // При начале тревоги снимаем кадр в полном разрешении видео (не 160x90 сэмпл),
+  // а по желанию ещё кадр «до» (последний сохранённый в loop) и «после» (через SNAP.postDelayMs).
+  // Снимки лежат в кольцевом буфере в памяти и показываются миниатюрами в карточке «История тревог».
+  const SNAP_KIND_LABEL = { before: 'до', onset: 'тревога', after: 'после' };
+
+  const Snapshots = {
+    items: [],          // [{ id, alarmId, ts, kind, blob, url, w, h, dFiltered, thr }], новые — в конце
+    seq: 0,             // счётчик id снимков
+    alarmSeq: 0,        // счётчик тревог (чтобы группировать до/тревога/после)
+    preCanvas: null,    // последний кадр «до тревоги» в полном разрешении
+    preTs: 0,           // performance.now() последнего обновления preCanvas
+    preWall: 0,         // Date.now() того же кадра (для подписи)
+    postTimers: new Set(),
+    destroyed: false,
+
+    // Копия текущего кадра видео в полном разрешении (в переданный или новый canvas)
+    drawFull(video, cvs) {
+      if (Capture.covers(video)) return Capture.drawFull(cvs);
+      const { w, h } = sourceSize(video);
+      if (!w || !h) return null;
+      const c = cvs || document.createElement('canvas');
+      if (c.width !== w) c.width = w;
+      if (c.height !== h) c.height = h;
+      c.getContext('2d').drawImage(sourceImage(video), 0, 0, w, h);
+      return c;
+    },
+
+    // Вызывается из loop() на каждом обработанном кадре: держим свежий кадр «до тревоги»
+    tick() {
+      if (!S.snapExtra || S.alarm || !isValidVideo(S.video)) return;
+      const now = performance.now();
+      if (now - this.preTs < SNAP.preEveryMs) return;
+      this.preTs = now;
+      this.preCanvas = this.drawFull(S.video, this.preCanvas);
+      this.preWall = Date.now();
+    },
+
+    // Кодируем canvas в PNG и кладём в буфер (toBlob упадёт, если canvas заблокирован CORS)
+    async store(cvs, kind, ts, meta) {
+      try {
+        const blob = await canvasToBlob(cvs, 'image/png');
+        if (this.destroyed) return; // скрипт уничтожили, пока PNG кодировался
+        this.items.push({
+          id: ++this.seq,
+          kind,
+          ts,
+          blob,
+          url: URL.createObjectURL(blob),
+          w: cvs.width,
+          h: cvs.height,
+          ...meta,
+        });
+        Archive.put('snap', blob, { ts, shot: kind, w: cvs.width, h: cvs.height, dFiltered: meta.dFiltered, thr: meta.thr, channel: meta.channel });
+        // кольцевой буфер: вытесняем самые старые и освобождаем их память
+        while (this.items.length > SNAP.max) URL.revokeObjectURL(this.items.shift().url);
+        this.render();
+        refreshUI(true);
+      } catch (err) {
+        console.warn('[MotionWatch] не удалось сохранить снимок тревоги:', err);
+      }
+    },
+
+    // Вызывается из showAlarm(); возвращает canvas кадра тревоги (для уведомления) или null
+    onAlarmStart() {
+      const video = S.video;
+      if (!isValidVideo(video)) return null;
+
+      const meta = { alarmId: ++this.alarmSeq, dFiltered: S.dFiltered, thr: S.thr, channel: S.chan };
+
+      if (S.snapExtra && this.preCanvas) {
+        // забираем canvas целиком — tick() создаст новый, пока этот кодируется
+        const pre = this.preCanvas;
+        this.preCanvas = null;
+        this.store(pre, 'before', this.preWall, meta);
+      }
+
+      const onset = this.drawFull(video);
+      if (onset) this.store(onset, 'onset', Date.now(), meta);
+
+      if (!S.snapExtra) return onset;
+      const t = setTimeout(() => {
+        this.postTimers.delete(t);
+        // видео могли сменить или снять с наблюдения за эту секунду — тогда кадр «после» не имеет смысла
+        if (!Channels.watching(video) || !isValidVideo(video)) return;
+        const after = this.drawFull(video);
+        if (after) this.store(after, 'after', Date.now(), { ...meta, dFiltered: Channels.stateOf(video).dFiltered });
+      }, SNAP.postDelayMs);
+      this.postTimers.add(t);
+      return onset;
+    },
+
+    download(it) {
+      downloadBlob(it.blob, `motionwatch-${fileStamp(it.ts)}-${it.kind}.png`);
+    },
+
+    // Перерисовка ленты миниатюр (новые — слева)
+    render() {
+      const strip = UI.snapStrip;
+      strip.textContent = '';
+      if (!this.items.length) {
+        strip.appendChild(UI.snapEmpty);
+        return;
+      }
+
+      for (const it of [...this.items].reverse()) {
+        const label = SNAP_KIND_LABEL[it.kind] || it.kind;
+        const time = new Date(it.ts).toLocaleTimeString();
+
+        const cell = createEl('div', {
+          position: 'relative',
+          flex: '0 0 auto',
+          cursor: 'pointer',
+          borderRadius: '8px',
+          overflow: 'hidden',
+          border: `1px solid ${it.kind === 'onset' ? 'rgba(255,90,90,.75)' : 'rgba(255,255,255,.14)'}`,
+        });
+        cell.title = `#${it.alarmId} • ${label} • ${time} • Δ=${it.dFiltered.toFixed(2)} (порог ${it.thr.toFixed(2)}) • ${it.w}x${it.h}\nКлик — скачать PNG`;
+
+        const img = createEl('img', { display: 'block', height: `${SNAP.thumbH}px`, width: 'auto' });
+        img.src = it.url;
+        img.alt = `Тревога #${it.alarmId}: ${label}`;
+        img.draggable = false;
+
+        const cap = createEl('div', {
+          position: 'absolute',
+          left: '0',
+          right: '0',
+          bottom: '0',
+          padding: '1px 4px',
+          fontSize: '10px',
+          whiteSpace: 'nowrap',
+          background: 'rgba(0,0,0,.55)',
+        }, `#${it.alarmId} ${label} ${time}`);
+
+        cell.appendChild(img);
+        cell.appendChild(cap);
+        cell.addEventListener('click', () => this.download(it));
+        strip.appendChild(cell);
+      }
+    },
+
+    clear() {
+      for (const it of this.items) URL.revokeObjectURL(it.url);
+      this.items = [];
+      this.render();
+    },
+
+    destroy() {
+      this.destroyed = true;
+      for (const t of this.postTimers) clearTimeout(t);
+      this.postTimers.clear();
+      this.clear();
+      this.preCanvas = null;
     }
+  };
 
+  function applySnapExtra(val, statusMsg) {
+    S.snapExtra = !!val;
+    localStorage.setItem(LS_KEYS.snapExtra, S.snapExtra ? '1' : '0');
+    // выключили — старый кадр «до» больше не нужен
+    if (!S.snapExtra) Snapshots.preCanvas = null;
     if (statusMsg) S.status = statusMsg;
     refreshUI(true);
   }
 
   // =========================
-  // UI / STATUS
+  // RECORDER (клипы тревоги)
   // =========================
-  function setDot(state) {
-    const c =
-      state === 'blocked' ? 'rgba(255,60,60,1)' :
-      state === 'on' ? 'rgba(80,160,255,1)' :
-      'rgba(160,160,160,1)';
+  // MediaRecorder не умеет «выбрасывать начало» уже идущей записи (WebM без начала не проиграется),
+  // поэтому держим несколько перекрывающихся записей-«сессий»: каждые N/2 секунд (S.recPre) стартует новая,
+  // а лишние старые (больше REC.buffers) останавливаются и выбрасываются. Самая старая живая сессия начата
+  // от N до 1,5N секунд назад. При тревоге оставляем («keep») самую молодую из начатых не позже чем N секунд
+  // назад, дописываем ещё M секунд (S.recPost)
+  // и сохраняем как цельный WebM-клип. Новая тревога, пока клип дописывается, продлевает его же:
+  // так кодировщиков в полном разрешении не больше REC.maxEncoders, а у второй тревоги есть pre-roll.
+  // Продлевается клип только REC.extendMaxSec после своей тревоги: при непрерывном движении он не растёт
+  // без конца — очередная тревога закрепляет буферную сессию и начинает новый клип.
+  //
+  // Источник кадров:
+  // 1) video.captureStream() — поток прямо из <video> (или из <canvas>-источника)
+  // 2) если его нет (<img>, ImageBitmap) или видео идёт через захват вкладки (пиксели самого видео закрыты CORS) —
+  //    копируем кадры (из Capture.feed) в canvas и пишем canvas.captureStream()
+  //    (в фоновой вкладке браузер замедляет requestAnimationFrame, клип будет дёрганым)
+  const Recorder = {
+    src: null,          // текущий источник { video, capture, stream, mode, rafId, retired }
+    sessions: [],       // [{ rec, src, chunks, startTs, keep, alarmTs, peak, thr, stopTimer }]
+    rotateTimer: 0,
+    mimeType: '',
+    clips: [],          // [{ id, ts, alarmTs, blob, url, durationMs, peak, thr, mimeType, mode }]
+    seq: 0,
+    error: '',          // последняя ошибка (показывается в карточке)
+    failedVideo: null,  // видео, на котором старт не удался (не пытаемся снова на каждом кадре)
+    failedCapture: false, // …и шёл ли тогда захват вкладки (с захватом или без него — пробуем заново)
+    destroyed: false,
+
+    supported() {
+      return typeof window.MediaRecorder === 'function';
+    },
 
-    UI.dot.style.background = c;
-    UI.miniDot.style.background = c;
+    pickMime() {
+      const list = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+      return list.find(t => MediaRecorder.isTypeSupported?.(t)) || '';
+    },
 
-    const border =
-      state === 'on' ? 'rgba(80,160,255,.20)' :
-      state === 'blocked' ? 'rgba(255,60,60,.22)' :
-      'rgba(160,160,160,.18)';
+    // Нужна ли запись прямо сейчас
+    wanted() {
+      return S.recEnabled && S.enabled && !S.schedOut && !S.blocked &&
+        isValidVideo(S.video) && !S.video.paused && !S.video.ended;
+    },
 
-    UI.panel.style.borderColor = border;
-    UI.mini.style.borderColor = border;
+    // Вызывается из loop() и при смене настроек: запускает/останавливает буфер под текущее видео
+    sync() {
+      if (this.destroyed) return;
+      if (!this.wanted()) {
+        if (this.src) this.stop();
+        return;
+      }
+      const capture = Capture.covers(S.video);
+      if (this.src && this.src.video === S.video && this.src.capture === capture) return;
+      if (this.failedVideo === S.video && this.failedCapture === capture) return;
+      this.start(S.video);
+    },
+
+    openSource(video) {
+      const capture = Capture.covers(video);
+      const src = { video, capture, stream: null, mode: '', rafId: 0, retired: false };
+
+      if (!capture && typeof video.captureStream === 'function') {
+        try {
+          const tracks = video.captureStream().getVideoTracks();
+          if (tracks.length) {
+            // только видео-дорожка: звук страницы в клипе не нужен
+            src.stream = new MediaStream(tracks);
+            src.mode = 'video';
+            return src;
+          }
+        } catch {}
+      }
+
+      const c = document.createElement('canvas');
+      const size = sourceSize(video);
+      c.width = size.w;
+      c.height = size.h;
+      const cctx = c.getContext('2d');
+      const draw = () => {
+        if (src.retired && !this.sessions.some(x => x.src === src)) return;
+        try {
+          if (capture) Capture.paint(cctx, c.width, c.height);
+          else cctx.drawImage(sourceImage(video), 0, 0, c.width, c.height);
+        } catch {}
+        src.rafId = requestAnimationFrame(draw);
+      };
+      draw();
+      src.stream = c.captureStream(REC.canvasFps);
+      src.mode = capture ? 'capture' : 'canvas';
+      return src;
+    },
+
+    releaseSource(src) {
+      cancelAnimationFrame(src.rafId);
+      try { src.stream?.getTracks().forEach(t => t.stop()); } catch {}
+    },
+
+    start(video) {
+      this.stop();
+      this.error = '';
+
+      if (!this.supported()) {
+        this.error = 'MediaRecorder не поддерживается';
+        this.failedVideo = video;
+        this.failedCapture = Capture.covers(video);
+        return false;
+      }
+
+      // Та же проверка, что делает loop() через captureFrame(): если пиксели видео
+      // недоступны (CORS/tainted), то и записать их не получится
+      try {
+        captureFrame();
+      } catch (err) {
+        this.error = 'блокировка (CORS/tainted?)';
+        this.failedVideo = video;
+        this.failedCapture = Capture.covers(video);
+        console.error('[MotionWatch] Recorder blocked:', err);
+        return false;
+      }
+
+      try {
+        this.src = this.openSource(video);
+        this.mimeType = this.pickMime();
+        this.spawn();
+        this.restartRotation();
+      } catch (err) {
+        this.error = 'не удалось начать запись';
+        this.failedVideo = video;
+        this.failedCapture = Capture.covers(video);
+        console.error('[MotionWatch] Recorder start ERROR:', err);
+        this.stop();
+        return false;
+      }
+      return true;
+    },
+
+    restartRotation() {
+      clearInterval(this.rotateTimer);
+      this.rotateTimer = 0;
+      if (!this.src) return;
+      this.rotateTimer = setInterval(() => this.rotate(), S.recPre * 500);
+    },
+
+    // Новая сессия записи с текущего источника
+    spawn() {
+      const src = this.src;
+      const rec = new MediaRecorder(src.stream, this.mimeType ? { mimeType: this.mimeType } : {});
+      const ses = { rec, src, chunks: [], startTs: Date.now(), keep: false, alarmTs: 0, peak: 0, thr: 0, stopTimer: 0 };
+
+      rec.ondataavailable = (e) => {
+        if (e.data && e.data.size) ses.chunks.push(e.data);
+      };
+      rec.onstop = () => {
+        this.sessions = this.sessions.filter(x => x !== ses);
+        if (ses.keep && !this.destroyed) this.finalize(ses);
+        ses.chunks = [];
+        // источник больше не нужен, если его «списали» и на нём ничего не пишется
+        if (src.retired && !this.sessions.some(x => x.src === src)) this.releaseSource(src);
+      };
+
+      rec.start(REC.timesliceMs);
+      this.sessions.push(ses);
+      return ses;
+    },
+
+    // Каждые N/2 секунд: новая сессия + оставляем не больше REC.buffers «незакреплённых».
+    // Лишние выбрасываем до старта новой — иначе на миг работало бы больше REC.maxEncoders кодировщиков
+    rotate() {
+      if (!this.src) return;
+      const free = this.sessions.filter(x => !x.keep && x.src === this.src);
+      while (free.length > REC.buffers - 1) this.discard(free.shift());
+      if (this.sessions.filter(x => x.rec.state !== 'inactive').length >= REC.maxEncoders) return;
+      try {
+        this.spawn();
+      } catch (err) {
+        console.error('[MotionWatch] Recorder rotate ERROR:', err);
+      }
+    },
+
+    discard(ses) {
+      ses.chunks = [];
+      try { if (ses.rec.state !== 'inactive') ses.rec.stop(); } catch {}
+    },
+
+    // Вызывается из showAlarm(): закрепляем сессию с pre-roll не меньше N секунд и дописываем post-roll
+    onAlarmStart() {
+      const stop = (ses) => setTimeout(() => {
+        try { if (ses.rec.state !== 'inactive') ses.rec.stop(); } catch {}
+      }, S.recPost * 1000);
+
+      // клип прошлой тревоги ещё пишется — продлеваем его, а не закрепляем свежую сессию почти без pre-roll
+      const open = this.sessions.find(x => x.keep && x.src === this.src && x.rec.state !== 'inactive');
+      if (open && Date.now() - open.alarmTs <= REC.extendMaxSec * 1000) {
+        clearTimeout(open.stopTimer);
+        open.stopTimer = stop(open);
+        return;
+      }
+
+      // пока писался клип, новые сессии не заводились и старые «переросли» — берём ближайшую к N секундам
+      const free = this.sessions.filter(x => !x.keep && x.src === this.src);
+      const ses = free.filter(x => Date.now() - x.startTs >= S.recPre * 1000).pop() || free[0];
+      if (!ses) return;
+
+      ses.keep = true;
+      ses.alarmTs = Date.now();
+      ses.peak = S.dFiltered;
+      ses.thr = S.thr;
+      ses.stopTimer = stop(ses);
+
+      // чтобы следующая тревога тоже получила pre-roll, сразу заводим свежую сессию
+      if (this.sessions.filter(x => x.rec.state !== 'inactive').length < REC.maxEncoders) {
+        try { this.spawn(); } catch {}
+      }
+    },
+
+    // Вызывается из loop() на каждом кадре: обновляем пик dFiltered для пишущихся клипов
+    tick() {
+      for (const ses of this.sessions) {
+        if (ses.keep && S.dFiltered > ses.peak) ses.peak = S.dFiltered;
+      }
+    },
+
+    finalize(ses) {
+      if (!ses.chunks.length) return;
+      const type = this.mimeType || 'video/webm';
+      const blob = new Blob(ses.chunks, { type });
+      const clip = {
+        id: ++this.seq,
+        ts: ses.startTs,
+        alarmTs: ses.alarmTs,
+        blob,
+        url: URL.createObjectURL(blob),
+        durationMs: Date.now() - ses.startTs,
+        peak: ses.peak,
+        thr: ses.thr,
+        mimeType: type,
+        mode: ses.src.mode,
+      };
+      this.clips.push(clip);
+      Archive.put('clip', blob, { ts: clip.alarmTs || clip.ts, durationMs: clip.durationMs, peak: clip.peak, thr: clip.thr, mimeType: type });
+      while (this.clips.length > REC.maxClips) URL.revokeObjectURL(this.clips.shift().url);
+
+      this.render();
+      refreshUI(true);
+      Events.emit('clip:saved', eventPayload({
+        clipId: clip.id,
+        alarmTs: clip.alarmTs,
+        durationMs: clip.durationMs,
+        peak: clip.peak,
+        size: blob.size,
+        mimeType: type,
+      }));
+    },
+
+    // Останавливаем буфер. Закреплённые (тревожные) сессии дописываются до конца сами.
+    stop() {
+      clearInterval(this.rotateTimer);
+      this.rotateTimer = 0;
+
+      const src = this.src;
+      this.src = null;
+      if (!src) return;
+
+      src.retired = true;
+      for (const ses of this.sessions.filter(x => x.src === src && !x.keep)) this.discard(ses);
+      if (!this.sessions.some(x => x.src === src && x.keep)) this.releaseSource(src);
+    },
+
+    download(clip) {
+      downloadBlob(clip.blob, `motionwatch-${fileStamp(clip.alarmTs || clip.ts)}-clip.webm`);
+    },
+
+    render() {
+      const list = UI.recList;
+      list.textContent = '';
+
+      for (const clip of [...this.clips].reverse()) {
+        const row = createEl('div', {
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          gap: '8px',
+          padding: '4px 6px',
+          borderRadius: '8px',
+          background: 'rgba(0,0,0,.18)',
+          border: '1px solid rgba(255,255,255,.10)',
+        });
+        const info = createEl('div', { opacity: '.9', fontVariantNumeric: 'tabular-nums', minWidth: 0 },
+          `#${clip.id} • ${new Date(clip.alarmTs).toLocaleTimeString()} • ${(clip.durationMs / 1000).toFixed(1)} с • пик Δ=${clip.peak.toFixed(2)}`);
+        info.title = `порог ${clip.thr.toFixed(2)} • ${(clip.blob.size / 1024 / 1024).toFixed(1)} МБ • ${clip.mimeType} • источник: ${clip.mode}`;
+
+        const btn = createEl('button', {
+          height: '24px',
+          padding: '0 8px',
+          borderRadius: '8px',
+          border: '1px solid rgba(255,255,255,.14)',
+          background: 'rgba(255,255,255,.08)',
+          color: '#fff',
+          cursor: 'pointer',
+          flex: '0 0 auto',
+        }, '⬇ WebM');
+        btn.type = 'button';
+        btn.title = 'Скачать клип';
+        btn.addEventListener('click', () => this.download(clip));
+
+        row.appendChild(info);
+        row.appendChild(btn);
+        list.appendChild(row);
+      }
+    },
+
+    clear() {
+      for (const clip of this.clips) URL.revokeObjectURL(clip.url);
+      this.clips = [];
+      this.render();
+    },
+
+    // Текст состояния для карточки
+    statusLabel() {
+      if (!S.recEnabled) return 'выкл';
+      if (this.error) return this.error;
+      const recording = this.sessions.filter(x => x.keep).length;
+      if (recording) return `● пишется клип (${recording})`;
+      if (this.src) return `буфер • ${this.src.mode}`;
+      return 'ожидание (нужно видео и «на охране»)';
+    },
+
+    destroy() {
+      this.destroyed = true;
+      this.stop();
+      for (const ses of [...this.sessions]) {
+        clearTimeout(ses.stopTimer);
+        this.discard(ses);
+        this.releaseSource(ses.src);
+      }
+      this.sessions = [];
+      this.clear();
+    }
+  };
+
+  function applyRecEnabled(val, statusMsg) {
+    S.recEnabled = !!val;
+    localStorage.setItem(LS_KEYS.rec, S.recEnabled ? '1' : '0');
+    // при повторном включении даём шанс видео, на котором запись раньше не стартовала
+    Recorder.failedVideo = null;
+    Recorder.error = '';
+    Recorder.sync();
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
   }
 
-  function applyMinimized(val) {
-    S.minimized = !!val;
-    localStorage.setItem(LS_KEYS.min, S.minimized ? '1' : '0');
-    
-    // ✅ перед сворачиванием сохраняем текущую позицию panel
-    if (val) {
-      const panelRect = UI.panel.getBoundingClientRect();
-      
-      // Получаем размеры мини-панели (временно показываем для точного измерения)
-      const wasVisible = UI.mini.style.display !== 'none';
-      UI.mini.style.display = 'inline-flex';
-      const miniSize = getElSize(UI.mini);
-      if (!wasVisible) UI.mini.style.display = 'none';
-      
-      // Вычисляем идеальную позицию мини-панели: правый край мини = правый край панели
-      const idealMiniX = panelRect.right - miniSize.width;
-      const maxMiniX = window.innerWidth - miniSize.width - PANEL_PADDING;
-      const minMiniX = PANEL_PADDING;
-      
-      // Вычисляем финальную позицию мини-панели с учетом границ
-      let finalMiniX = clamp(idealMiniX, minMiniX, maxMiniX);
-      let finalMiniY = clamp(panelRect.top, PANEL_PADDING, window.innerHeight - miniSize.height - PANEL_PADDING);
-      
-      // Если мини-панель была скорректирована из-за границ, корректируем позицию панели
-      // чтобы при разворачивании мини-панель была на месте кнопок
-      let adjustedPanelX = panelRect.left;
-      if (finalMiniX !== idealMiniX) {
-        // Мини-панель была сдвинута - корректируем позицию панели
-        const diff = idealMiniX - finalMiniX;
-        adjustedPanelX = Math.max(PANEL_PADDING, panelRect.left - diff);
+  function applyRecPre(v, statusMsg) {
+    S.recPre = clampRecPre(v);
+    UI.sliderRecPre.value = String(S.recPre);
+    localStorage.setItem(LS_KEYS.recPre, String(S.recPre));
+    Recorder.restartRotation();
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  // Режим детектора: avg — средняя разница по зоне, blob — пятна с минимальной площадью
+  function applyDetector(mode, statusMsg) {
+    S.detector = DETECTORS.has(mode) ? mode : 'avg';
+    localStorage.setItem(LS_KEYS.detector, S.detector);
+    // значения разных режимов несравнимы — начинаем фильтрацию и тревогу с чистого листа
+    resetTrackingState();
+    clearAlarm();
+    Channels.reset();
+    S.blobs = [];
+    updateBlobBoxes();
+    renderZoneList();
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  function applyLightComp(val, statusMsg) {
+    S.lightComp = !!val;
+    localStorage.setItem(LS_KEYS.lightComp, S.lightComp ? '1' : '0');
+    // нормированные и сырые кадры несравнимы — начинаем отслеживание заново
+    resetTrackingState();
+    Channels.each(resetTrackingState);
+    S.lightCells = null;
+    S.lightHoldUntil = 0;
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  // Модель фона: ref — опорный кадр, gauss — адаптивный фон (бегущие среднее/дисперсия)
+  function applyBgModel(model, statusMsg) {
+    S.bgModel = BG_MODELS.has(model) ? model : 'ref';
+    localStorage.setItem(LS_KEYS.bgModel, S.bgModel);
+    // Δ разных моделей в разных единицах — начинаем отслеживание заново
+    resetTrackingState();
+    clearAlarm();
+    Channels.reset();
+    renderZoneList();
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  function applyBgRate(v, statusMsg) {
+    S.bgRate = clampBgRate(v);
+    UI.sliderBgRate.value = String(S.bgRate);
+    localStorage.setItem(LS_KEYS.bgRate, String(S.bgRate));
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  function applyBgFg(v, statusMsg) {
+    S.bgFgPct = clampBgFg(v);
+    UI.sliderBgFg.value = String(S.bgFgPct);
+    localStorage.setItem(LS_KEYS.bgFg, String(S.bgFgPct));
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  function applyBlobPix(v, statusMsg) {
+    S.blobPixThr = clampBlobPix(v);
+    UI.sliderBlobPix.value = String(S.blobPixThr);
+    localStorage.setItem(LS_KEYS.blobPix, String(S.blobPixThr));
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  function applyBlobArea(v, statusMsg) {
+    S.blobMinArea = clampBlobArea(v);
+    UI.sliderBlobArea.value = String(S.blobMinArea);
+    localStorage.setItem(LS_KEYS.blobArea, String(S.blobMinArea));
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  function applyChartSec(sec, statusMsg) {
+    S.chartSec = CHART.sec.list.includes(Number(sec)) ? Number(sec) : CHART.sec.def;
+    localStorage.setItem(LS_KEYS.chartSec, String(S.chartSec));
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  function applyHeatMode(mode, statusMsg) {
+    S.heatMode = HEAT_MODES.has(mode) ? mode : 'off';
+    localStorage.setItem(LS_KEYS.heatMode, S.heatMode);
+    if (S.heatMode === 'off') Heatmap.place();
+    else Heatmap.render();
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  function applyHeatMinutes(v, statusMsg) {
+    S.heatMinutes = clampHeatMin(v);
+    UI.sliderHeatMin.value = String(S.heatMinutes);
+    localStorage.setItem(LS_KEYS.heatMin, String(S.heatMinutes));
+    if (S.heatMode === 'acc') Heatmap.render();
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  function applyRecPost(v, statusMsg) {
+    S.recPost = clampRecPost(v);
+    UI.sliderRecPost.value = String(S.recPost);
+    localStorage.setItem(LS_KEYS.recPost, String(S.recPost));
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  // =========================
+  // WEBHOOK (HTTP-запрос при тревоге)
+  // =========================
+  // На начало и конец тревоги шлём запрос на свой адрес: метод, заголовки и JSON-тело по шаблону.
+  // Неудачные запросы ждут в очереди и повторяются с растущей паузой (по порядку — следующий ждёт предыдущий),
+  // итог каждой попытки пишется в журнал карточки «Webhook». Очередь живёт только в памяти вкладки.
+
+  // «Имя: значение» по одному на строку → объект заголовков (ошибка — исключение с номером строки)
+  function parseHeaderLines(text) {
+    const out = {};
+    String(text || '').split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      const m = /^\s*([!#$%&'*+.^_`|~\w-]+)\s*:\s*(.*?)\s*$/.exec(line);
+      if (!m) throw new Error(`заголовки, строка ${i + 1}: нужно «Имя: значение»`);
+      out[m[1]] = m[2];
+    });
+    return out;
+  }
+
+  // Переменные шаблона: поля события, адрес страницы и (по желанию) кадр JPEG в base64
+  function webhookVars(type, payload, frame) {
+    const zones = payload.alarmZones || [];
+    const jpeg = S.hook.snapshot ? scaledJpeg(frame, WEBHOOK.imageW, WEBHOOK.quality) : null;
+    return {
+      event: type,
+      ts: payload.ts,
+      time: new Date(payload.ts).toISOString(),
+      d: payload.d,
+      dFiltered: payload.dFiltered,
+      thr: payload.thr,
+      thrHigh: payload.thrHigh,
+      thrLow: payload.thrLow,
+      detector: payload.detector,
+      video: (payload.channel ?? 0) + 1,
+      zones,
+      zoneNames: zones.map(z => z.name).join(', '),
+      page: location.href,
+      title: document.title,
+      snapshot: jpeg ? jpeg.slice(jpeg.indexOf(',') + 1) : null,
+    };
+  }
+
+  // Шаблон — JSON. Строка целиком "{{имя}}" заменяется значением как есть (число, массив, null),
+  // {{имя}} внутри строки — текстом. Пустой шаблон — все переменные одним объектом.
+  function buildWebhookBody(template, vars) {
+    if (!String(template || '').trim()) return JSON.stringify(vars);
+    const text = (v) => (v !== null && typeof v === 'object' ? JSON.stringify(v) : String(v ?? ''));
+    const fill = (v) => {
+      if (typeof v === 'string') {
+        const whole = /^\{\{(\w+)\}\}$/.exec(v);
+        if (whole) return vars[whole[1]] ?? null;
+        return v.replace(/\{\{(\w+)\}\}/g, (_, k) => text(vars[k]));
       }
-      
-      // Сохраняем скорректированную позицию панели (для разворачивания)
-      S.pos = { x: adjustedPanelX, y: panelRect.top };
-      
-      // Применяем финальную позицию мини-панели (гарантированно в пределах экрана)
-      setElPos(UI.mini, finalMiniX, finalMiniY);
+      if (Array.isArray(v)) return v.map(fill);
+      if (v && typeof v === 'object') return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, fill(x)]));
+      return v;
+    };
+    return JSON.stringify(fill(JSON.parse(template)));
+  }
+
+  const Webhook = {
+    queue: [],        // [{ id, event, url, method, headers, body, attempts, nextAt }] — в порядке отправки
+    log: [],          // [{ ts, id, event, attempt, ok, text }], новые — в конце
+    seq: 0,
+    timer: null,
+    busy: false,
+    destroyed: false,
+
+    // Вызывается из showAlarm()/clearAlarm(); frame — canvas кадра тревоги (для снимка) или null
+    onAlarm(type, payload, frame = null) {
+      if (!S.hook.on || !S.hook.url) return;
+      this.enqueue(type, payload, frame);
+    },
+
+    // Пробный запрос с текущими значениями (кнопка «Отправить тест»)
+    test() {
+      const frame = isValidVideo(S.video) ? Snapshots.drawFull(S.video) : null;
+      this.enqueue('test', eventPayload(), frame);
+    },
+
+    enqueue(type, payload, frame) {
+      let body;
+      try {
+        body = buildWebhookBody(S.hook.template, webhookVars(type, payload, frame));
+      } catch (err) {
+        this.note({ id: ++this.seq, event: type, attempts: 0 }, false, `шаблон: ${err.message}`);
+        return;
+      }
+      // адрес, метод и заголовки — на момент события: правка адреса не отправит старые тревоги (и снимки) на новый.
+      // applyHook() заголовки проверяет, но из localStorage может прийти и неверная строка — тогда запрос
+      // не шлём и пишем ошибку в журнал карточки, как и с шаблоном (тревога при этом идёт своим чередом)
+      const { url, method } = S.hook;
+      let headers;
+      try {
+        headers = parseHeaderLines(S.hook.headers);
+      } catch (err) {
+        this.note({ id: ++this.seq, event: type, attempts: 0 }, false, err.message);
+        return;
+      }
+      this.queue.push({ id: ++this.seq, event: type, url, method, headers, body, attempts: 0, nextAt: 0 });
+      // сервер долго недоступен — самые старые запросы выбрасываем, чтобы не копить снимки в памяти
+      while (this.queue.length > WEBHOOK.queueMax) this.note(this.queue.shift(), false, 'выброшен: очередь переполнена');
+      this.schedule();
+    },
+
+    schedule() {
+      clearTimeout(this.timer);
+      this.timer = null;
+      if (this.destroyed || this.busy || !this.queue.length) return;
+      this.timer = setTimeout(() => this.sendNext(), Math.max(0, this.queue[0].nextAt - Date.now()));
+    },
+
+    async sendNext() {
+      this.timer = null;
+      const item = this.queue[0];
+      if (!item || this.busy) return;
+
+      this.busy = true;
+      item.attempts++;
+      let ok = false, retry = true, text;
+      try {
+        const res = await this.request(item);
+        ok = res.ok;
+        text = `HTTP ${res.status}`;
+        // 4xx (кроме 408/429) — ошибка в самом запросе, повтор не поможет
+        if (!ok && res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429) retry = false;
+      } catch (err) {
+        text = err?.name === 'AbortError' ? `нет ответа за ${WEBHOOK.timeoutMs / 1000} с` : `сеть/CORS: ${err?.message || err}`;
+      }
+      this.busy = false;
+      if (this.destroyed) return;
+
+      if (this.queue[0] !== item) {
+        // очередь сбросили (webhook выключен), пока запрос шёл — повторов не будет
+        this.note(item, ok, ok ? text : `${text} — не доставлено`);
+      } else if (ok || !retry || item.attempts >= WEBHOOK.retry.max) {
+        this.queue.shift();
+        this.note(item, ok, ok ? text : `${text} — не доставлено`);
+      } else {
+        const delay = Math.min(WEBHOOK.retry.maxMs, WEBHOOK.retry.baseMs * 2 ** (item.attempts - 1));
+        item.nextAt = Date.now() + delay;
+        this.note(item, false, `${text} — повтор через ${Math.round(delay / 1000)} с`);
+      }
+      this.schedule();
+    },
+
+    async request(item) {
+      const ctrl = new AbortController();
+      const t = setTimeout(() => ctrl.abort(), WEBHOOK.timeoutMs);
+      try {
+        return await fetch(item.url, {
+          method: item.method,
+          headers: { 'Content-Type': 'application/json', ...item.headers },
+          body: item.body,
+          credentials: 'omit',
+          signal: ctrl.signal,
+        });
+      } finally {
+        clearTimeout(t);
+      }
+    },
+
+    note(item, ok, text) {
+      this.log.push({ ts: Date.now(), id: item.id, event: item.event, attempt: item.attempts, ok, text });
+      while (this.log.length > WEBHOOK.logMax) this.log.shift();
+      this.render();
+      refreshUI(true);
+    },
+
+    // Журнал доставки (новые — сверху)
+    render() {
+      const list = UI.hookLog;
+      list.textContent = '';
+      for (const it of [...this.log].reverse()) {
+        const row = createEl('div', {
+          padding: '3px 6px',
+          borderRadius: '8px',
+          background: 'rgba(0,0,0,.18)',
+          border: `1px solid ${it.ok ? 'rgba(120,220,140,.35)' : 'rgba(255,120,120,.35)'}`,
+          fontVariantNumeric: 'tabular-nums',
+          overflow: 'hidden',
+          textOverflow: 'ellipsis',
+          whiteSpace: 'nowrap',
+        }, `${it.ok ? '✓' : '✕'} ${new Date(it.ts).toLocaleTimeString()} • #${it.id} ${it.event}${it.attempt > 1 ? ` (попытка ${it.attempt})` : ''} • ${it.text}`);
+        row.title = row.textContent;
+        list.appendChild(row);
+      }
+    },
+
+    clearLog() {
+      this.log = [];
+      this.render();
+    },
+
+    // Webhook выключили — недоставленное не отправляем (в журнале доставки видно, что выброшено)
+    dropQueue(text) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      const items = this.queue;
+      this.queue = [];
+      for (const item of items) this.note(item, false, text);
+    },
+
+    destroy() {
+      this.destroyed = true;
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.queue = [];
     }
-    
-    // ✅ при разворачивании позиционируем панель так, чтобы её правый край был там, где была мини-панель
-    if (!val) {
-      // Получаем текущую позицию мини-панели ДО того, как она скроется
-      const miniRect = UI.mini.getBoundingClientRect();
-      const miniRight = miniRect.right;
-      const miniTop = miniRect.top;
-      
-      // Показываем панель для получения её размеров
-      UI.panel.style.display = 'block';
-      UI.mini.style.display = 'none';
-      
-      // Небольшая задержка для рендеринга, затем позиционируем
-      requestAnimationFrame(() => {
-        // Вычисляем позицию большой панели: её правый край = правый край мини-панели
-        const panelPos = calcPanelPosFromMini(miniRight, miniTop);
-        const panelSize = getElSize(UI.panel);
-        
-        // Проверяем границы экрана
-        const minX = PANEL_PADDING;
-        const maxX = window.innerWidth - panelSize.width - PANEL_PADDING;
-        
-        // Ограничиваем позицию в пределах экрана
-        const clampedX = clamp(panelPos.x, minX, maxX);
-        
+  };
+
+  // Настройки webhook (patch — часть S.hook). Адрес, заголовки и шаблон проверяются до сохранения.
+  function applyHook(patch, statusMsg) {
+    const next = sanitizeHook({ ...S.hook, ...patch });
+    try {
+      if (next.url && !/^https?:\/\//i.test(next.url)) throw new Error('адрес должен начинаться с http:// или https://');
+      parseHeaderLines(next.headers);
+      if (next.template.trim()) JSON.parse(next.template);
+    } catch (err) {
+      S.status = `webhook: ${err.message.replace(/^JSON\.parse: /, '')}`;
+      fillHookFields();
+      refreshUI(true);
+      return;
+    }
+    const turnedOff = S.hook.on && !next.on;
+    S.hook = next;
+    setLSJSON(LS_KEYS.hook, S.hook);
+    if (turnedOff) Webhook.dropQueue('выброшен: webhook выключен');
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  // Поля ввода карточки — из S.hook (при загрузке и после отклонённой правки)
+  function fillHookFields() {
+    UI.hookUrl.value = S.hook.url;
+    UI.hookHeaders.value = S.hook.headers;
+    UI.hookTemplate.value = S.hook.template;
+  }
+
+  // =========================
+  // STORAGE (IndexedDB)
+  // =========================
+  // Своя база на каждый NS (сайт + селектор, как у ключей localStorage). Новое хранилище — строка в stores
+  // и следующая version: onupgradeneeded создаёт недостающие. Без IndexedDB (запрет сайта, приватный режим
+  // некоторых браузеров) run() отдаёт null — модули работают только в памяти.
+  const IDB = {
+    version: 2,
+    stores: {
+      journal: { keyPath: 'id', autoIncrement: true },
+      media: { keyPath: 'id', autoIncrement: true },   // архив тревог: кадры и клипы (Blob)
+    },
+    db: null,
+    opening: null,     // Promise<IDBDatabase | null> — база открывается один раз
+
+    open() {
+      if (!this.opening) {
+        this.opening = new Promise((resolve) => {
+          let req;
+          try {
+            req = window.indexedDB.open(NS, this.version);
+          } catch {
+            return resolve(null); // нет indexedDB или SecurityError
+          }
+          req.onupgradeneeded = () => {
+            const db = req.result;
+            for (const [name, opts] of Object.entries(this.stores)) {
+              if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, opts);
+            }
+          };
+          req.onsuccess = () => {
+            this.db = req.result;
+            // новая версия скрипта в другой вкладке обновляет базу — уступаем ей соединение
+            this.db.onversionchange = () => this.close();
+            resolve(this.db);
+          };
+          req.onerror = () => resolve(null);
+        });
+      }
+      return this.opening;
+    },
+
+    // Одна транзакция: fn(objectStore) возвращает запрос (или ничего).
+    // Итог — result запроса после завершения транзакции; null — базы нет или запрос не удался
+    async run(store, mode, fn) {
+      const db = await this.open();
+      if (!db) return null;
+      return new Promise((resolve) => {
+        try {
+          const tx = db.transaction(store, mode);
+          const req = fn(tx.objectStore(store));
+          tx.oncomplete = () => resolve(req ? req.result : null);
+          tx.onabort = () => resolve(null); // ошибка запроса (в том числе нехватка места) отменяет транзакцию
+        } catch {
+          resolve(null); // соединение уже закрыто
+        }
+      });
+    },
+
+    close() {
+      this.db?.close();
+      this.db = null;
+      this.opening = Promise.resolve(null);
+    },
+  };
+
+  // =========================
+  // JOURNAL (журнал событий)
+  // =========================
+  // Что происходило, пока никто не смотрел: тревоги (начало, длительность, пик и среднее dFiltered, зоны),
+  // вкл/выкл, итоги автокалибровки, смена и блокировка видео. Записи лежат в items (старые → новые)
+  // и в IndexedDB (хранилище journal). Запись тревоги создаётся при её начале и дописывается при конце
+  // (тот же id), поэтому после падения вкладки в журнале остаётся тревога без конца.
+  // Модули зовут Journal напрямую, как Snapshots и Webhook: подписка через Events слетела бы от off().
+
+  const VIDEO_EVENT_LABEL = { bound: 'привязано видео', lost: 'видео потеряно', blocked: 'блокировка (CORS)' };
+
+  // Значение ячейки CSV: кавычки, если внутри разделитель, кавычка или перевод строки
+  const csvCell = (v) => {
+    const s = String(v ?? '');
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+
+  const Journal = {
+    items: [],
+    loaded: false,         // база прочитана; до этого записи только копятся в items
+    persistent: false,     // IndexedDB доступна
+    writes: new WeakMap(), // запись → Promise её последнего сохранения: put идут по очереди, иначе запись без id задвоится
+    gone: new WeakSet(),   // удалённые записи: их отложенные put больше не выполняются
+    pending: new Set(),    // незавершённые сохранения — destroy() закрывает базу после них
+    destroyed: false,
+
+    // Вызывается из INIT: читает журнал из базы и дописывает туда то, что случилось, пока она открывалась
+    async start() {
+      const stored = await IDB.run('journal', 'readonly', st => st.getAll());
+      if (this.destroyed) return;
+      this.persistent = !!stored;
+      const fresh = this.items;
+      this.items = (stored || []).concat(fresh);
+      this.loaded = true;
+      fresh.forEach(rec => this.write(rec));
+      this.prune();
+      this.render();
+      refreshUI(true);
+    },
+
+    add(type, data = {}) {
+      const rec = { ts: Date.now(), type, channel: S.chan, ...data };
+      this.items.push(rec);
+      this.write(rec);
+      this.prune();
+      this.render();
+      return rec;
+    },
+
+    write(rec) {
+      if (!this.loaded || !this.persistent || this.destroyed || this.gone.has(rec)) return;
+      const job = (this.writes.get(rec) || Promise.resolve())
+        .then(() => (this.gone.has(rec) ? null : IDB.run('journal', 'readwrite', st => st.put(rec))))
+        .then((id) => { if (id != null) rec.id = id; });
+      this.writes.set(rec, job);
+      this.pending.add(job);
+      job.finally(() => this.pending.delete(job));
+    },
+
+    // Срок хранения (S.journalDays) и предел числа записей; удалённое уходит и из базы
+    prune() {
+      const minTs = Date.now() - S.journalDays * 86400000;
+      let cut = 0;
+      while (cut < this.items.length && (this.items[cut].ts < minTs || this.items.length - cut > JOURNAL.maxItems)) cut++;
+      if (!cut) return;
+      this.forget(this.items.splice(0, cut));
+    },
+
+    // Удаление из базы. У записи, чей первый put ещё идёт, id пока нет — удаляем после него,
+    // иначе она вернулась бы после перезагрузки
+    forget(recs) {
+      const ids = [];
+      for (const rec of recs) {
+        this.gone.add(rec);
+        if (!this.persistent) continue;
+        const job = this.writes.get(rec);
+        if (!job) {
+          if (rec.id != null) ids.push(rec.id);
+          continue;
+        }
+        const del = job.then(() => (rec.id != null ? IDB.run('journal', 'readwrite', st => st.delete(rec.id)) : null));
+        this.pending.add(del);
+        del.finally(() => this.pending.delete(del));
+      }
+      if (ids.length) IDB.run('journal', 'readwrite', st => { ids.forEach(id => st.delete(id)); });
+    },
+
+    clear() {
+      this.forget(this.items);
+      this.items = [];
+      if (this.persistent) IDB.run('journal', 'readwrite', st => st.clear());
+      this.render();
+    },
+
+    // Вызывается из showAlarm() (и для каналов — в их Channels.run): тревога пишется сразу
+    onAlarmStart(payload) {
+      const zones = new Set(payload.alarmZones.map(z => z.name));
+      const rec = this.add('alarm', {
+        end: 0, durationMs: 0, peak: S.dFiltered, mean: S.dFiltered, thr: payload.thrHigh, zones: [...zones],
+      });
+      S.journalAlarm = { rec, sum: S.dFiltered, n: 1, zones };
+    },
+
+    // Вызывается из processFrame(), пока тревога идёт: пик, сумма для среднего, зоны
+    tick() {
+      const a = S.journalAlarm;
+      if (!a) return;
+      a.sum += S.dFiltered;
+      a.n++;
+      a.rec.peak = Math.max(a.rec.peak, S.dFiltered);
+      for (const key of S.alarmZones) a.zones.add(describeZones([key])[0].name);
+    },
+
+    // Вызывается из clearAlarm(), если тревога была
+    onAlarmEnd() {
+      const a = S.journalAlarm;
+      if (!a) return;
+      S.journalAlarm = null;
+      const now = Date.now();
+      Object.assign(a.rec, { end: now, durationMs: now - a.rec.ts, mean: a.sum / a.n, zones: [...a.zones] });
+      this.write(a.rec);
+      this.render();
+    },
+
+    onPower(on, text) {
+      this.add(on ? 'enable' : 'disable', { text: text || '' });
+    },
+
+    onCalibration(result) {
+      this.add('calibration', { ok: result.ok, samples: result.samples, thr: result.thr, reason: result.reason || '' });
+    },
+
+    // event: bound | lost | blocked
+    onVideo(event, video) {
+      this.add('video', { event, source: bridgeSafe(video) });
+    },
+
+    // Идёт ли ещё тревога этой записи (у основного видео или у канала)
+    isOpen(rec) {
+      return S.journalAlarm?.rec === rec || Channels.list.some(ch => ch.s.journalAlarm?.rec === rec);
+    },
+
+    filtered() {
+      const f = S.journalFilter;
+      if (f === 'all') return this.items;
+      if (f === 'power') return this.items.filter(r => r.type === 'enable' || r.type === 'disable');
+      return this.items.filter(r => r.type === f);
+    },
+
+    // Текст записи без времени (строка карточки и колонка details в CSV)
+    describe(r) {
+      if (r.type === 'alarm') {
+        const dur = r.end ? `${(r.durationMs / 1000).toFixed(1)} с` : (this.isOpen(r) ? 'идёт' : 'без конца (вкладка закрыта)');
+        return `тревога • ${dur} • пик Δ=${r.peak.toFixed(2)}, ср. ${r.mean.toFixed(2)}${r.zones.length ? ` • ${r.zones.join(', ')}` : ''}`;
+      }
+      if (r.type === 'enable' || r.type === 'disable') {
+        const label = r.type === 'enable' ? 'включено' : 'выключено';
+        return r.text && r.text !== label ? `${label} • ${r.text}` : label;
+      }
+      if (r.type === 'calibration') {
+        return r.ok
+          ? `калибровка: порог ${r.thr.toFixed(2)} (${r.samples} кадр.)`
+          : `калибровка не удалась: ${r.reason || 'мало кадров'} (${r.samples} кадр.)`;
+      }
+      if (r.type === 'video') {
+        const src = r.source || {};
+        const size = src.w ? ` ${src.w}×${src.h}` : '';
+        return `${VIDEO_EVENT_LABEL[r.event] || r.event}: <${src.tag || '?'}>${size}${src.src ? ` ${src.src}` : ''}`;
+      }
+      return r.type;
+    },
+
+    // Новые — сверху, не больше JOURNAL.show строк
+    render() {
+      const list = UI.journalList;
+      list.textContent = '';
+      const items = this.filtered();
+      const multi = S.multi.on || items.some(r => r.channel);
+      for (const r of items.slice(-JOURNAL.show).reverse()) {
+        const open = r.type === 'alarm' && !r.end;
+        const row = createEl('div', {
+          padding: '3px 6px',
+          borderRadius: '8px',
+          background: r.type === 'alarm' ? 'rgba(255,60,60,.18)' : 'rgba(0,0,0,.18)',
+          border: `1px solid ${open ? 'rgba(255,60,60,.55)' : 'rgba(255,255,255,.10)'}`,
+          fontVariantNumeric: 'tabular-nums',
+          overflow: 'hidden',
+          textOverflow: 'ellipsis',
+          whiteSpace: 'nowrap',
+        }, `${new Date(r.ts).toLocaleString()}${multi ? ` • №${r.channel + 1}` : ''} • ${this.describe(r)}`);
+        row.title = row.textContent;
+        list.appendChild(row);
+      }
+      if (!items.length) list.appendChild(createEl('div', { opacity: '.6' }, 'Записей нет.'));
+    },
+
+    exportJson() {
+      const items = this.filtered();
+      const data = {
+        format: JOURNAL.format,
+        v: 1,
+        page: location.href,
+        exported: new Date().toISOString(),
+        filter: S.journalFilter,
+        items: items.map(({ id, ...r }) => ({ ...r, time: new Date(r.ts).toISOString() })),
+      };
+      downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `motionwatch-journal-${fileStamp(Date.now())}.json`);
+      S.status = `журнал: выгружено записей — ${items.length}`;
+      refreshUI(true);
+    },
+
+    exportCsv() {
+      const items = this.filtered();
+      const head = ['time', 'type', 'channel', 'duration_s', 'peak', 'mean', 'thr', 'zones', 'details'];
+      const rows = items.map(r => [
+        new Date(r.ts).toISOString(),
+        r.type,
+        r.channel + 1,
+        r.type === 'alarm' && r.end ? (r.durationMs / 1000).toFixed(1) : '',
+        r.type === 'alarm' ? r.peak.toFixed(3) : '',
+        r.type === 'alarm' ? r.mean.toFixed(3) : '',
+        r.type === 'alarm' || (r.type === 'calibration' && r.ok) ? r.thr.toFixed(2) : '',
+        r.type === 'alarm' ? r.zones.join('; ') : '',
+        this.describe(r),
+      ].map(csvCell).join(','));
+      // BOM — чтобы Excel открыл кириллицу в UTF-8
+      const text = '\ufeff' + [head.join(','), ...rows].join('\r\n');
+      downloadBlob(new Blob([text], { type: 'text/csv;charset=utf-8' }), `motionwatch-journal-${fileStamp(Date.now())}.csv`);
+      S.status = `журнал: выгружено записей — ${items.length}`;
+      refreshUI(true);
+    },
+
+    destroy() {
+      this.destroyed = true;
+      // незаписанное (например, конец тревоги из destroy → clearAlarm) и файлы архива сохраняем до закрытия базы
+      Promise.allSettled([...this.pending, ...Archive.pending]).then(() => IDB.close());
+    },
+  };
+
+  function applyJournalDays(v, statusMsg) {
+    S.journalDays = clampJournalDays(v);
+    UI.sliderJournalDays.value = String(S.journalDays);
+    localStorage.setItem(LS_KEYS.journalDays, String(S.journalDays));
+    Journal.prune();
+    Journal.render();
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  function applyJournalFilter(filter) {
+    S.journalFilter = Object.keys(JOURNAL.filters).includes(filter) ? filter : 'all';
+    Journal.render();
+    refreshUI(true);
+  }
+
+  // =========================
+  // ARCHIVE (архив тревог в IndexedDB)
+  // =========================
+  // Snapshots и Recorder держат кадры и клипы только в памяти вкладки. Archive копирует их в хранилище media
+  // (Blob + подпись) и показывает в своей карточке — после перезагрузки и без привязанного видео.
+  // Квота: S.archive.maxMB и maxDays, сверх них удаляются самые старые записи. Если база не открылась,
+  // архив живёт до перезагрузки, как буферы Snapshots/Recorder.
+  const Archive = {
+    items: [],          // [{ id, kind: 'snap'|'clip', ts, size, blob, ...подпись }], старые → новые
+    loaded: false,
+    persistent: false,
+    ready: null,        // Promise чтения базы: put() ждёт его, чтобы не обогнать start()
+    failed: 0,          // сколько файлов не удалось записать (нет места и т. п.)
+    pending: new Set(), // незавершённые записи — база закрывается после них
+    urls: new Map(),    // id → object URL миниатюры или просмотра
+    view: null,         // id открытого в просмотре файла
+    shown: null,        // id файла, чей элемент уже стоит в просмотре (не перезапускаем клип при перерисовке)
+    memSeq: 0,          // id записей без базы (отрицательные)
+    destroyed: false,
+
+    // Вызывается из INIT: читает архив и сразу применяет квоту (срок мог истечь, пока вкладка была закрыта)
+    start() {
+      this.ready = (async () => {
+        const stored = await IDB.run('media', 'readonly', st => st.getAll());
+        if (this.destroyed) return;
+        this.persistent = !!stored;
+        this.items = (stored || []).concat(this.items).sort((a, b) => a.ts - b.ts);
+        this.loaded = true;
+        this.evict();
+        this.render();
+        refreshUI(true);
+      })();
+      return this.ready;
+    },
+
+    // Из Snapshots.store() и Recorder.finalize(); meta — подпись без Blob
+    put(kind, blob, meta) {
+      if (!S.archive.on || this.destroyed) return;
+      const rec = { kind, ts: Date.now(), size: blob.size, channel: S.chan, ...meta, blob };
+      const job = Promise.resolve(this.ready).then(async () => {
+        if (this.destroyed) return;
+        if (this.persistent) {
+          const id = await IDB.run('media', 'readwrite', st => st.add(rec));
+          if (id == null) {
+            this.failed++;
+            refreshUI(true);
+            return;
+          }
+          rec.id = id;
+        } else {
+          rec.id = -(++this.memSeq); // только в памяти: id лишь для выбора в списке
+        }
+        if (this.destroyed) return;
+        const i = this.items.findIndex(x => x.ts > rec.ts);
+        this.items.splice(i < 0 ? this.items.length : i, 0, rec);
+        this.evict();
+        this.render();
+        refreshUI(true);
+      });
+      this.pending.add(job);
+      job.finally(() => this.pending.delete(job));
+    },
+
+    bytes() {
+      return this.items.reduce((sum, r) => sum + r.size, 0);
+    },
+
+    // Квота: сначала срок, потом размер — всегда с самых старых
+    evict() {
+      const minTs = Date.now() - S.archive.maxDays * 86400000;
+      const maxBytes = S.archive.maxMB * 1024 * 1024;
+      let total = this.bytes();
+      let cut = 0;
+      while (cut < this.items.length && (this.items[cut].ts < minTs || total > maxBytes)) total -= this.items[cut++].size;
+      if (!cut) return;
+      this.drop(this.items.splice(0, cut));
+    },
+
+    remove(id) {
+      const i = this.items.findIndex(r => r.id === id);
+      if (i < 0) return;
+      this.drop(this.items.splice(i, 1));
+      this.render();
+    },
+
+    // Убираем записи из базы и освобождаем их URL; открытый в просмотре файл закрывается
+    drop(recs) {
+      for (const r of recs) this.revoke(r.id);
+      if (recs.some(r => r.id === this.view)) this.view = null;
+      const ids = recs.map(r => r.id).filter(id => id > 0);
+      if (ids.length && this.persistent) IDB.run('media', 'readwrite', st => { ids.forEach(id => st.delete(id)); });
+    },
+
+    clear() {
+      this.drop(this.items);
+      this.items = [];
+      this.failed = 0;
+      if (this.persistent) IDB.run('media', 'readwrite', st => st.clear());
+      this.render();
+    },
+
+    url(rec) {
+      if (!this.urls.has(rec.id)) this.urls.set(rec.id, URL.createObjectURL(rec.blob));
+      return this.urls.get(rec.id);
+    },
+
+    revoke(id) {
+      const url = this.urls.get(id);
+      if (!url) return;
+      URL.revokeObjectURL(url);
+      this.urls.delete(id);
+    },
+
+    // Видимые в карточке записи (с учётом фильтра), новые — первыми
+    filtered() {
+      const f = S.archiveFilter;
+      const items = f === 'all' ? this.items : this.items.filter(r => r.kind === f);
+      return items.slice(-ARCHIVE.show).reverse();
+    },
+
+    label(r) {
+      if (r.kind === 'clip') return `клип ${(r.durationMs / 1000).toFixed(0)} с`;
+      return `кадр «${SNAP_KIND_LABEL[r.shot] || r.shot}»`;
+    },
+
+    describe(r) {
+      const multi = S.multi.on || this.items.some(x => x.channel);
+      const size = r.w ? ` • ${r.w}×${r.h}` : '';
+      return `${new Date(r.ts).toLocaleString()}${multi ? ` • №${r.channel + 1}` : ''} • ${this.label(r)}${size} • ${(r.size / 1024 / 1024).toFixed(1)} МБ`;
+    },
+
+    open(id) {
+      this.view = this.items.some(r => r.id === id) ? id : null;
+      this.renderView();
+    },
+
+    // step: -1 — к более новому, +1 — к более старому (порядок списка в карточке)
+    step(dir) {
+      const items = this.filtered();
+      const i = items.findIndex(r => r.id === this.view);
+      const next = items[i + dir];
+      if (next) this.open(next.id);
+    },
+
+    download(id) {
+      const r = this.items.find(x => x.id === id);
+      if (!r) return;
+      downloadBlob(r.blob, `motionwatch-${fileStamp(r.ts)}-${r.kind === 'clip' ? 'clip.webm' : `${r.shot}.png`}`);
+    },
+
+    renderView() {
+      const r = this.items.find(x => x.id === this.view);
+      UI.archView.style.display = r ? 'block' : 'none';
+      if (this.shown !== (r ? r.id : null)) {
+        UI.archViewMedia.textContent = '';
+        this.shown = r ? r.id : null;
+      }
+      if (!r) return;
+
+      if (!UI.archViewMedia.firstChild) {
+        const el = r.kind === 'clip'
+          ? createEl('video', { maxWidth: '100%', maxHeight: '240px' })
+          : createEl('img', { maxWidth: '100%', maxHeight: '240px' });
+        if (r.kind === 'clip') el.controls = true;
+        el.src = this.url(r);
+        UI.archViewMedia.appendChild(el);
+      }
+      UI.archViewCap.textContent = r.kind === 'clip'
+        ? `${this.describe(r)} • пик Δ=${r.peak.toFixed(2)} (порог ${r.thr.toFixed(2)})`
+        : `${this.describe(r)} • Δ=${r.dFiltered.toFixed(2)} (порог ${r.thr.toFixed(2)})`;
+
+      const items = this.filtered();
+      const i = items.findIndex(x => x.id === r.id);
+      setBtnDisabled(UI.btnArchPrev, i <= 0);
+      setBtnDisabled(UI.btnArchNext, i < 0 || i >= items.length - 1);
+    },
+
+    // Список: миниатюра кадра или значок клипа, подпись; клик — просмотр
+    render() {
+      const list = UI.archList;
+      list.textContent = '';
+      const items = this.filtered();
+      for (const r of items) {
+        const row = createEl('div', {
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          padding: '3px 6px',
+          borderRadius: '8px',
+          cursor: 'pointer',
+          background: r.id === this.view ? 'rgba(255,255,255,.14)' : 'rgba(0,0,0,.18)',
+          border: '1px solid rgba(255,255,255,.10)',
+          fontVariantNumeric: 'tabular-nums',
+        });
+        let thumb;
+        if (r.kind === 'snap') {
+          thumb = createEl('img', { display: 'block', height: `${ARCHIVE.thumbH}px`, width: 'auto', borderRadius: '6px' });
+          thumb.src = this.url(r);
+          thumb.alt = this.label(r);
+          thumb.draggable = false;
+        } else {
+          thumb = createEl('div', { width: `${ARCHIVE.thumbH}px`, textAlign: 'center', fontSize: '20px' }, '🎬');
+        }
+        const text = createEl('div', { overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }, this.describe(r));
+        row.title = `${this.describe(r)}\nКлик — просмотр`;
+        row.appendChild(thumb);
+        row.appendChild(text);
+        row.addEventListener('click', () => {
+          this.open(r.id);
+          this.render();
+        });
+        list.appendChild(row);
+      }
+      if (!items.length) list.appendChild(createEl('div', { opacity: '.6' }, 'Архив пуст.'));
+
+      // URL удалённых из списка записей больше не нужны (открытую в просмотре не трогаем)
+      const shown = new Set(items.map(r => r.id));
+      for (const id of [...this.urls.keys()]) {
+        if (!shown.has(id) && id !== this.view) this.revoke(id);
+      }
+      this.renderView();
+    },
+
+    statusLabel() {
+      if (!S.archive.on) return 'выкл';
+      if (this.loaded && !this.persistent) return `${this.items.length} • нет IndexedDB`;
+      const mb = this.bytes() / 1024 / 1024;
+      return `${this.items.length} • ${mb.toFixed(1)} / ${S.archive.maxMB} МБ${this.failed ? ` • не записано: ${this.failed}` : ''}`;
+    },
+
+    destroy() {
+      this.destroyed = true;
+      for (const url of this.urls.values()) URL.revokeObjectURL(url);
+      this.urls.clear();
+      this.items = [];
+    },
+  };
+
+  function applyArchive(patch, statusMsg) {
+    S.archive = sanitizeArchive({ ...S.archive, ...patch });
+    setLSJSON(LS_KEYS.archive, S.archive);
+    UI.sliderArchMB.value = String(S.archive.maxMB);
+    UI.sliderArchDays.value = String(S.archive.maxDays);
+    Archive.evict();
+    Archive.render();
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  function applyArchiveFilter(filter) {
+    S.archiveFilter = Object.keys(ARCHIVE.filters).includes(filter) ? filter : 'all';
+    // открытый файл скрыт фильтром — закрываем просмотр, иначе ◀/▶ некуда листать
+    if (!Archive.filtered().some(r => r.id === Archive.view)) Archive.view = null;
+    Archive.render();
+    refreshUI(true);
+  }
+
+  // =========================
+  // PROFILES (наборы настроек)
+  // =========================
+  // Профиль — именованный снимок настроек детекции (sanitizeProfileSettings): порог и зоны основного видео,
+  // реакция на тревогу, детектор с фильтрами, охрана и подтверждение. Включение профиля раскладывает его
+  // по обычным настройкам через applyX (и они сохраняются в свои ключи localStorage как при ручной правке).
+  // Экспорт — JSON { format, v, name, exported, settings }; импорт проверяет формат и версию, а значения —
+  // теми же sanitize/clamp, что и localStorage.
+  const Profiles = {
+    // Текущие настройки в виде профиля
+    snapshot() {
+      return sanitizeProfileSettings({
+        thr: S.thr, zones: S.zones, alarmMode: S.alarmMode, volume: S.volume, opacity: S.opacity,
+        detector: S.detector, blobPixThr: S.blobPixThr, blobMinArea: S.blobMinArea,
+        lightComp: S.lightComp, bgModel: S.bgModel, bgRate: S.bgRate, bgFgPct: S.bgFgPct, arm: S.arm, engine: S.engine,
+      });
+    },
+
+    find(name) {
+      return S.profiles.items.find(p => p.name === name) || null;
+    },
+
+    // Настройки разошлись с активным профилем (подсказка «сохрани»)
+    modified() {
+      const p = this.find(S.profiles.active);
+      if (!p) return false;
+      const now = this.snapshot();
+      if (!p.settings.engine) delete now.engine; // профиль без движка — его параметры не сравниваем
+      return JSON.stringify(p.settings) !== JSON.stringify(now);
+    },
+
+    save() {
+      setLSJSON(LS_KEYS.profiles, S.profiles);
+    },
+
+    // Раскладывает настройки профиля по S (через applyX — с сохранением и обновлением панели)
+    applySettings(p) {
+      applyThreshold(p.thr);
+      applyOpacity(p.opacity);
+      applyVolume(p.volume);
+      applyAlarmMode(p.alarmMode);
+      applyBlobPix(p.blobPixThr);
+      applyBlobArea(p.blobMinArea);
+      applyBgRate(p.bgRate);
+      applyBgFg(p.bgFgPct);
+      for (const k of Object.keys(ARM)) applyArm(k, p.arm[k]);
+      // смена режима сбрасывает отслеживание — только если режим действительно другой
+      if (S.detector !== p.detector) applyDetector(p.detector);
+      if (S.lightComp !== p.lightComp) applyLightComp(p.lightComp);
+      if (S.bgModel !== p.bgModel) applyBgModel(p.bgModel);
+      // пересборка — только если разрешение или буфер другие; в профиле v1 движка нет — не трогаем
+      if (p.engine) applyEngine(p.engine);
+
+      if (S.drawingZone) stopZoneDraw();
+      if (S.editingZones) stopZoneEdit();
+      S.zones = sanitizeZones(p.zones);
+      S.editSel = -1;
+      S.schedTarget = -1;
+    },
+
+    apply(name) {
+      const p = this.find(name);
+      if (!p) return false;
+      this.applySettings(p.settings);
+      S.profiles.active = p.name;
+      this.save();
+      this.render();
+      saveZones(`профиль «${p.name}»`);
+      return true;
+    },
+
+    // Текущие настройки — в профиль name (новый или поверх старого с тем же названием)
+    store(name) {
+      const n = profileName(name);
+      if (!n) {
+        S.status = 'профиль: нужно название';
+        return refreshUI(true);
+      }
+      const p = this.find(n);
+      if (!p && S.profiles.items.length >= PROFILE.max) {
+        S.status = `профиль: не больше ${PROFILE.max}`;
+        return refreshUI(true);
+      }
+      if (p) p.settings = this.snapshot();
+      else S.profiles.items.push({ name: n, settings: this.snapshot() });
+      S.profiles.active = n;
+      this.save();
+      this.render();
+      S.status = `профиль «${n}» ${p ? 'перезаписан' : 'сохранён'}`;
+      refreshUI(true);
+    },
+
+    remove(name) {
+      S.profiles.items = S.profiles.items.filter(p => p.name !== name);
+      if (S.profiles.active === name) S.profiles.active = '';
+      this.save();
+      this.render();
+      S.status = `профиль «${name}» удалён`;
+      refreshUI(true);
+    },
+
+    // Текущие настройки для экспорта (под именем активного профиля или из поля названия)
+    exportData() {
+      return {
+        format: PROFILE.format,
+        v: PROFILE.version,
+        name: S.profiles.active || profileName(UI.profName.value) || 'MotionWatch',
+        exported: new Date().toISOString(),
+        settings: this.snapshot(),
+      };
+    },
+
+    download() {
+      const data = this.exportData();
+      const file = `motionwatch-${data.name.replace(/[^\wа-яё-]+/gi, '_')}-${fileStamp(Date.now())}.json`;
+      downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), file);
+      S.status = `профиль «${data.name}» выгружен в файл`;
+      refreshUI(true);
+    },
+
+    async copy() {
+      const text = JSON.stringify(this.exportData());
+      UI.profText.value = text;
+      try {
+        await navigator.clipboard.writeText(text);
+        S.status = 'профиль скопирован в буфер обмена';
+      } catch {
+        // буфер недоступен (нет фокуса, нет разрешения) — строка остаётся в поле, копируется вручную
+        UI.profText.select();
+        S.status = 'буфер недоступен — скопируй строку из поля';
+      }
+      refreshUI(true);
+    },
+
+    // Разбор экспорта; ошибка — с понятным текстом
+    parse(text) {
+      if (text.length > PROFILE.maxBytes) throw new Error('слишком большой файл');
+      let o;
+      try {
+        o = JSON.parse(text);
+      } catch {
+        throw new Error('это не JSON');
+      }
+      if (o?.format !== PROFILE.format) throw new Error('это не профиль MotionWatch');
+      if (!Number.isInteger(o.v) || o.v < 1) throw new Error('нет версии формата');
+      if (o.v > PROFILE.version) throw new Error(`профиль новой версии (v${o.v}) — обнови скрипт`);
+      if (!o.settings || typeof o.settings !== 'object') throw new Error('в профиле нет настроек');
+      return { name: profileName(o.name) || 'импорт', settings: sanitizeProfileSettings(o.settings) };
+    },
+
+    // Импорт: профиль добавляется (занятое название получает номер) и сразу включается
+    import(text) {
+      let p;
+      try {
+        p = this.parse(String(text ?? '').trim());
+      } catch (err) {
+        S.status = `импорт: ${err.message}`;
+        return refreshUI(true);
+      }
+      if (S.profiles.items.length >= PROFILE.max) {
+        S.status = `импорт: не больше ${PROFILE.max} профилей`;
+        return refreshUI(true);
+      }
+      let name = p.name;
+      for (let i = 2; this.find(name); i++) name = `${p.name.slice(0, PROFILE.nameMax - 5)} (${i})`;
+      S.profiles.items.push({ name, settings: p.settings });
+      this.apply(name);
+      S.status = `импортирован профиль «${name}»`;
+      refreshUI(true);
+    },
+
+    async importFile(file) {
+      if (!file) return;
+      if (file.size > PROFILE.maxBytes) {
+        S.status = 'импорт: слишком большой файл';
+        return refreshUI(true);
+      }
+      try {
+        this.import(await file.text());
+      } catch (err) {
+        S.status = `импорт: ${err.message}`;
+        refreshUI(true);
+      }
+    },
+
+    // Список профилей в карточке: название (клик — включить), 💾 — перезаписать, ✕ — удалить
+    render() {
+      const list = UI.profList;
+      list.textContent = '';
+      if (!S.profiles.items.length) {
+        list.appendChild(createEl('div', { opacity: '.6' }, 'профилей нет — настрой и «Сохранить как»'));
+        return;
+      }
+      for (const p of S.profiles.items) {
+        const active = p.name === S.profiles.active;
+        const row = createEl('div', {
+          display: 'flex',
+          alignItems: 'center',
+          gap: '6px',
+          padding: '2px 6px',
+          borderRadius: '8px',
+          background: active ? 'rgba(80,160,255,.22)' : 'rgba(0,0,0,.18)',
+        });
+        const name = createEl('span', { flex: '1 1 auto', cursor: 'pointer', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' },
+          `${active ? '● ' : ''}${p.name} • порог ${p.settings.thr.toFixed(2)} • зон ${p.settings.zones.length}`);
+        name.title = 'Включить профиль';
+        name.addEventListener('click', () => this.apply(p.name));
+        const btnStore = createEl('span', { cursor: 'pointer', opacity: '.8' }, '💾');
+        btnStore.title = 'Записать в профиль текущие настройки';
+        btnStore.addEventListener('click', () => this.store(p.name));
+        const btnDel = createEl('span', { cursor: 'pointer', opacity: '.8' }, '✕');
+        btnDel.title = 'Удалить профиль';
+        btnDel.addEventListener('click', () => this.remove(p.name));
+        row.appendChild(name);
+        row.appendChild(btnStore);
+        row.appendChild(btnDel);
+        list.appendChild(row);
+      }
+    },
+  };
+
+  // =========================
+  // HEATMAP (где в кадре движение)
+  // =========================
+  // Разница кадров по ячейкам сетки поверх видео. Режим «сейчас» — текущая разница с затухающим следом,
+  // «накопленная» — средняя активность ячеек за последние N минут (поминутные корзины).
+  const Heatmap = {
+    gw: 0, gh: 0,       // размер сетки (ячеек)
+    video: null,        // видео, для которого накоплена статистика
+    live: null,         // Float32Array gw*gh — текущая разница с затуханием
+    buckets: [],        // [{ t, sum: Float32Array, n }] — суммы разницы ячеек за минуту
+    ctx: null,
+    img: null,
+    destroyed: false,
+
+    ensureGrid() {
+      const gw = Math.ceil(SAMPLE_W / HEAT.cell);
+      const gh = Math.ceil(SAMPLE_H / HEAT.cell);
+      if (gw === this.gw && gh === this.gh && this.ctx) return;
+      this.gw = gw;
+      this.gh = gh;
+      UI.heatCanvas.width = gw;
+      UI.heatCanvas.height = gh;
+      this.ctx = UI.heatCanvas.getContext('2d');
+      this.img = this.ctx?.createImageData(gw, gh) || null;
+      this.reset();
+    },
+
+    reset() {
+      this.live = null;
+      this.buckets = [];
+    },
+
+    // Вызывается из loop() на каждом кадре (до того, как кадр станет S.prev).
+    // Маски игнора не применяются: карта как раз показывает, где живёт шум.
+    feed(curr, prev) {
+      if (this.destroyed || !prev) return;
+      this.ensureGrid();
+      if (this.video !== S.video) {
+        this.video = S.video;
+        this.reset();
+      }
+
+      const { gw, gh } = this;
+      const cells = new Float32Array(gw * gh);
+      const counts = new Uint16Array(gw * gh);
+      // шаг не больше ячейки — иначе целые ряды ячеек остались бы без выборки
+      const s = clamp(PIXEL_STRIDE, 1, HEAT.cell);
+
+      for (let y = 0; y < SAMPLE_H; y += s) {
+        const row = ((y / HEAT.cell) | 0) * gw;
+        for (let x = 0; x < SAMPLE_W; x += s) {
+          const idx = (y * SAMPLE_W + x) * 4;
+          const c = row + ((x / HEAT.cell) | 0);
+          cells[c] += (Math.abs(curr[idx] - prev[idx]) + Math.abs(curr[idx + 1] - prev[idx + 1]) + Math.abs(curr[idx + 2] - prev[idx + 2])) / 3;
+          counts[c]++;
+        }
+      }
+      for (let c = 0; c < cells.length; c++) cells[c] = counts[c] ? cells[c] / counts[c] : 0;
+
+      // «Сейчас»: пик с затуханием, чтобы короткое движение оставляло след
+      if (!this.live) this.live = new Float32Array(gw * gh);
+      for (let c = 0; c < cells.length; c++) this.live[c] = Math.max(cells[c], this.live[c] * HEAT.liveDecay);
+
+      // Накопление: поминутные корзины, старше максимального окна — выбрасываем
+      const now = Date.now();
+      let b = this.buckets[this.buckets.length - 1];
+      if (!b || now - b.t >= HEAT.bucketMs) {
+        b = { t: now, sum: new Float32Array(gw * gh), n: 0 };
+        this.buckets.push(b);
+        const keepFrom = now - HEAT.minutes.max * 60000;
+        while (this.buckets.length && this.buckets[0].t + HEAT.bucketMs < keepFrom) this.buckets.shift();
+      }
+      for (let c = 0; c < cells.length; c++) b.sum[c] += cells[c];
+      b.n++;
+
+      if (S.heatMode !== 'off') this.render();
+    },
+
+    // Значения ячеек 0…1 для текущего режима
+    values() {
+      const n = this.gw * this.gh;
+      const out = new Float32Array(n);
+
+      if (S.heatMode === 'live') {
+        if (this.live) for (let c = 0; c < n; c++) out[c] = Math.min(1, this.live[c] / HEAT.scale);
+        return out;
+      }
+
+      const from = Date.now() - S.heatMinutes * 60000;
+      let frames = 0;
+      for (const b of this.buckets) {
+        if (b.t + HEAT.bucketMs < from) continue;
+        for (let c = 0; c < n; c++) out[c] += b.sum[c];
+        frames += b.n;
+      }
+      if (!frames) return out;
+
+      // нормируем на самую активную ячейку, но не раздуваем чистый шум до «красного»
+      let max = HEAT.accFloor;
+      for (let c = 0; c < n; c++) {
+        out[c] /= frames;
+        if (out[c] > max) max = out[c];
+      }
+      for (let c = 0; c < n; c++) out[c] /= max;
+      return out;
+    },
+
+    // Минут данных в окне накопленной карты (для панели)
+    coveredMinutes() {
+      const b0 = this.buckets.find(b => b.t + HEAT.bucketMs >= Date.now() - S.heatMinutes * 60000);
+      return b0 ? Math.min(S.heatMinutes, (Date.now() - b0.t) / 60000) : 0;
+    },
+
+    render() {
+      if (!this.place() || !this.img) return;
+      const vals = this.values();
+      const data = this.img.data;
+      for (let c = 0; c < vals.length; c++) {
+        const [r, g, bl, a] = heatColor(vals[c]);
+        const i = c * 4;
+        data[i] = r; data[i + 1] = g; data[i + 2] = bl; data[i + 3] = a;
+      }
+      this.ctx.putImageData(this.img, 0, 0);
+    },
+
+    // Слой повторяет экранные координаты видео; false — слой скрыт
+    place() {
+      const el = UI.heatCanvas;
+      if (this.destroyed || S.heatMode === 'off' || S.minimized || !isValidVideo(S.video)) {
+        hideBox(el);
+        return false;
+      }
+      const vr = sourceRect(S.video);
+      if (vr.width <= 1 || vr.height <= 1) {
+        hideBox(el);
+        return false;
+      }
+      placeBoxAbs(el, vr.left, vr.top, vr.width, vr.height);
+      return true;
+    },
+
+    destroy() {
+      this.destroyed = true;
+      this.reset();
+      UI.heatCanvas.remove();
+    },
+  };
+
+  // Цвет ячейки: прозрачный → синий → голубой → зелёный → жёлтый → красный
+  function heatColor(t) {
+    const stops = [[0, 0, 255], [0, 255, 255], [0, 255, 0], [255, 255, 0], [255, 0, 0]];
+    const v = clamp(t, 0, 1) * (stops.length - 1);
+    const i = Math.min(stops.length - 2, Math.floor(v));
+    const f = v - i;
+    const [r0, g0, b0] = stops[i];
+    const [r1, g1, b1] = stops[i + 1];
+    return [
+      Math.round(r0 + (r1 - r0) * f),
+      Math.round(g0 + (g1 - g0) * f),
+      Math.round(b0 + (b1 - b0) * f),
+      Math.round(Math.min(1, t * 2.5) * 255),
+    ];
+  }
+
+  // =========================
+  // CHART (график разницы в карточке «Чувствительность»)
+  // =========================
+  // История S.d / S.dFiltered за последние CHART.sec.max секунд; рисуется окно S.chartSec.
+  // Клик по графику ставит порог по высоте клика.
+  const Chart = {
+    points: [],       // [{ t, d, f, alarm }]
+    yMax: 1,          // масштаб последней отрисовки (нужен, чтобы перевести клик в порог)
+    hoverY: null,     // положение курсора над графиком (CSS px) или null
+
+    push() {
+      const now = performance.now();
+      this.points.push({ t: now, d: S.d, f: S.dFiltered, alarm: S.alarm });
+      const from = now - CHART.sec.max * 1000;
+      let k = 0;
+      while (k < this.points.length && this.points[k].t < from) k++;
+      if (k) this.points.splice(0, k);
+    },
+
+    clear() {
+      this.points = [];
+    },
+
+    // Значение порога для координаты y (CSS px от верха холста) — в пределах той настройки, которую задаёт клик
+    valueAt(y) {
+      const h = UI.chartCanvas.clientHeight || CHART.h;
+      const range = S.detector === 'blob' ? BLOB.minArea : (usesFgThr() ? BG.fgPct : THR);
+      return clamp((1 - y / h) * this.yMax, range.min, range.max);
+    },
+
+    draw() {
+      const cv = UI.chartCanvas;
+      if (S.minimized || !cv.isConnected) return;
+
+      const dpr = window.devicePixelRatio || 1;
+      const cssW = cv.clientWidth || 300;
+      const cssH = cv.clientHeight || CHART.h;
+      if (cv.width !== Math.round(cssW * dpr) || cv.height !== Math.round(cssH * dpr)) {
+        cv.width = Math.round(cssW * dpr);
+        cv.height = Math.round(cssH * dpr);
+      }
+      const ctx = cv.getContext('2d');
+      if (!ctx) return;
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, cssW, cssH);
+
+      const now = performance.now();
+      const spanMs = S.chartSec * 1000;
+      const from = now - spanMs;
+      const pts = this.points.filter(p => p.t >= from);
+      const { thrHigh, thrLow } = getThresholds();
+
+      // Масштаб: порог всегда виден примерно на середине-двух третях высоты, пики не обрезаются
+      let peak = 0;
+      for (const p of pts) peak = Math.max(peak, p.d, p.f);
+      this.yMax = Math.max(thrHigh * 1.6, peak * 1.1, 0.5);
+
+      const xOf = (t) => ((t - from) / spanMs) * cssW;
+      const yOf = (v) => cssH - (v / this.yMax) * cssH;
+
+      // Периоды тревоги — красная подложка
+      ctx.fillStyle = 'rgba(255,60,60,.22)';
+      for (let i = 0; i < pts.length; i++) {
+        if (!pts[i].alarm) continue;
+        const x0 = xOf(pts[i].t);
+        const x1 = i + 1 < pts.length ? xOf(pts[i + 1].t) : cssW;
+        ctx.fillRect(x0, 0, Math.max(1, x1 - x0), cssH);
+      }
+
+      const line = (key, color, width) => {
+        if (pts.length < 2) return;
+        ctx.beginPath();
+        pts.forEach((p, i) => (i ? ctx.lineTo(xOf(p.t), yOf(p[key])) : ctx.moveTo(xOf(p.t), yOf(p[key]))));
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.setLineDash([]);
+        ctx.stroke();
+      };
+      const hline = (v, color, dash) => {
+        ctx.beginPath();
+        ctx.moveTo(0, yOf(v));
+        ctx.lineTo(cssW, yOf(v));
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash(dash);
+        ctx.stroke();
+      };
+
+      line('d', 'rgba(255,255,255,.35)', 1);
+      line('f', 'rgba(120,200,255,.95)', 1.5);
+      hline(thrHigh, 'rgba(255,170,60,.95)', []);
+      hline(thrLow,  'rgba(255,170,60,.70)', [4, 3]);
+
+      ctx.setLineDash([]);
+      ctx.font = '10px system-ui, sans-serif';
+      ctx.fillStyle = 'rgba(255,255,255,.65)';
+      ctx.fillText(this.yMax.toFixed(2), 4, 11);
+      ctx.fillText(`${S.chartSec} с`, cssW - 28, cssH - 4);
+
+      // Курсор: куда встанет порог по клику
+      if (this.hoverY != null) {
+        const v = this.valueAt(this.hoverY);
+        hline(v, 'rgba(255,255,255,.85)', [2, 3]);
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(`порог ${v.toFixed(2)}`, 4, clamp(this.hoverY - 4, 22, cssH - 4));
+      }
+    },
+  };
+
+  // =========================
+  // ARMING (задержка на выход, подтверждение, удержание, пауза)
+  // =========================
+  // Поверх медианного фильтра и гистерезиса зон:
+  // - после включения детектор встаёт на охрану только через S.arm.exitDelay секунд (успеть уйти из кадра);
+  // - тревога поднимается, если зоны в тревоге не меньше confirmMs мс и confirmFrames кадров подряд;
+  // - поднятая тревога держится не меньше holdSec секунд, после неё cooldownSec секунд новая не поднимается.
+
+  // Включение детектора: запускает отсчёт задержки на выход (0 — на охране сразу)
+  function startArming() {
+    S.armUntil = S.enabled && S.arm.exitDelay > 0 ? performance.now() + S.arm.exitDelay * 1000 : 0;
+  }
+
+  // Сколько целых секунд осталось до постановки на охрану
+  const armingLeft = () => Math.max(0, Math.ceil((S.armUntil - performance.now()) / 1000));
+
+  // Правило подтверждения: вызывается на каждом кадре без общей тревоги; above — есть ли зоны в тревоге
+  function confirmAlarm(above, now) {
+    if (!above) {
+      S.confirmCount = 0;
+      return false;
+    }
+    if (!S.confirmCount) S.confirmSince = now;
+    S.confirmCount++;
+    // в паузе после тревоги счёт идёт, но тревога поднимется не раньше её конца
+    if (now < S.cooldownUntil) return false;
+    return S.confirmCount >= S.arm.confirmFrames && now - S.confirmSince >= S.arm.confirmMs;
+  }
+
+  // Короткое состояние для карточки «Охрана и подтверждение»
+  function armingLabel() {
+    const now = performance.now();
+    if (S.armUntil) return `охрана через ${armingLeft()} с`;
+    if (S.alarm) {
+      const left = Math.ceil((S.alarmSince + S.arm.holdSec * 1000 - now) / 1000);
+      return left > 0 ? `тревога, ещё ≥ ${left} с` : 'тревога';
+    }
+    if (now < S.cooldownUntil) return `пауза ${Math.ceil((S.cooldownUntil - now) / 1000)} с`;
+    if (S.confirmCount) return `подтверждение: ${S.confirmCount} кадр., ${Math.round(now - S.confirmSince)} мс`;
+    return 'на охране';
+  }
+
+  function applyAutoStart(val, statusMsg) {
+    S.autoStart = !!val;
+    localStorage.setItem(LS_KEYS.autoStart, S.autoStart ? '1' : '0');
+    // запоминаем текущее состояние охраны: его и вернёт следующая загрузка страницы
+    localStorage.setItem(LS_KEYS.armed, S.enabled ? '1' : '0');
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  function applyArm(key, v, statusMsg) {
+    S.arm[key] = clampArm(key, v);
+    UI.armSliders[key].value = String(S.arm[key]);
+    setLSJSON(LS_KEYS.arm, S.arm);
+    // задержку меняют до ухода — отсчёт уже идущей начинаем заново
+    if (key === 'exitDelay' && S.armUntil) startArming();
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  // Параметры движка (см. ENGINE): patch — часть полей, остальные не меняются.
+  // Маски зон, canvas анализа и буферы фильтра зависят от разрешения и размера буфера —
+  // при их смене всё это строится заново у основного видео и у каждого канала
+  function applyEngine(patch, statusMsg) {
+    const prev = S.engine;
+    S.engine = sanitizeEngine({ ...prev, ...patch });
+    setLSJSON(LS_KEYS.engine, S.engine);
+    setEngineVars(S.engine);
+    for (const key of Object.keys(ENGINE)) UI.engSliders[key].value = String(S.engine[key]);
+
+    const resized = S.engine.sampleW !== prev.sampleW || S.engine.sampleH !== prev.sampleH;
+    if (resized) {
+      zoneMaskCache = new WeakMap();
+      skipMaskCache = new WeakMap();
+      ctx = createSampleCtx();
+      for (const ch of Channels.list) ch.ctx = createSampleCtx();
+      S.ignoreMask = buildIgnoreMask(S.zones);
+      Channels.each(() => { S.ignoreMask = buildIgnoreMask(S.zones); });
+    }
+    if (resized || S.engine.bufferSize !== prev.bufferSize || S.engine.pixelStride !== prev.pixelStride) {
+      // прежние кадры и Δ в другом разрешении/масштабе несравнимы с новыми — начинаем с чистого листа
+      resetTrackingState();
+      clearAlarm();
+      Channels.reset();
+      S.lightCells = null;
+      Channels.each(() => { S.lightCells = null; });
+      S.blobs = [];
+      updateBlobBoxes();
+    }
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  // =========================
+  // SCHEDULE (охрана по расписанию)
+  // =========================
+  // Расписание — окна охраны на каждый день недели. Общее действует на всё видео и на зоны без своего;
+  // зона со своим расписанием охраняется по нему. Вне всех окон детектор снят с охраны («вне расписания»),
+  // но S.enabled не трогается — ручной выключатель (0 / Правый Shift) работает поверх расписания.
+
+  // «18:00-08:00, 12:00-13:00» → [[1080, 480], [720, 780]]; пусто → [] (весь день без охраны), ошибка → null
+  function parseScheduleDay(text) {
+    const out = [];
+    for (const part of String(text ?? '').split(/[,;]/)) {
+      if (!part.trim()) continue;
+      const m = /^\s*([\d:]+)\s*[-–—]\s*([\d:]+)\s*$/.exec(part);
+      const a = m ? parseHHMM(m[1]) : null;
+      const b = m ? parseHHMM(m[2]) : null;
+      if (a === null || b === null || a === b) return null;
+      out.push([a, b]);
+    }
+    return out.length > SCHEDULE.maxWindows ? null : out;
+  }
+
+  const formatScheduleDay = (wins) => wins.map(([a, b]) => `${fmtHHMM(a)}-${fmtHHMM(b)}`).join(', ');
+
+  // Попадает ли момент date в окна расписания (с учётом окон прошлого дня, идущих через полночь)
+  function inSchedule(days, date) {
+    const day = (date.getDay() + 6) % 7; // 0 — понедельник
+    const t = date.getHours() * 60 + date.getMinutes();
+    if (days[day].some(([a, b]) => (a < b ? t >= a && t < b : t >= a))) return true;
+    return days[(day + 6) % 7].some(([a, b]) => a > b && t < b);
+  }
+
+  // Пересчёт охраны по часам: S.schedZonesOff — зоны вне своих окон, S.schedOut — вне расписания всё
+  function updateSchedule(now = new Date()) {
+    const off = new Set();
+    let out = false;
+
+    if (S.schedOn) {
+      const general = inSchedule(S.schedDays, now);
+      let hasInclude = false, anyArmed = false;
+      // выключенные зоны не охраняются и в расписании не считаются — как в zoneTargets()
+      S.zones.forEach((z, i) => {
+        if (isIgnoreZone(z) || !z.enabled) return;
+        hasInclude = true;
+        if (z.schedule ? inSchedule(z.schedule, now) : general) anyArmed = true;
+        else off.add(i);
+      });
+      out = hasInclude ? !anyArmed : !general;
+    }
+
+    // зона сменила состояние — её фильтр и тревога начинаются с чистого листа
+    for (const i of off) if (!S.schedZonesOff.has(i)) S.zoneState.delete(i);
+    for (const i of S.schedZonesOff) if (!off.has(i)) S.zoneState.delete(i);
+    S.schedZonesOff = off;
+
+    if (out === S.schedOut) return;
+    S.schedOut = out;
+    clearAlarm();
+    resetTrackingState();
+    S.status = out ? 'вне расписания — снято с охраны' : 'по расписанию — на охране';
+    Events.emit('schedule:changed', eventPayload({ armed: !out }));
+    refreshUI(true);
+  }
+
+  function saveSchedule(statusMsg) {
+    setLSJSON(LS_KEYS.schedule, { on: S.schedOn, days: S.schedDays });
+    if (statusMsg) S.status = statusMsg;
+    renderSchedule();
+    updateSchedule();
+    refreshUI(true);
+  }
+
+  function applyScheduleOn(val, statusMsg) {
+    S.schedOn = !!val;
+    saveSchedule(statusMsg);
+  }
+
+  // Окна одного дня (d: 0 — понедельник) для того, кто выбран в карточке: общее расписание или зона
+  function applyScheduleDay(d, text) {
+    const wins = parseScheduleDay(text);
+    const label = SCHEDULE.days[d];
+    if (!wins) {
+      S.status = `${label}: не понял «${String(text).trim()}» (пример: 18:00-08:00, 12:00-13:00)`;
+      renderSchedule();
+      refreshUI(true);
+      return;
+    }
+
+    const i = S.schedTarget;
+    const z = S.zones[i];
+    if (z) {
+      // первая правка зоны без своего расписания начинается с копии общего
+      const days = (z.schedule || S.schedDays).map(w => w.slice());
+      days[d] = wins;
+      updateZone(i, { schedule: days }, `${zoneName(z, i)}: расписание (${label}) сохранено`);
+      updateSchedule();
+      return;
+    }
+
+    S.schedDays[d] = wins;
+    saveSchedule(`расписание (${label}): ${formatScheduleDay(wins) || 'без охраны'}`);
+  }
+
+  // Карточка «Расписание охраны»: чьё расписание правим и окна по дням.
+  // Поля перерисовываются только здесь (не в refreshUI), чтобы не мешать набору.
+  function renderSchedule() {
+    const sel = UI.schedTarget;
+    if (!S.zones[S.schedTarget] || isIgnoreZone(S.zones[S.schedTarget])) S.schedTarget = -1;
+
+    sel.textContent = '';
+    const addOpt = (value, text) => {
+      const o = document.createElement('option');
+      o.value = String(value);
+      o.textContent = text;
+      sel.appendChild(o);
+    };
+    addOpt(-1, 'Общее расписание');
+    S.zones.forEach((z, i) => {
+      if (!isIgnoreZone(z)) addOpt(i, `${zoneName(z, i)}${z.schedule ? ' • своё' : ' • как общее'}`);
+    });
+    sel.value = String(S.schedTarget);
+
+    const own = S.zones[S.schedTarget]?.schedule || null;
+    const inherits = S.schedTarget >= 0 && !own;
+    UI.schedInputs.forEach((input, d) => {
+      input.value = inherits ? '' : formatScheduleDay((own || S.schedDays)[d]);
+      input.placeholder = inherits
+        ? `как общее: ${formatScheduleDay(S.schedDays[d]) || 'без охраны'}`
+        : 'без охраны';
+    });
+    UI.btnSchedInherit.style.display = S.schedTarget >= 0 ? '' : 'none';
+    setBtnDisabled(UI.btnSchedInherit, !own);
+  }
+
+  // =========================
+  // ALARM (visual/audio mode)
+  // =========================
+  function showAlarm() {
+    if (S.alarm) return;
+    S.alarm = true;
+    S.alarmSince = performance.now();
+    S.confirmCount = 0;
+
+    if (alarmHasVisual(S.alarmMode)) UI.overlay.style.display = 'block';
+    else UI.overlay.style.display = 'none';
+
+    if (alarmHasAudio(S.alarmMode)) Audio.startAlarmBeep();
+    else Audio.stopAlarmBeep();
+
+    updateActiveHighlight();
+    const frame = Snapshots.onAlarmStart();
+    Notifier.onAlarmStart(frame);
+    if (!Channels.current) Recorder.onAlarmStart(); // клипы пишутся только с основного видео
+    const payload = eventPayload();
+    Journal.onAlarmStart(payload);
+    Webhook.onAlarm('alarm:start', payload, frame);
+    Events.emit('alarm:start', payload);
+  }
+
+  function clearAlarm() {
+    const wasAlarm = S.alarm;
+    // payload снимаем до сброса, чтобы в alarm:end было видно, какие зоны были в тревоге
+    const payload = wasAlarm ? eventPayload() : null;
+    S.alarm = false;
+    S.confirmCount = 0;
+    if (wasAlarm) S.cooldownUntil = performance.now() + S.arm.cooldownSec * 1000;
+    // ручной сброс снимает тревогу и со всех зон (иначе они «залипнут» до нижнего порога)
+    for (const st of S.zoneState.values()) st.alarm = false;
+    setAlarmZones([]);
+    // заливка и звук общие для всех видео — гасим, только если тревоги нет больше нигде
+    if (!Channels.anyAlarm()) {
+      UI.overlay.style.display = 'none';
+      Audio.stopAlarmBeep();
+    }
+    updateActiveHighlight();
+    // alarm:end шлём только если тревога действительно была (clearAlarm зовётся часто)
+    if (wasAlarm) {
+      Journal.onAlarmEnd();
+      // кадр конца тревоги нужен только webhook с «Кадр: вкл» — без него не рисуем (clearAlarm зовётся и из цикла)
+      const withFrame = S.hook.on && S.hook.url && S.hook.snapshot && isValidVideo(S.video);
+      Webhook.onAlarm('alarm:end', payload, withFrame ? Snapshots.drawFull(S.video) : null);
+      Events.emit('alarm:end', payload);
+    }
+  }
+
+  // Форма, которой рисуются новые зоны: rect | poly | mask
+  function applyDrawShape(shape, statusMsg) {
+    S.drawShape = ZONE_SHAPES.has(shape) ? shape : 'rect';
+    localStorage.setItem(LS_KEYS.drawShape, S.drawShape);
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  function applyAlarmMode(mode, statusMsg) {
+    S.alarmMode = alarmModeNormalize(mode);
+    localStorage.setItem(LS_KEYS.alarmMod, S.alarmMode);
+
+    if (Channels.anyAlarm()) {
+      if (alarmHasVisual(S.alarmMode)) UI.overlay.style.display = 'block';
+      else UI.overlay.style.display = 'none';
+
+      if (alarmHasAudio(S.alarmMode)) Audio.startAlarmBeep();
+      else Audio.stopAlarmBeep();
+    }
+
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  function applyVolume(v, statusMsg) {
+    S.volume = clampVol(v);
+    UI.sliderVol.value = String(S.volume);
+    Audio.volume = S.volume;
+    localStorage.setItem(LS_KEYS.vol, String(S.volume));
+
+    if (Channels.anyAlarm() && alarmHasAudio(S.alarmMode)) {
+      Audio.stopAlarmBeep();
+      Audio.startAlarmBeep();
+    }
+
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  // =========================
+  // UI / STATUS
+  // =========================
+  function setDot(state) {
+    const c =
+      state === 'blocked' ? 'rgba(255,60,60,1)' :
+      state === 'on' ? 'rgba(80,160,255,1)' :
+      'rgba(160,160,160,1)';
+
+    UI.dot.style.background = c;
+    UI.miniDot.style.background = c;
+
+    const border =
+      state === 'on' ? 'rgba(80,160,255,.20)' :
+      state === 'blocked' ? 'rgba(255,60,60,.22)' :
+      'rgba(160,160,160,.18)';
+
+    UI.panel.style.borderColor = border;
+    UI.mini.style.borderColor = border;
+  }
+
+  function applyMinimized(val) {
+    S.minimized = !!val;
+    localStorage.setItem(LS_KEYS.min, S.minimized ? '1' : '0');
+    
+    // ✅ перед сворачиванием сохраняем текущую позицию panel
+    if (val) {
+      const panelRect = UI.panel.getBoundingClientRect();
+      
+      // Получаем размеры мини-панели (временно показываем для точного измерения)
+      const wasVisible = UI.mini.style.display !== 'none';
+      UI.mini.style.display = 'inline-flex';
+      const miniSize = getElSize(UI.mini);
+      if (!wasVisible) UI.mini.style.display = 'none';
+      
+      // Вычисляем идеальную позицию мини-панели: правый край мини = правый край панели
+      const idealMiniX = panelRect.right - miniSize.width;
+      const maxMiniX = window.innerWidth - miniSize.width - PANEL_PADDING;
+      const minMiniX = PANEL_PADDING;
+      
+      // Вычисляем финальную позицию мини-панели с учетом границ
+      let finalMiniX = clamp(idealMiniX, minMiniX, maxMiniX);
+      let finalMiniY = clamp(panelRect.top, PANEL_PADDING, window.innerHeight - miniSize.height - PANEL_PADDING);
+      
+      // Если мини-панель была скорректирована из-за границ, корректируем позицию панели
+      // чтобы при разворачивании мини-панель была на месте кнопок
+      let adjustedPanelX = panelRect.left;
+      if (finalMiniX !== idealMiniX) {
+        // Мини-панель была сдвинута - корректируем позицию панели
+        const diff = idealMiniX - finalMiniX;
+        adjustedPanelX = Math.max(PANEL_PADDING, panelRect.left - diff);
+      }
+      
+      // Сохраняем скорректированную позицию панели (для разворачивания)
+      S.pos = { x: adjustedPanelX, y: panelRect.top };
+      
+      // Применяем финальную позицию мини-панели (гарантированно в пределах экрана)
+      setElPos(UI.mini, finalMiniX, finalMiniY);
+    }
+    
+    // ✅ при разворачивании позиционируем панель так, чтобы её правый край был там, где была мини-панель
+    if (!val) {
+      // Получаем текущую позицию мини-панели ДО того, как она скроется
+      const miniRect = UI.mini.getBoundingClientRect();
+      const miniRight = miniRect.right;
+      const miniTop = miniRect.top;
+      
+      // Показываем панель для получения её размеров
+      UI.panel.style.display = 'block';
+      UI.mini.style.display = 'none';
+      
+      // Небольшая задержка для рендеринга, затем позиционируем
+      requestAnimationFrame(() => {
+        // Вычисляем позицию большой панели: её правый край = правый край мини-панели
+        const panelPos = calcPanelPosFromMini(miniRight, miniTop);
+        const panelSize = getElSize(UI.panel);
+        
+        // Проверяем границы экрана
+        const minX = PANEL_PADDING;
+        const maxX = window.innerWidth - panelSize.width - PANEL_PADDING;
+        
+        // Ограничиваем позицию в пределах экрана
+        const clampedX = clamp(panelPos.x, minX, maxX);
+        
         // Сохраняем и применяем позицию
         S.pos = { x: clampedX, y: panelPos.y };
         setElPos(UI.panel, clampedX, panelPos.y);
@@ -1439,557 +6245,1771 @@
         // Синхронизируем мини-панель (используем offsetWidth для скрытого элемента, проверяем границы)
         syncMiniToPanel(clampedX, panelPos.y, true);
       });
-    } else {
-      // При сворачивании просто меняем display
-      UI.panel.style.display = 'none';
-      UI.mini.style.display = 'inline-flex';
-    }
+    } else {
+      // При сворачивании просто меняем display
+      UI.panel.style.display = 'none';
+      UI.mini.style.display = 'inline-flex';
+    }
+
+    updateActiveHighlight();
+    updateZonesBoxes();
+    updateDrawBox();
+    updateBlobBoxes();
+    Heatmap.place();
+  }
+
+  function applyThreshold(v, statusMsg) {
+    const thr = clampThr(v);
+    if (thr !== S.thr) Channels.claim(S.slot, S.video);
+    S.thr = thr;
+    UI.sliderThr.value = String(S.thr);
+    localStorage.setItem(chanLSKey(LS_KEYS.thr), String(S.thr));
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  function applyOpacity(v, statusMsg) {
+    S.opacity = clampOpa(v);
+    UI.sliderOpa.value = String(S.opacity);
+    UI.overlay.style.opacity = String(S.opacity);
+    localStorage.setItem(LS_KEYS.opa, String(S.opacity));
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  // Сброс состояния отслеживания (используется при изменении зон, видео и т.д.)
+  function resetTrackingState() {
+    S.prev = null;
+    S.ref = null;
+    S.refCounter = 0;
+    S.zoneState = new Map(); // очищаем буферы фильтрации и тревоги зон при сбросе
+    S.alarmZones = [];
+    S.dFiltered = 0;
+    S.filterReady = false;
+    S.confirmCount = 0;
+    Background.reset();
+  }
+
+  // Состояние зоны по ключу (создаётся при первом обращении)
+  function zoneStateFor(key) {
+    let st = S.zoneState.get(key);
+    if (!st) {
+      st = { buffer: [], d: 0, dFiltered: 0, alarm: false };
+      S.zoneState.set(key, st);
+    }
+    return st;
+  }
+
+  // Обновляет список зон в тревоге и сообщает, если он изменился
+  function setAlarmZones(keys) {
+    const same = keys.length === S.alarmZones.length && keys.every((k, i) => k === S.alarmZones[i]);
+    if (same) return;
+    S.alarmZones = keys;
+    Events.emit('zones:alarm', eventPayload());
+  }
+
+  // Временная фильтрация разницы для подавления шума
+  // Использует медиану или среднее значение из буфера последних кадров (буфер — свой у каждой зоны)
+  function filterMotionDiff(buffer, rawDiff) {
+    // Добавляем новое значение в буфер
+    buffer.push(rawDiff);
+    
+    // Ограничиваем размер буфера
+    while (buffer.length > NOISE_FILTER.bufferSize) {
+      buffer.shift(); // удаляем самое старое значение (буфер могли уменьшить на ходу)
+    }
+    
+    // Если буфер еще не заполнен, возвращаем исходное значение
+    if (buffer.length < 3) {
+      return rawDiff;
+    }
+    
+    // Вычисляем фильтрованное значение (медиана лучше подавляет выбросы шума)
+    if (NOISE_FILTER.useMedian) {
+      return median(buffer);
+    } else {
+      // Альтернатива: скользящее среднее
+      const sum = buffer.reduce((a, b) => a + b, 0);
+      return sum / buffer.length;
+    }
+  }
+
+  // Средняя разница на адаптивном фоне: Δ — доля пикселей переднего плана, % (а не разница яркости)
+  function usesFgThr() {
+    return S.detector !== 'blob' && S.bgModel === 'gauss';
+  }
+
+  // Вычисление порогов с гистерезисом
+  // Гистерезис предотвращает дребезг тревоги при значениях около порога.
+  // Без аргумента — общие пороги; с зоной — её собственные (если заданы).
+  // В режиме «объекты» порог — минимальная площадь пятна (% зоны), с адаптивным фоном — доля пикселей
+  // переднего плана (% зоны); свои пороги зон в этих режимах не действуют.
+  function getThresholds(zone = null) {
+    const thrHigh = S.detector === 'blob' ? S.blobMinArea
+      : usesFgThr() ? S.bgFgPct
+      : (zone?.thr ?? S.thr);  // верхний порог (основной) - для включения тревоги
+    const thrLow = thrHigh * (zone?.hyst ?? NOISE_FILTER.hysteresisRatio);  // нижний порог - для выключения тревоги
+    return { thrHigh, thrLow };
+  }
+
+  // geometry=false — поменялись только настройки зон (название/порог/вкл),
+  // тогда не сбрасываем отслеживание остальных зон и текущую тревогу
+  function saveZones(statusMsg, { geometry = true } = {}) {
+    S.zones = sanitizeZones(S.zones);
+    S.ignoreMask = buildIgnoreMask(S.zones);
+    setLSJSON(chanLSKey(LS_KEYS.zones), serializeZones(S.zones));
+    Channels.claim(S.slot, S.video);
+
+    if (geometry) {
+      resetTrackingState();
+      clearAlarm();
+    }
+
+    if (S.editSel >= S.zones.length) S.editSel = -1;
+    if (!S.zones.length) stopZoneEdit();
+
+    renderZoneList();
+    renderSchedule();
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+    Events.emit('zones:changed', eventPayload({ zones: S.zones.map(z => ({ ...z })) }));
+  }
+
+  // Изменение настроек одной зоны (patch — часть полей sanitizeZone)
+  function updateZone(i, patch, statusMsg) {
+    const z = S.zones[i];
+    if (!z) return;
+    S.zones[i] = sanitizeZone({ ...z, ...patch });
+    // сменились порог/гистерезис/вкл — оцениваем зону с чистого листа
+    if ('thr' in patch || 'hyst' in patch || 'enabled' in patch || 'schedule' in patch) S.zoneState.delete(i);
+    saveZones(statusMsg, { geometry: false });
+  }
+
+  // Список зон в карточке «Зоны контроля»: вкл, название, свой порог, свой гистерезис, живое Δ
+  function renderZoneList() {
+    const list = UI.zonesList;
+    list.textContent = '';
+    S.zoneRows = [];
+    list.style.display = S.zones.length ? 'grid' : 'none';
+    if (!S.zones.length) return;
+
+    ['', 'Название', 'Порог', 'Гист.', 'Δ'].forEach(t => list.appendChild(createEl('div', { opacity: '.6', fontSize: '10.5px' }, t)));
+
+    S.zones.forEach((z, i) => {
+      const label = zoneName(z, i);
+
+      const cb = createEl('input', { margin: '0', accentColor: 'rgba(120,200,255,1)' });
+      cb.type = 'checkbox';
+      cb.checked = z.enabled;
+      cb.title = isIgnoreZone(z) ? 'Маска игнора действует' : 'Зона участвует в детекции';
+      cb.addEventListener('change', () => updateZone(i, { enabled: cb.checked }, `${label}: ${cb.checked ? 'включена' : 'выключена'}`));
+
+      const name = createInput('text', z.name);
+      name.maxLength = ZONE_NAME_MAX;
+      name.placeholder = label;
+      name.addEventListener('change', () => updateZone(i, { name: name.value }, `${label}: переименована`));
+
+      const ignore = isIgnoreZone(z);
+
+      const thr = createInput('number', z.thr ?? '');
+      thr.min = String(THR.min);
+      thr.max = String(THR.max);
+      thr.step = String(THR.step);
+      thr.title = 'Свой порог зоны (пусто — общий порог)';
+      thr.addEventListener('change', () => updateZone(i, { thr: thr.value }, `${label}: порог=${thr.value === '' ? 'общий' : clampThr(thr.value).toFixed(2)}`));
+
+      const hyst = createInput('number', z.hyst ?? '');
+      hyst.min = String(ZONE_HYST.min);
+      hyst.max = String(ZONE_HYST.max);
+      hyst.step = String(ZONE_HYST.step);
+      hyst.placeholder = String(NOISE_FILTER.hysteresisRatio);
+      hyst.title = 'Гистерезис: тревога зоны гаснет ниже порог×коэффициент (пусто — общий)';
+      hyst.addEventListener('change', () => updateZone(i, { hyst: hyst.value }, `${label}: гистерезис=${hyst.value === '' ? 'общий' : clampHyst(hyst.value).toFixed(2)}`));
+
+      // у зоны игнора нет своей тревоги — порог и гистерезис не нужны
+      if (ignore) {
+        for (const input of [thr, hyst]) {
+          input.disabled = true;
+          input.style.opacity = '.35';
+          input.title = 'Зона игнора: эти пиксели исключены из детекции';
+        }
+      } else if (S.detector === 'blob') {
+        thr.disabled = true;
+        thr.style.opacity = '.35';
+        thr.title = 'В режиме «Объекты» для всех зон действует минимальная площадь пятна';
+      } else if (usesFgThr()) {
+        thr.disabled = true;
+        thr.style.opacity = '.35';
+        thr.title = 'С адаптивным фоном для всех зон действует порог переднего плана';
+      }
+
+      const chip = createChip('', '52px');
+      chip.style.fontVariantNumeric = 'tabular-nums';
+
+      list.appendChild(cb);
+      list.appendChild(name);
+      list.appendChild(thr);
+      list.appendChild(hyst);
+      list.appendChild(chip);
+
+      S.zoneRows.push({ chip, thr });
+    });
+  }
+
+  function zonesCoveragePct(zones) {
+    if (!zones.length) return 100;
+    let sum = 0;
+    for (const z of zones) {
+      const r = sanitizeZone(z);
+      if (r.shape === 'rect') { sum += r.w * r.h; continue; }
+      // у многоугольника/кисти площадь считаем по растровой маске
+      const m = rasterZone(z);
+      let n = 0;
+      for (let i = 0; i < m.length; i++) n += m[i];
+      sum += n / m.length;
+    }
+    return Math.round(clamp(sum, 0, 1) * 100);
+  }
+
+  const NOTIFY_PERM_LABEL = {
+    granted: 'разрешены',
+    denied: 'запрещены в браузере',
+    default: 'нужно разрешение',
+    unsupported: 'не поддерживаются',
+  };
+
+  function setSegActive(btn, active) {
+    btn.style.background = active ? 'rgba(255,255,255,.18)' : 'rgba(255,255,255,.08)';
+    btn.style.borderColor = active ? 'rgba(255,255,255,.22)' : 'rgba(255,255,255,.14)';
+  }
+
+  function refreshUI(force = false) {
+    // пока в S подставлено другое видео (Channels.run), панель не перерисовываем — она про основное
+    if (Channels.current) return;
+    const now = performance.now();
+    if (!force && now - S.lastUI < UI_MIN_INTERVAL) return;
+    S.lastUI = now;
+
+    setSegActive(UI.btnModeVisual, S.alarmMode === 'visual');
+    setSegActive(UI.btnModeAudio,  S.alarmMode === 'audio');
+    setSegActive(UI.btnModeBoth,   S.alarmMode === 'both');
+    setSegActive(UI.btnModeNotify, S.alarmMode === 'notify');
+    setSegActive(UI.btnModeAll,    S.alarmMode === 'all');
+
+    UI.audioLine.style.display = alarmHasAudio(S.alarmMode) ? 'block' : 'none';
+    UI.notifyLine.style.display = alarmHasNotify(S.alarmMode) ? 'block' : 'none';
+    UI.notifyRight.textContent = NOTIFY_PERM_LABEL[Notifier.permission()] || Notifier.permission();
+
+    const opaEnabled = alarmHasVisual(S.alarmMode);
+    UI.sliderOpa.disabled = !opaEnabled;
+    UI.sliderOpa.style.opacity = opaEnabled ? '1' : '0.45';
+
+    if (S.blocked) {
+      setDot('blocked');
+      UI.subtitle.textContent = 'БЛОКИРОВКА (CORS/tainted canvas?)';
+      UI.miniText.textContent = 'Блокировка';
+    } else {
+      setDot(S.enabled && !S.schedOut ? 'on' : 'off');
+      const pausedByUX = S.drawingZone || S.editingZones || S.picking;
+
+      if (!S.enabled) UI.subtitle.textContent = 'ВЫКЛ • снято с охраны';
+      else if (S.schedOut) UI.subtitle.textContent = 'ВКЛ • вне расписания';
+      else if (S.armUntil) UI.subtitle.textContent = `ВКЛ • охрана через ${armingLeft()} с`;
+      else if (S.calibrating) UI.subtitle.textContent = 'ВКЛ • калибровка…';
+      else if (pausedByUX) UI.subtitle.textContent = 'ВКЛ • режим выбора/зон (пауза)';
+      else if (S.alarm) UI.subtitle.textContent = `ВКЛ • ТРЕВОГА: ${describeZones(S.alarmZones).map(z => z.name).join(', ')}`;
+      else if (S.zones.some(z => !isIgnoreZone(z)) && !S.zones.some(z => z.enabled && !isIgnoreZone(z))) UI.subtitle.textContent = 'ВКЛ • все зоны выключены';
+      else UI.subtitle.textContent = 'ВКЛ • на охране';
+
+      UI.miniText.textContent = !S.enabled ? 'Отключено'
+        : S.schedOut ? 'Вне расписания'
+        : S.armUntil ? `Охрана через ${armingLeft()} с`
+        : (S.calibrating ? 'Калибровка…' : 'Движение');
+    }
+
+    UI.modeChip.textContent = modeLabelFromThr(S.thr);
+    UI.metaLeft.textContent = S.detector === 'blob'
+      ? `объекты • мин. площадь=${S.blobMinArea.toFixed(1)}%`
+      : usesFgThr() ? `фон • передний план ≥ ${S.bgFgPct.toFixed(1)}%`
+      : `порог=${S.thr.toFixed(2)} • режим=${UI.modeChip.textContent}`;
+    // Показываем отфильтрованное значение (основное) и сырое (для справки)
+    const filteredLabel = S.filterReady ? `фильтр=${S.dFiltered.toFixed(2)}` : '';
+    UI.metaRight.textContent = `Δ=${S.dFiltered.toFixed(2)}${filteredLabel ? ' • ' + filteredLabel : ''} (сырое=${S.d.toFixed(2)})`;
+
+    setSegActive(UI.btnDetAvg,  S.detector === 'avg');
+    setSegActive(UI.btnDetBlob, S.detector === 'blob');
+    UI.btnLight.textContent = `Компенсация освещения: ${S.lightComp ? 'вкл' : 'выкл'}`;
+    setSegActive(UI.btnLight, S.lightComp);
+    setSegActive(UI.btnBgRef,   S.bgModel === 'ref');
+    setSegActive(UI.btnBgGauss, S.bgModel === 'gauss');
+    UI.bgRateChip.textContent = S.bgRate.toFixed(3);
+    UI.bgFgChip.textContent = `${S.bgFgPct.toFixed(1)}%`;
+    UI.detRight.textContent = S.bgModel === 'gauss' && !Background.ready()
+      ? `фон: обучение ${Background.frames}/${BG.warmup}`
+      : (S.detector === 'blob' ? `пятен: ${S.blobs.length}` : 'средняя разница');
+    UI.blobPixChip.textContent = String(S.blobPixThr);
+    UI.blobAreaChip.textContent = `${S.blobMinArea.toFixed(1)}%`;
+
+    UI.armRight.textContent = S.enabled ? armingLabel() : 'выключено';
+    UI.btnAutoStart.textContent = `Автозапуск: ${S.autoStart ? 'вкл' : 'выкл'}`;
+    setSegActive(UI.btnAutoStart, S.autoStart);
+    for (const [key, cfg] of Object.entries(ARM)) UI.armChips[key].textContent = `${S.arm[key]} ${cfg.unit}`;
+
+    const engDefault = Object.keys(ENGINE).every(k => S.engine[k] === ENGINE[k].def) && S.engine.useMedian;
+    UI.engRight.textContent = `${SAMPLE_W}×${SAMPLE_H}${engDefault ? ' • по умолчанию' : ' • изменены'}`;
+    for (const [key, cfg] of Object.entries(ENGINE)) UI.engChips[key].textContent = `${S.engine[key]} ${cfg.unit}`;
+    setSegActive(UI.btnEngMedian, S.engine.useMedian);
+    setSegActive(UI.btnEngMean,   !S.engine.useMedian);
+
+    UI.btnBridge.textContent = `Связь: ${S.bridgeOn ? 'вкл' : 'выкл'}`;
+    setSegActive(UI.btnBridge, S.bridgeOn);
+    UI.bridgeRight.textContent = Bridge.label();
+    UI.bridgeId.textContent = S.bridgeOn ? `id: ${Bridge.id}` : '';
+
+    UI.btnHook.textContent = `Webhook: ${S.hook.on ? 'вкл' : 'выкл'}`;
+    setSegActive(UI.btnHook, S.hook.on);
+    WEBHOOK.methods.forEach((m, i) => setSegActive(UI.hookMethodBtns[i], S.hook.method === m));
+    UI.btnHookSnap.textContent = `Кадр: ${S.hook.snapshot ? 'вкл' : 'выкл'}`;
+    setSegActive(UI.btnHookSnap, S.hook.snapshot);
+    UI.hookRight.textContent = !S.hook.on ? 'выкл'
+      : !S.hook.url ? 'нет адреса'
+      : Webhook.queue.length ? `в очереди: ${Webhook.queue.length}` : 'очередь пуста';
+
+    UI.btnSched.textContent = `Расписание: ${S.schedOn ? 'вкл' : 'выкл'}`;
+    setSegActive(UI.btnSched, S.schedOn);
+    UI.schedRight.textContent = !S.schedOn ? 'охрана всегда'
+      : S.schedOut ? 'сейчас: вне расписания'
+      : `сейчас: на охране${S.schedZonesOff.size ? ` (снято зон: ${S.schedZonesOff.size})` : ''}`;
+
+    CHART.sec.list.forEach((sec, i) => setSegActive(UI.chartBtns[i], S.chartSec === sec));
+    Chart.draw();
+
+    UI.opaRight.textContent = `прозр=${S.opacity.toFixed(2)}`;
+    UI.opaChip.textContent = `${Math.round(S.opacity * 100)}%`;
+
+    UI.audioRight.textContent = `звук: ${Audio.unlocked ? 'разрешён' : 'заблокирован'}`;
+    UI.volChip.textContent = `${Math.round((S.volume / VOL.max) * 100)}%`;
+
+    const mode = S.manualVideo ? 'ручной выбор' : (TARGET_SELECTOR === 'auto' ? 'auto' : TARGET_SELECTOR);
+    const selLabel = S.video ? `${mode}(видео найдено)` : `${mode}(ожидание)`;
+
+    const incl = S.zones.filter(z => !isIgnoreZone(z));
+    const n = incl.length;
+    const nOn = incl.filter(z => z.enabled).length;
+    const nIgnore = S.zones.length - n;
+    const cover = zonesCoveragePct(incl.filter(z => z.enabled));
+    const zonesLabel = (n ? `зоны=${nOn === n ? n : `${nOn}/${n}`} (≈${cover}%)` : 'зоны=нет (всё видео)') +
+      (nIgnore ? ` • игнор=${nIgnore}` : '');
+
+    const reactLabel =
+      S.alarmMode === 'visual' ? 'тревога=визуал' :
+      S.alarmMode === 'audio'  ? 'тревога=звук' :
+      S.alarmMode === 'notify' ? 'тревога=уведомление' :
+      S.alarmMode === 'all'    ? 'тревога=всё' :
+      'тревога=оба';
+
+    UI.footerLeft.textContent =
+      `${selLabel} • ${zonesLabel} • ${reactLabel}${S.status ? ' • ' + S.status : ''}`;
+
+    const videoNotReady = !isValidVideo(S.video) || S.video.paused || S.video.ended;
+    // автокалибровка подбирает порог средней разницы с опорным кадром — в режиме «объекты» и с адаптивным фоном он не используется
+    setBtnDisabled(UI.btnAuto, S.detector === 'blob' || S.bgModel === 'gauss' || videoNotReady || S.blocked || S.calibrating || S.drawingZone || S.editingZones || S.picking);
+    setBtnDisabled(UI.btnReset, S.blocked || S.calibrating);
+
+    setBtnDisabled(UI.btnPickAuto, (TARGET_SELECTOR !== 'auto') || S.calibrating || !!S.manualVideo);
+    setBtnDisabled(UI.btnPipette, S.calibrating || S.blocked || S.drawingZone || S.editingZones);
+
+    setBtnDisabled(UI.btnZoneAdd, !isValidVideo(S.video) || S.blocked || S.calibrating || S.picking || S.drawingZone || S.editingZones || S.zones.length >= ZONES_MAX);
+    setBtnDisabled(UI.btnZoneIgnore, !isValidVideo(S.video) || S.blocked || S.calibrating || S.picking || S.drawingZone || S.editingZones || S.zones.length >= ZONES_MAX);
+    UI.btnZoneEdit.textContent = S.editingZones ? 'Готово' : 'Редактировать';
+    setSegActive(UI.btnZoneEdit, S.editingZones);
+    setBtnDisabled(UI.btnZoneEdit, !S.editingZones && (S.blocked || S.calibrating || S.picking || S.drawingZone || S.zones.length === 0));
+    setSegActive(UI.btnShapeRect,  S.drawShape === 'rect');
+    setSegActive(UI.btnShapePoly,  S.drawShape === 'poly');
+    setSegActive(UI.btnShapeBrush, S.drawShape === 'mask');
+    setBtnDisabled(UI.btnShapeRect,  S.drawingZone);
+    setBtnDisabled(UI.btnShapePoly,  S.drawingZone);
+    setBtnDisabled(UI.btnShapeBrush, S.drawingZone);
+    setBtnDisabled(UI.btnZoneUndo, S.blocked || S.calibrating || S.drawingZone || S.zones.length === 0);
+    setBtnDisabled(UI.btnZoneClear, S.blocked || S.calibrating || S.drawingZone || S.zones.length === 0);
+
+    UI.btnBackAuto.style.display = S.manualVideo ? 'block' : 'none';
+    UI.btnCapture.style.display = Capture.stream || (S.blocked && Capture.supported() && isPageSource(S.video)) ? 'block' : 'none';
+    UI.btnCapture.textContent = Capture.stream ? '⏹ Остановить захват' : '📺 Захват вкладки';
+    setBtnDisabled(UI.btnCapture, Capture.busy);
+
+    // Живое Δ по зонам в списке (красный — зона в тревоге)
+    S.zoneRows.forEach((row, i) => {
+      const z = S.zones[i];
+      const st = S.zoneState.get(i);
+      row.chip.textContent = !z?.enabled ? 'выкл' : (isIgnoreZone(z) ? 'игнор' : (st ? st.dFiltered.toFixed(2) : '—'));
+      row.chip.style.background = st?.alarm ? ZONE_ALARM_STYLE.badge : 'rgba(0,0,0,.18)';
+      row.thr.placeholder = usesFgThr() ? `${S.bgFgPct.toFixed(1)}%` : S.thr.toFixed(2);
+    });
+
+    UI.snapRight.textContent = `${Snapshots.items.length}/${SNAP.max}`;
+    UI.btnSnapExtra.textContent = `Кадры до/после: ${S.snapExtra ? 'вкл' : 'выкл'}`;
+    setSegActive(UI.btnSnapExtra, S.snapExtra);
+    setBtnDisabled(UI.btnSnapClear, !Snapshots.items.length);
+
+    UI.btnRec.textContent = `Запись: ${S.recEnabled ? 'вкл' : 'выкл'}`;
+    setSegActive(UI.btnRec, S.recEnabled);
+    setBtnDisabled(UI.btnRec, !Recorder.supported());
+    setBtnDisabled(UI.btnRecClear, !Recorder.clips.length);
+    UI.recRight.textContent = Recorder.statusLabel();
+    UI.recPreChip.textContent = `${S.recPre} с`;
+    UI.recPostChip.textContent = `${S.recPost} с`;
+
+    for (const [key, b] of Object.entries(UI.journalFilterBtns)) setSegActive(b, S.journalFilter === key);
+    UI.journalRight.textContent = `${Journal.items.length} зап.${Journal.loaded && !Journal.persistent ? ' • только в памяти' : ''}`;
+    UI.journalDaysChip.textContent = `${S.journalDays} дн.`;
+    setBtnDisabled(UI.btnJournalClear, !Journal.items.length);
+
+    UI.btnArchive.textContent = `Архив: ${S.archive.on ? 'вкл' : 'выкл'}`;
+    setSegActive(UI.btnArchive, S.archive.on);
+    setBtnDisabled(UI.btnArchiveClear, !Archive.items.length);
+    for (const [key, b] of Object.entries(UI.archFilterBtns)) setSegActive(b, S.archiveFilter === key);
+    UI.archRight.textContent = Archive.statusLabel();
+    UI.archMBChip.textContent = `${S.archive.maxMB} МБ`;
+    UI.archDaysChip.textContent = `${S.archive.maxDays} дн.`;
+
+    setSegActive(UI.btnHeatOff,  S.heatMode === 'off');
+    setSegActive(UI.btnHeatLive, S.heatMode === 'live');
+    setSegActive(UI.btnHeatAcc,  S.heatMode === 'acc');
+    UI.btnHeatAcc.textContent = `За ${S.heatMinutes} мин`;
+    UI.heatMinChip.textContent = `${S.heatMinutes} мин`;
+    UI.heatRight.textContent = S.heatMode === 'acc'
+      ? `данных: ${Math.floor(Heatmap.coveredMinutes())} мин`
+      : (S.heatMode === 'live' ? 'сейчас' : 'выкл');
+
+    UI.btnMulti.textContent = `Несколько видео: ${S.multi.on ? 'вкл' : 'выкл'}`;
+    setSegActive(UI.btnMulti, S.multi.on);
+    UI.multiRight.textContent = !S.multi.on ? 'выкл'
+      : `отслеживается: ${Channels.list.length + (isValidVideo(S.video) ? 1 : 0)} из ${Channels.vids.length}`;
+    Channels.paint();
+
+    // сравнение с активным профилем — только при явном обновлении (настройки меняются через applyX → refreshUI(true))
+    if (force) {
+      UI.profRight.textContent = !S.profiles.active ? 'без профиля'
+        : `«${S.profiles.active}»${Profiles.modified() ? ' • изменён' : ''}`;
+    }
+
+    updateActiveHighlight();
+    updateZonesBoxes();
+    updateDrawBox();
+  }
+
+  // =========================
+  // PICK VIDEO BY CLICK
+  // =========================
+  function getVideoFromPoint(x, y) {
+    const el = document.elementFromPoint(x, y);
+    if (!el || isOwnElement(el)) return null;
+    if (isSourceCandidate(el)) return el;
+    const up = el.closest?.(SOURCE.selector);
+    if (up && isSourceCandidate(up)) return up;
+    // под курсором обёртка плеера: <video> внутри неё, иначе крупный <canvas>/<img>
+    return el.querySelector?.('video') || Array.from(el.querySelectorAll?.('canvas, img') || []).find(isSourceCandidate) || null;
+  }
+
+  function stopPicking(msg) {
+    if (!S.picking) return;
+    S.picking = false;
+
+    hideBox(UI.pickBox);
+    document.documentElement.style.cursor = '';
+
+    document.removeEventListener('mousemove', S.pickMoveH, true);
+    document.removeEventListener('click', S.pickClickH, true);
+    document.removeEventListener('keydown', S.pickKeyH, true);
+
+    clearTimeout(S.pickAutoTimer);
+    S.pickAutoTimer = 0;
+
+    S.pickMoveH = S.pickClickH = S.pickKeyH = null;
+    S.pickTarget = null;
+    S.pickHoverSeen = false;
+
+    if (msg) S.status = msg;
+    refreshUI(true);
+  }
+
+  function startPicking() {
+    if (S.picking || S.blocked || S.calibrating || S.drawingZone) return;
+
+    S.picking = true;
+    S.pickHoverSeen = false;
+    S.status = 'выбор видео: наведи на видео и кликни (Esc — отмена)';
+    document.documentElement.style.cursor = 'crosshair';
+
+    hideBox(UI.activeBox);
+
+    const initial = resolveVideo();
+    S.pickTarget = initial;
+
+    const placePick = (v) => {
+      if (!v || !document.contains(v)) return hideBox(UI.pickBox);
+      const r = v.getBoundingClientRect();
+      if (r.width <= 1 || r.height <= 1) return hideBox(UI.pickBox);
+      placeBoxAbs(UI.pickBox, r.left, r.top, r.width, r.height);
+    };
+
+    placePick(initial);
+
+    clearTimeout(S.pickAutoTimer);
+    S.pickAutoTimer = setTimeout(() => {
+      if (!S.picking || S.pickHoverSeen) return;
+      const mainV = resolveVideo();
+      S.pickTarget = mainV;
+      placePick(mainV);
+      S.status = 'подсветил главное видео — кликни (Esc — отмена)';
+      refreshUI(true);
+    }, PICKER_AUTO_HIGHLIGHT_MS);
+
+    S.pickMoveH = (e) => {
+      const v = getVideoFromPoint(e.clientX, e.clientY);
+      if (v) {
+        S.pickHoverSeen = true;
+        S.pickTarget = v;
+        placePick(v);
+      }
+    };
+
+    S.pickClickH = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+
+      const v = S.pickTarget || getVideoFromPoint(e.clientX, e.clientY);
+      if (!v) { S.status = 'не вижу видео под курсором'; return refreshUI(true); }
+
+      S.manualVideo = v;
+      S.video = v;
+      Sources.pick(v);
+
+      resetTrackingState();
+      clearAlarm();
+      syncVideoBinding();
+
+      stopPicking('видео выбрано');
+      restartLoop();
+    };
+
+    S.pickKeyH = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        stopPicking('выбор отменён');
+      }
+    };
+
+    document.addEventListener('mousemove', S.pickMoveH, true);
+    document.addEventListener('click', S.pickClickH, true);
+    document.addEventListener('keydown', S.pickKeyH, true);
+
+    refreshUI(true);
+  }
+
+  // =========================
+  // DRAW ZONE (add)
+  // =========================
+  function stopZoneDraw(msg) {
+    if (!S.drawingZone) return;
+    S.drawingZone = false;
+
+    document.documentElement.style.cursor = '';
+
+    document.removeEventListener('mousedown', S.zDownH, true);
+    document.removeEventListener('mousemove', S.zMoveH, true);
+    document.removeEventListener('mouseup',   S.zUpH, true);
+    document.removeEventListener('keydown',   S.zKeyH, true);
+    document.removeEventListener('dblclick',  S.zDblH, true);
+    document.removeEventListener('click',     S.zClickH, true);
+
+    S.zDownH = S.zMoveH = S.zUpH = S.zKeyH = S.zDblH = S.zClickH = null;
+    S.drawDrag = null;
+    S.drawPath = null;
+
+    hideBox(UI.drawBox);
+    updateDrawPreview();
+
+    if (msg) S.status = msg;
+    refreshUI(true);
+  }
+
+  // Рамка рисования выглядит так же, как будущая зона: обычная или игнор (штриховка)
+  function applyDrawBoxStyle(type) {
+    const st = type === 'ignore' ? IGNORE_STYLE : DRAW_STYLE;
+    UI.drawBox.style.border = `2px ${type === 'ignore' ? 'dashed' : 'solid'} ${st.border}`;
+    UI.drawBox.style.boxShadow = `0 0 0 6px ${st.glow}`;
+    UI.drawBox.style.background = st.fill;
+  }
+
+  const DRAW_HINTS = {
+    rect:  'потяни прямоугольник по видео (Esc — отмена)',
+    poly:  'клики — вершины, двойной клик/Enter — замкнуть, Backspace — убрать вершину, Esc — отмена',
+    mask:  'закрась область, Enter/двойной клик — готово, [ ] — размер кисти, Backspace — отменить мазок, Esc — отмена',
+  };
+
+  // type: 'include' — обычная зона контроля, 'ignore' — зона игнора (маска).
+  // Форма берётся из S.drawShape: прямоугольник, многоугольник или кисть.
+  function startZoneDraw(type = 'include') {
+    if (!S.video || S.blocked || S.calibrating || S.picking || S.drawingZone || S.editingZones) return;
+    if (S.zones.length >= ZONES_MAX) { S.status = `лимит зон (${ZONES_MAX})`; return refreshUI(true); }
+    if (!isPageSource(S.video)) { S.status = 'у ImageBitmap нет места на экране — зоны рисуются на элементе страницы'; return refreshUI(true); }
+
+    const shape = S.drawShape;
+    S.drawingZone = true;
+    S.drawType = type === 'ignore' ? 'ignore' : 'include';
+    applyDrawBoxStyle(S.drawType);
+    clearAlarm();
+    S.status = `${S.drawType === 'ignore' ? 'зона игнора' : 'добавление зоны'}: ${DRAW_HINTS[shape]}`;
+    document.documentElement.style.cursor = 'crosshair';
+
+    hideBox(UI.activeBox);
+
+    const insideVideo = (e, vr) => (e.clientX >= vr.left && e.clientX <= vr.right && e.clientY >= vr.top && e.clientY <= vr.bottom);
+    const clampToVideo = (e, vr) => [clamp(e.clientX, vr.left, vr.right), clamp(e.clientY, vr.top, vr.bottom)];
+
+    // Экранные координаты видео фиксируются при первом касании и действуют до конца рисования
+    const ensurePath = () => {
+      if (!S.drawPath) {
+        S.drawPath = { shape, vr: sourceRect(S.video), pts: [], strokes: [], hover: null, painting: false };
+      }
+      return S.drawPath;
+    };
+
+    const addZone = (raw) => {
+      const zone = sanitizeZone({ ...raw, type: S.drawType });
+      if (zone.w < ZONE_MIN_NORM || zone.h < ZONE_MIN_NORM) {
+        stopZoneDraw('зона слишком маленькая');
+        return;
+      }
+      S.zones.push(zone);
+      saveZones(`${isIgnoreZone(zone) ? 'зона игнора' : 'зона'} добавлена (${S.zones.length}/${ZONES_MAX})`);
+      stopZoneDraw();
+      updateZonesBoxes();
+    };
+
+    // Замкнуть многоугольник / закончить закрашивание
+    const finishPath = () => {
+      const p = S.drawPath;
+      const vr = p?.vr;
+      const toNorm = ([x, y]) => [(x - vr.left) / vr.width, (y - vr.top) / vr.height];
+
+      if (shape === 'poly') {
+        // двойной клик ставит лишние вершины в ту же точку — убираем их
+        const pts = [];
+        for (const q of p?.pts || []) {
+          const last = pts[pts.length - 1];
+          if (!last || Math.hypot(q[0] - last[0], q[1] - last[1]) > 3) pts.push(q);
+        }
+        if (pts.length < 3) {
+          S.status = 'нужно минимум 3 вершины';
+          return refreshUI(true);
+        }
+        return addZone({ shape: 'poly', points: pts.map(toNorm) });
+      }
+
+      if (!p?.strokes.length) {
+        S.status = 'сначала закрась область';
+        return refreshUI(true);
+      }
+      addZone({
+        shape: 'mask',
+        strokes: p.strokes.map((st) => ({ rx: st.rPx / vr.width, ry: st.rPx / vr.height, pts: st.pts.map(toNorm) })),
+      });
+    };
+
+    S.zDownH = (e) => {
+      if (e.button !== 0) return;
+      if (!isValidVideo(S.video)) return;
+
+      const vr = S.drawPath?.vr || sourceRect(S.video);
+      if (!insideVideo(e, vr)) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+
+      if (shape === 'rect') {
+        S.drawDrag = { startX: e.clientX, startY: e.clientY, curX: e.clientX, curY: e.clientY, vr };
+        updateDrawBox();
+        return;
+      }
+
+      const p = ensurePath();
+      const pt = clampToVideo(e, p.vr);
+      if (shape === 'poly') {
+        if (p.pts.length >= POLY_MAX_POINTS) {
+          S.status = `лимит вершин (${POLY_MAX_POINTS}) — замкни многоугольник`;
+          refreshUI(true);
+          return;
+        }
+        p.pts.push(pt);
+      } else {
+        p.painting = true;
+        p.strokes.push({ rPx: S.brushR * p.vr.width, pts: [pt] });
+      }
+      updateDrawBox();
+    };
+
+    S.zMoveH = (e) => {
+      if (shape === 'rect') {
+        if (!S.drawDrag) return;
+        S.drawDrag.curX = e.clientX;
+        S.drawDrag.curY = e.clientY;
+        updateDrawBox();
+        return;
+      }
+
+      if (!isValidVideo(S.video)) return;
+      if (!S.drawPath && !insideVideo(e, sourceRect(S.video))) return;
+      const p = ensurePath();
+      p.hover = clampToVideo(e, p.vr);
+
+      if (shape === 'mask' && p.painting) {
+        const stroke = p.strokes[p.strokes.length - 1];
+        const [lx, ly] = stroke.pts[stroke.pts.length - 1];
+        const total = p.strokes.reduce((n, st) => n + st.pts.length, 0);
+        // точки ставим не чаще, чем раз в ~половину радиуса: мазок гладкий, а зона компактная
+        if (total < BRUSH.maxPoints && Math.hypot(p.hover[0] - lx, p.hover[1] - ly) >= Math.max(2, stroke.rPx * 0.4)) {
+          stroke.pts.push(p.hover);
+        }
+      }
+      updateDrawBox();
+    };
+
+    S.zUpH = (e) => {
+      if (shape === 'mask') {
+        if (!S.drawPath?.painting) return;
+        e.preventDefault();
+        e.stopPropagation();
+        S.drawPath.painting = false;
+        return;
+      }
+      if (shape !== 'rect' || !S.drawDrag || !S.video) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+
+      const vr = S.drawDrag.vr;
+      const xA = clamp(S.drawDrag.startX, vr.left, vr.right);
+      const yA = clamp(S.drawDrag.startY, vr.top, vr.bottom);
+      const xB = clamp(S.drawDrag.curX,   vr.left, vr.right);
+      const yB = clamp(S.drawDrag.curY,   vr.top, vr.bottom);
+
+      const left = Math.min(xA, xB);
+      const top  = Math.min(yA, yB);
+      const wPx  = Math.abs(xB - xA);
+      const hPx  = Math.abs(yB - yA);
+
+      if (wPx < ZONE_MIN_PX || hPx < ZONE_MIN_PX) {
+        stopZoneDraw('зона слишком маленькая');
+        return;
+      }
+
+      addZone({
+        x: (left - vr.left) / vr.width,
+        y: (top  - vr.top)  / vr.height,
+        w: wPx / vr.width,
+        h: hPx / vr.height,
+      });
+    };
 
-    updateActiveHighlight();
-    updateZonesBoxes();
-    updateDrawBox();
-  }
+    // Клики по видео во время рисования не должны доходить до плеера (пауза, полноэкранный режим)
+    S.zClickH = (e) => {
+      if (!isValidVideo(S.video) || !insideVideo(e, S.drawPath?.vr || sourceRect(S.video))) return;
+      e.preventDefault();
+      e.stopPropagation();
+    };
 
-  function applyThreshold(v, statusMsg) {
-    S.thr = clampThr(v);
-    UI.sliderThr.value = String(S.thr);
-    localStorage.setItem(LS_KEYS.thr, String(S.thr));
-    if (statusMsg) S.status = statusMsg;
-    refreshUI(true);
-  }
+    S.zDblH = (e) => {
+      S.zClickH(e);
+      if (shape !== 'rect' && S.drawPath) finishPath();
+    };
+
+    S.zKeyH = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        stopZoneDraw('добавление зоны отменено');
+        return;
+      }
+      if (shape === 'rect') return;
+
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        e.stopPropagation();
+        finishPath();
+      } else if (e.key === 'Backspace') {
+        e.preventDefault();
+        e.stopPropagation();
+        const p = S.drawPath;
+        if (p) (shape === 'poly' ? p.pts : p.strokes).pop();
+        updateDrawBox();
+      } else if (shape === 'mask' && (e.key === '[' || e.key === ']')) {
+        e.preventDefault();
+        e.stopPropagation();
+        S.brushR = clamp(S.brushR + (e.key === ']' ? BRUSH.step : -BRUSH.step), BRUSH.min, BRUSH.max);
+        S.status = `кисть: ${Math.round(S.brushR * 100)}% ширины видео`;
+        updateDrawBox();
+        refreshUI(true);
+      }
+    };
+
+    document.addEventListener('mousedown', S.zDownH, true);
+    document.addEventListener('mousemove', S.zMoveH, true);
+    document.addEventListener('mouseup',   S.zUpH, true);
+    document.addEventListener('keydown',   S.zKeyH, true);
+    document.addEventListener('dblclick',  S.zDblH, true);
+    document.addEventListener('click',     S.zClickH, true);
 
-  function applyOpacity(v, statusMsg) {
-    S.opacity = clampOpa(v);
-    UI.sliderOpa.value = String(S.opacity);
-    UI.overlay.style.opacity = String(S.opacity);
-    localStorage.setItem(LS_KEYS.opa, String(S.opacity));
-    if (statusMsg) S.status = statusMsg;
     refreshUI(true);
   }
 
-  // Сброс состояния отслеживания (используется при изменении зон, видео и т.д.)
-  function resetTrackingState() {
-    S.prev = null;
-    S.ref = null;
-    S.refCounter = 0;
-    S.diffBuffer = [];  // очищаем буфер фильтрации при сбросе
-    S.dFiltered = 0;
+  // =========================
+  // EDIT ZONES (move / resize / menu)
+  // =========================
+  function hideZoneMenu() {
+    UI.zoneMenu.style.display = 'none';
   }
 
-  // Временная фильтрация разницы для подавления шума
-  // Использует медиану или среднее значение из буфера последних кадров
-  function filterMotionDiff(rawDiff) {
-    // Добавляем новое значение в буфер
-    S.diffBuffer.push(rawDiff);
-    
-    // Ограничиваем размер буфера
-    if (S.diffBuffer.length > NOISE_FILTER.bufferSize) {
-      S.diffBuffer.shift(); // удаляем самое старое значение
-    }
-    
-    // Если буфер еще не заполнен, возвращаем исходное значение
-    if (S.diffBuffer.length < 3) {
-      return rawDiff;
-    }
-    
-    // Вычисляем фильтрованное значение (медиана лучше подавляет выбросы шума)
-    if (NOISE_FILTER.useMedian) {
-      return median(S.diffBuffer);
-    } else {
-      // Альтернатива: скользящее среднее
-      const sum = S.diffBuffer.reduce((a, b) => a + b, 0);
-      return sum / S.diffBuffer.length;
-    }
+  function showZoneMenu(i, x, y) {
+    const z = S.zones[i];
+    if (!z) return;
+    UI.zoneMenuTitle.textContent = zoneName(z, i);
+    UI.zoneMenuName.value = z.name;
+    UI.zoneMenuName.placeholder = zoneName({ ...z, name: '' }, i);
+    UI.btnZoneMenuToggle.textContent = z.enabled ? 'Выключить' : 'Включить';
+    UI.zoneMenu.style.display = 'block';
+
+    // меню не должно уезжать за край окна
+    const w = UI.zoneMenu.offsetWidth || 190;
+    const h = UI.zoneMenu.offsetHeight || 90;
+    UI.zoneMenu.style.left = `${Math.round(clamp(x, 4, Math.max(4, window.innerWidth - w - 4)))}px`;
+    UI.zoneMenu.style.top  = `${Math.round(clamp(y, 4, Math.max(4, window.innerHeight - h - 4)))}px`;
   }
 
-  // Вычисление порогов с гистерезисом
-  // Гистерезис предотвращает дребезг тревоги при значениях около порога
-  function getThresholds() {
-    const thrHigh = S.thr;  // верхний порог (основной) - для включения тревоги
-    const thrLow = S.thr * NOISE_FILTER.hysteresisRatio;  // нижний порог - для выключения тревоги
-    return { thrHigh, thrLow };
+  function deleteZone(i) {
+    const z = S.zones[i];
+    if (!z) return;
+    const name = zoneName(z, i);
+    S.zones.splice(i, 1);
+    S.editSel = -1;
+    hideZoneMenu();
+    saveZones(S.zones.length ? `${name}: удалена (осталось ${S.zones.length})` : 'зон нет — отслеживается всё видео');
+    updateZonesBoxes();
   }
 
-  function saveZones(statusMsg) {
-    S.zones = sanitizeZones(S.zones);
-    setLSJSON(LS_KEYS.zones, S.zones);
+  function stopZoneEdit(msg) {
+    if (!S.editingZones) return;
+    S.editingZones = false;
 
-    resetTrackingState();
-    clearAlarm();
+    document.removeEventListener('mousedown',   S.eDownH, true);
+    document.removeEventListener('mousemove',   S.eMoveH, true);
+    document.removeEventListener('mouseup',     S.eUpH, true);
+    document.removeEventListener('contextmenu', S.eCtxH, true);
+    document.removeEventListener('keydown',     S.eKeyH, true);
 
-    if (statusMsg) S.status = statusMsg;
+    S.eDownH = S.eMoveH = S.eUpH = S.eCtxH = S.eKeyH = null;
+    S.editSel = -1;
+    S.editDrag = null;
+    // детекция стояла, пока зоны правились: сравнивать с кадром до правки нельзя (и сдвиг стрелками — сразу, не по таймеру)
+    settleNudge();
+
+    hideZoneMenu();
+    updateZonesBoxes();
+
+    if (msg) S.status = msg;
     refreshUI(true);
   }
 
-  function zonesCoveragePct(zones) {
-    if (!zones.length) return 100;
-    let sum = 0;
-    for (const z of zones) {
-      const r = sanitizeZone(z);
-      sum += r.w * r.h;
-    }
-    return Math.round(clamp(sum, 0, 1) * 100);
+  // Конец серии сдвигов стрелками: зоны сдвинулись — оцениваем их с чистого листа
+  function settleNudge() {
+    clearTimeout(S.nudgeTimer);
+    S.nudgeTimer = 0;
+    resetTrackingState();
+    clearAlarm();
   }
 
-  function setSegActive(btn, active) {
-    btn.style.background = active ? 'rgba(255,255,255,.18)' : 'rgba(255,255,255,.08)';
-    btn.style.borderColor = active ? 'rgba(255,255,255,.22)' : 'rgba(255,255,255,.14)';
-  }
+  // Зоны становятся интерактивными: перетаскивание — перенос, углы — размер,
+  // правый клик — меню (название, вкл/выкл, удалить), стрелки — сдвиг, Delete — удалить
+  function startZoneEdit() {
+    if (S.editingZones || !S.zones.length || S.blocked || S.calibrating || S.picking || S.drawingZone) return;
+    if (S.video && !isPageSource(S.video)) { S.status = 'у ImageBitmap нет места на экране — зоны правятся на элементе страницы'; return refreshUI(true); }
 
-  function refreshUI(force = false) {
-    const now = performance.now();
-    if (!force && now - S.lastUI < UI_MIN_INTERVAL) return;
-    S.lastUI = now;
+    S.editingZones = true;
+    S.editSel = -1;
+    clearAlarm();
+    S.status = 'редактирование зон: тащи — перенос, углы — размер, правый клик — меню, Esc — готово';
 
-    setSegActive(UI.btnModeVisual, S.alarmMode === 'visual');
-    setSegActive(UI.btnModeAudio,  S.alarmMode === 'audio');
-    setSegActive(UI.btnModeBoth,   S.alarmMode === 'both');
+    const zoneIndexAt = (t) => {
+      const el = t?.closest?.('[data-mw-zone]');
+      return el && UI.zonesLayer.contains(el) ? Number(el.dataset.mwZone) : -1;
+    };
 
-    UI.audioLine.style.display = alarmHasAudio(S.alarmMode) ? 'block' : 'none';
+    S.eDownH = (e) => {
+      if (UI.zoneMenu.contains(e.target)) return;
+      const i = zoneIndexAt(e.target);
+      if (i < 0) return hideZoneMenu(); // клики мимо зон страница получает как обычно
+      if (e.button !== 0) return;       // правая кнопка — меню (contextmenu)
 
-    const opaEnabled = alarmHasVisual(S.alarmMode);
-    UI.sliderOpa.disabled = !opaEnabled;
-    UI.sliderOpa.style.opacity = opaEnabled ? '1' : '0.45';
+      e.preventDefault();
+      e.stopPropagation();
+      hideZoneMenu();
 
-    if (S.blocked) {
-      setDot('blocked');
-      UI.subtitle.textContent = 'БЛОКИРОВКА (CORS/tainted canvas?)';
-      UI.miniText.textContent = 'Блокировка';
-    } else {
-      setDot(S.enabled ? 'on' : 'off');
-      const pausedByUX = S.drawingZone || S.picking;
+      if (!isValidVideo(S.video)) return;
+      const vr = sourceRect(S.video);
+      if (vr.width <= 1 || vr.height <= 1) return;
+
+      S.editSel = i;
+      S.editDrag = {
+        i,
+        mode: e.target.dataset.mwHandle || 'move',
+        startX: e.clientX,
+        startY: e.clientY,
+        vr,
+        zone0: S.zones[i],
+        moved: false,
+      };
+      updateZonesBoxes();
+    };
 
-      if (!S.enabled) UI.subtitle.textContent = 'ВЫКЛ • снято с охраны';
-      else if (S.calibrating) UI.subtitle.textContent = 'ВКЛ • калибровка…';
-      else if (pausedByUX) UI.subtitle.textContent = 'ВКЛ • режим выбора/зон (пауза)';
-      else UI.subtitle.textContent = 'ВКЛ • на охране';
+    S.eMoveH = (e) => {
+      const dr = S.editDrag;
+      if (!dr) return;
+      e.preventDefault();
 
-      UI.miniText.textContent = S.enabled ? (S.calibrating ? 'Калибровка…' : 'Движение') : 'Отключено';
-    }
+      // дрожание руки при клике — не перенос: иначе простой выбор зоны сбрасывал бы отслеживание и тревогу
+      if (!dr.moved && Math.hypot(e.clientX - dr.startX, e.clientY - dr.startY) < ZONE_DRAG_PX) return;
 
-    UI.modeChip.textContent = modeLabelFromThr(S.thr);
-    UI.metaLeft.textContent = `порог=${S.thr.toFixed(2)} • режим=${UI.modeChip.textContent}`;
-    // Показываем отфильтрованное значение (основное) и сырое (для справки)
-    const filteredLabel = S.diffBuffer.length >= 3 ? `фильтр=${S.dFiltered.toFixed(2)}` : '';
-    UI.metaRight.textContent = `Δ=${S.dFiltered.toFixed(2)}${filteredLabel ? ' • ' + filteredLabel : ''} (сырое=${S.d.toFixed(2)})`;
+      const dx = (e.clientX - dr.startX) / dr.vr.width;
+      const dy = (e.clientY - dr.startY) / dr.vr.height;
+      const z0 = dr.zone0;
 
-    UI.opaRight.textContent = `прозр=${S.opacity.toFixed(2)}`;
-    UI.opaChip.textContent = `${Math.round(S.opacity * 100)}%`;
+      let box;
+      if (dr.mode === 'move') {
+        box = { x: clamp(z0.x + dx, 0, 1 - z0.w), y: clamp(z0.y + dy, 0, 1 - z0.h), w: z0.w, h: z0.h };
+      } else {
+        // mode — угол: n/s и w/e; противоположный угол остаётся на месте
+        let x0 = z0.x, y0 = z0.y, x1 = z0.x + z0.w, y1 = z0.y + z0.h;
+        if (dr.mode[1] === 'w') x0 = clamp(x0 + dx, 0, x1 - ZONE_MIN_NORM);
+        else x1 = clamp(x1 + dx, x0 + ZONE_MIN_NORM, 1);
+        if (dr.mode[0] === 'n') y0 = clamp(y0 + dy, 0, y1 - ZONE_MIN_NORM);
+        else y1 = clamp(y1 + dy, y0 + ZONE_MIN_NORM, 1);
+        box = { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+      }
 
-    UI.audioRight.textContent = `звук: ${Audio.unlocked ? 'разрешён' : 'заблокирован'}`;
-    UI.volChip.textContent = `${Math.round((S.volume / VOL.max) * 100)}%`;
+      S.zones[dr.i] = fitZone(z0, box);
+      dr.moved = true;
+      updateZonesBoxes();
+    };
 
-    const mode = S.manualVideo ? 'ручной выбор' : (TARGET_SELECTOR === 'auto' ? 'auto' : TARGET_SELECTOR);
-    const selLabel = S.video ? `${mode}(видео найдено)` : `${mode}(ожидание)`;
+    S.eUpH = (e) => {
+      const dr = S.editDrag;
+      if (!dr) return;
+      S.editDrag = null;
+      e.preventDefault();
+      e.stopPropagation();
 
-    const n = S.zones.length;
-    const cover = zonesCoveragePct(S.zones);
-    const zonesLabel = n ? `зоны=${n} (≈${cover}%)` : 'зоны=нет (всё видео)';
+      const z = S.zones[dr.i];
+      const z0 = dr.zone0;
+      if (dr.moved && (z.x !== z0.x || z.y !== z0.y || z.w !== z0.w || z.h !== z0.h)) {
+        const name = zoneName(z, dr.i);
+        saveZones(dr.mode === 'move' ? `${name}: перемещена` : `${name}: размер изменён`);
+      } else {
+        S.zones[dr.i] = z0; // вернули на место или упёрлись в край — геометрия та же
+      }
+      updateZonesBoxes();
+    };
 
-    const reactLabel =
-      S.alarmMode === 'visual' ? 'тревога=визуал' :
-      S.alarmMode === 'audio'  ? 'тревога=звук' :
-      'тревога=оба';
+    S.eCtxH = (e) => {
+      const i = zoneIndexAt(e.target);
+      if (i < 0) return;
+      e.preventDefault();
+      e.stopPropagation();
+      S.editSel = i;
+      updateZonesBoxes();
+      showZoneMenu(i, e.clientX, e.clientY);
+    };
 
-    UI.footerLeft.textContent =
-      `${selLabel} • ${zonesLabel} • ${reactLabel}${S.status ? ' • ' + S.status : ''}`;
+    S.eKeyH = (e) => {
+      if (isTypingTarget(e.target)) return;
 
-    const videoNotReady = !isValidVideo(S.video) || S.video.paused || S.video.ended;
-    setBtnDisabled(UI.btnAuto, videoNotReady || S.blocked || S.calibrating || S.drawingZone || S.picking);
-    setBtnDisabled(UI.btnReset, S.blocked || S.calibrating);
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        if (UI.zoneMenu.style.display !== 'none') hideZoneMenu();
+        else stopZoneEdit('редактирование зон завершено');
+        return;
+      }
 
-    setBtnDisabled(UI.btnPickAuto, (TARGET_SELECTOR !== 'auto') || S.calibrating || !!S.manualVideo);
-    setBtnDisabled(UI.btnPipette, S.calibrating || S.blocked || S.drawingZone);
+      const i = S.editSel;
+      const z = S.zones[i];
+      if (!z || S.editDrag) return;
 
-    setBtnDisabled(UI.btnZoneAdd, !isValidVideo(S.video) || S.blocked || S.calibrating || S.picking || S.drawingZone || S.zones.length >= ZONES_MAX);
-    setBtnDisabled(UI.btnZoneUndo, S.blocked || S.calibrating || S.drawingZone || S.zones.length === 0);
-    setBtnDisabled(UI.btnZoneClear, S.blocked || S.calibrating || S.drawingZone || S.zones.length === 0);
+      if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault();
+        e.stopPropagation();
+        deleteZone(i);
+        return;
+      }
 
-    UI.btnBackAuto.style.display = S.manualVideo ? 'block' : 'none';
+      const dir = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[e.key];
+      if (!dir) return;
+      e.preventDefault();
+      e.stopPropagation();
+
+      const step = e.shiftKey ? ZONE_NUDGE.fast : ZONE_NUDGE.step;
+      const x = clamp(z.x + dir[0] * step, 0, 1 - z.w);
+      const y = clamp(z.y + dir[1] * step, 0, 1 - z.h);
+      if (x === z.x && y === z.y) return; // упёрлись в край кадра
+      S.zones[i] = fitZone(z, { x, y, w: z.w, h: z.h });
+      // маска и сохранение — сразу, а сброс отслеживания и тревоги — один раз после серии нажатий
+      saveZones(`${zoneName(S.zones[i], i)}: сдвиг`, { geometry: false });
+      clearTimeout(S.nudgeTimer);
+      S.nudgeTimer = setTimeout(settleNudge, ZONE_NUDGE_SETTLE_MS);
+      updateZonesBoxes();
+    };
+
+    document.addEventListener('mousedown',   S.eDownH, true);
+    document.addEventListener('mousemove',   S.eMoveH, true);
+    document.addEventListener('mouseup',     S.eUpH, true);
+    document.addEventListener('contextmenu', S.eCtxH, true);
+    document.addEventListener('keydown',     S.eKeyH, true);
 
-    updateActiveHighlight();
     updateZonesBoxes();
-    updateDrawBox();
+    refreshUI(true);
   }
 
   // =========================
-  // PICK VIDEO BY CLICK
+  // AUTO CAL
   // =========================
-  function getVideoFromPoint(x, y) {
-    const el = document.elementFromPoint(x, y);
-    if (!el) return null;
-    if (el.tagName === 'VIDEO') return el;
-    return el.closest?.('video') || el.querySelector?.('video') || null;
-  }
-
-  function stopPicking(msg) {
-    if (!S.picking) return;
-    S.picking = false;
-
-    hideBox(UI.pickBox);
-    document.documentElement.style.cursor = '';
-
-    document.removeEventListener('mousemove', S.pickMoveH, true);
-    document.removeEventListener('click', S.pickClickH, true);
-    document.removeEventListener('keydown', S.pickKeyH, true);
-
-    clearTimeout(S.pickAutoTimer);
-    S.pickAutoTimer = 0;
+  async function autoCalibrate() {
+    // подбирается порог средней разницы с опорным кадром — в других режимах его нет (кнопка там выключена)
+    if (S.detector === 'blob' || S.bgModel === 'gauss') {
+      S.status = 'автокалибровка: только «Средняя разница» с опорным кадром';
+      return refreshUI(true);
+    }
+    if (!S.video || S.blocked || S.calibrating) {
+      S.status = !S.video ? 'нет видео' : (S.blocked ? 'canvas заблокирован' : 'уже калибруется');
+      return refreshUI(true);
+    }
+    if (S.video.paused || S.video.ended || S.video.readyState < 2) {
+      S.status = 'запусти видео (▶)';
+      return refreshUI(true);
+    }
 
-    S.pickMoveH = S.pickClickH = S.pickKeyH = null;
-    S.pickTarget = null;
-    S.pickHoverSeen = false;
+    const videoAtStart = S.video;
+    const targets = zoneTargets();
+    if (!targets.length) {
+      S.status = 'все зоны выключены';
+      return refreshUI(true);
+    }
 
-    if (msg) S.status = msg;
+    S.calibrating = true;
+    clearAlarm();
+    S.status = `калибровка: 0/${CAL.samples}`;
     refreshUI(true);
-  }
 
-  function startPicking() {
-    if (S.picking || S.blocked || S.calibrating || S.drawingZone) return;
+    // Итог калибровки для события calibration:done (заполняется по ходу)
+    const result = { ok: false, samples: 0, thr: S.thr, reason: '' };
 
-    S.picking = true;
-    S.pickHoverSeen = false;
-    S.status = 'выбор видео: наведи на видео и кликни (Esc — отмена)';
-    document.documentElement.style.cursor = 'crosshair';
+    try {
+      const diffs = [];
+      let prev = prepareFrame(captureFrame()).arr;
+      let stalls = 0;
 
-    hideBox(UI.activeBox);
+      for (let i = 0; i < CAL.samples; i++) {
+        if (S.video !== videoAtStart) break;
 
-    const initial = resolveVideo();
-    S.pickTarget = initial;
+        const ok = await nextFrame(CAL.frameWaitMs);
+        if (!ok) {
+          stalls++;
+          await sleep(CAL.fallbackSampleMs);
+          if (stalls >= CAL.maxStalls) break;
+        }
 
-    const placePick = (v) => {
-      if (!v || !document.contains(v)) return hideBox(UI.pickBox);
-      const r = v.getBoundingClientRect();
-      if (r.width <= 1 || r.height <= 1) return hideBox(UI.pickBox);
-      placeBoxAbs(UI.pickBox, r.left, r.top, r.width, r.height);
-    };
+        if (S.video.paused || S.video.ended) break;
 
-    placePick(initial);
+        const curr = prepareFrame(captureFrame()).arr;
+        const d = motionAcrossZones(curr, prev, targets);
 
-    clearTimeout(S.pickAutoTimer);
-    S.pickAutoTimer = setTimeout(() => {
-      if (!S.picking || S.pickHoverSeen) return;
-      const mainV = resolveVideo();
-      S.pickTarget = mainV;
-      placePick(mainV);
-      S.status = 'подсветил главное видео — кликни (Esc — отмена)';
-      refreshUI(true);
-    }, PICKER_AUTO_HIGHLIGHT_MS);
+        if (isFiniteNum(d) && d >= 0) diffs.push(d);
+        prev = curr;
 
-    S.pickMoveH = (e) => {
-      const v = getVideoFromPoint(e.clientX, e.clientY);
-      if (v) {
-        S.pickHoverSeen = true;
-        S.pickTarget = v;
-        placePick(v);
+        if (diffs.length >= 12 && diffs.length % CAL.uiUpdateEvery === 0) {
+          const thrTmp = computeAutoThreshold(diffs);
+          applyThreshold(thrTmp, `калибровка: ${diffs.length}/${CAL.samples} • авто≈${thrTmp.toFixed(2)}`);
+        } else if (i % 12 === 0) {
+          S.status = `калибровка: ${diffs.length}/${CAL.samples}`;
+          refreshUI();
+        }
       }
-    };
 
-    S.pickClickH = (e) => {
-      e.preventDefault();
-      e.stopPropagation();
+      const clean = diffs.filter(x => isFiniteNum(x) && x >= 0);
+      result.samples = clean.length;
+      if (clean.length < CAL.minUsefulSamples) {
+        result.reason = 'мало данных';
+        S.status = `калибровка не удалась: мало данных (${clean.length})`;
+        return refreshUI(true);
+      }
 
-      const v = S.pickTarget || getVideoFromPoint(e.clientX, e.clientY);
-      if (!v) { S.status = 'не вижу видео под курсором'; return refreshUI(true); }
+      const maxD = Math.max(...clean);
+      if (maxD < 0.005) {
+        const thr = clampThr(Math.max(THR.min, 0.03));
+        applyThreshold(thr, `авто: почти статично • порог=${thr.toFixed(2)}`);
+      } else {
+        const thr = computeAutoThreshold(clean);
+        applyThreshold(thr, `авто: порог=${thr.toFixed(2)}`);
+      }
+      result.ok = true;
+      result.thr = S.thr;
+    } catch (err) {
+      result.reason = 'блокировка canvas';
+      markBlocked('ошибка автокалибровки (CORS/tainted canvas?)', err);
+      console.error('[MotionWatch] AutoCalibrate ERROR:', err);
+    } finally {
+      S.calibrating = false;
+      resetTrackingState();
+      refreshUI(true);
+      Journal.onCalibration(result);
+      Events.emit('calibration:done', eventPayload(result));
+    }
+  }
 
-      S.manualVideo = v;
-      S.video = v;
+  // =========================
+  // CHANNELS (несколько видео)
+  // =========================
+  // В режиме «несколько видео» кроме основного (S.video — его показывает панель, для него рисуются зоны,
+  // тепловая карта и пишутся клипы) отслеживаются и остальные <video> страницы. Каждое — «канал» со своими
+  // зонами, порогом и всем состоянием отслеживания (кадры, фильтры зон, тревога, фон, кадр «до тревоги»).
+  // Поля канала лежат в ch.s и на время его кадра меняются местами с полями S (Channels.run):
+  // детектор, подтверждение тревоги, события и webhook работают для канала так же, как для основного видео.
+  // Номер видео — его порядок среди <video> страницы. Зоны и порог хранятся наборами (набор 0 — прежние ключи),
+  // и набор ищется по метке видео (sourceKey), а не по номеру: смена порядка видео на сайте их не путает.
+
+  // Поля S, свои у каждого видео
+  const CHANNEL_FIELDS = [
+    'video', 'chan', 'slot', 'zones', 'thr', 'ignoreMask',
+    'prev', 'ref', 'refCounter', 'd', 'dPrev', 'dRef', 'dFiltered', 'filterReady',
+    'zoneState', 'alarmZones', 'blobs', 'lightCells', 'lightHoldUntil',
+    'alarm', 'alarmSince', 'confirmCount', 'confirmSince', 'cooldownUntil',
+    'schedOut', 'schedZonesOff', 'status', 'journalAlarm',
+  ];
+  const CHANNEL_BG_FIELDS = ['mean', 'vari', 'fg', 'frames'];
+  const CHANNEL_SNAP_FIELDS = ['preCanvas', 'preTs', 'preWall'];
+
+  const VIDEO_STATE_LABEL = {
+    on: 'на охране',
+    alarm: 'ТРЕВОГА',
+    wait: 'ожидание',
+    off: 'не отслеживается',
+    blocked: 'блокировка',
+  };
 
-      resetTrackingState();
-      clearAlarm();
+  // Ключ localStorage настройки набора slot (у набора 0 — без суффикса, как до режима)
+  const chanLSKey = (key, slot = S.slot) => (slot ? `${key}::v${slot}` : key);
 
-      stopPicking('видео выбрано');
-      restartLoop();
-    };
+  const Channels = {
+    list: [],          // каналы (все отслеживаемые видео, кроме основного)
+    vids: [],          // <video> страницы по порядку — строки карточки
+    rows: [],          // [{ video, n, row, dot, name }]
+    current: null,     // канал, чьи поля сейчас подставлены в S (null — основное видео)
+    slots: new Map(),  // видео → номер набора зон и порога (см. assignSlots)
 
-    S.pickKeyH = (e) => {
-      if (e.key === 'Escape') {
-        e.preventDefault();
-        e.stopPropagation();
-        stopPicking('выбор отменён');
-      }
-    };
+    // Новый канал: отслеживание с чистого листа, зоны и порог — из localStorage по номеру набора
+    create(video, chan, slot) {
+      const zones = parseStoredZones(getLSJSON(chanLSKey(LS_KEYS.zones, slot), []));
 
-    document.addEventListener('mousemove', S.pickMoveH, true);
-    document.addEventListener('click', S.pickClickH, true);
-    document.addEventListener('keydown', S.pickKeyH, true);
+      const box = createEl('div', {
+        position: 'fixed',
+        display: 'none',
+        zIndex: '999998',
+        pointerEvents: 'none',
+        border: `2px solid ${ACTIVE_BLUE.border}`,
+        borderRadius: '10px',
+        background: ACTIVE_BLUE.fill,
+        transform: 'translate(-99999px, -99999px)',
+      });
+      const badge = createEl('div', {
+        position: 'absolute',
+        top: '6px',
+        right: '6px',
+        padding: '2px 6px',
+        borderRadius: '999px',
+        fontSize: '11px',
+        fontWeight: '650',
+        border: '1px solid rgba(255,255,255,.14)',
+        color: 'rgba(255,255,255,.92)',
+      }, `№${chan + 1}`);
+      box.appendChild(badge);
+      document.body.appendChild(box);
 
-    refreshUI(true);
-  }
+      return {
+        s: {
+          video, chan, slot, zones,
+          thr: clampThr(getLSNum(chanLSKey(LS_KEYS.thr, slot), THR.def)),
+          ignoreMask: buildIgnoreMask(zones),
+          prev: null, ref: null, refCounter: 0,
+          d: 0, dPrev: 0, dRef: 0, dFiltered: 0, filterReady: false,
+          zoneState: new Map(), alarmZones: [], blobs: [],
+          lightCells: null, lightHoldUntil: 0,
+          alarm: false, alarmSince: 0, confirmCount: 0, confirmSince: 0, cooldownUntil: 0,
+          schedOut: false, schedZonesOff: new Set(),
+          status: 'ожидание кадров', journalAlarm: null,
+        },
+        bg: { mean: null, vari: null, fg: null, frames: 0 },
+        snap: { preCanvas: null, preTs: 0, preWall: 0 },
+        // свой canvas: видео без CORS «портит» canvas навсегда — блокировка не должна задеть остальные
+        ctx: createSampleCtx(),
+        box,
+        badge,
+        blocked: false,
+        lastTime: -1,   // currentTime последнего обработанного кадра (у canvas/img — номер интервала опроса)
+      };
+    },
 
-  // =========================
-  // DRAW ZONE (add)
-  // =========================
-  function stopZoneDraw(msg) {
-    if (!S.drawingZone) return;
-    S.drawingZone = false;
+    // Обмен полей канала и S (повторный вызов возвращает всё на место)
+    swap(ch) {
+      for (const k of CHANNEL_FIELDS) [S[k], ch.s[k]] = [ch.s[k], S[k]];
+      for (const k of CHANNEL_BG_FIELDS) [Background[k], ch.bg[k]] = [ch.bg[k], Background[k]];
+      for (const k of CHANNEL_SNAP_FIELDS) [Snapshots[k], ch.snap[k]] = [ch.snap[k], Snapshots[k]];
+    },
 
-    document.documentElement.style.cursor = '';
+    // fn выполняется так, будто основное видео — канал ch
+    run(ch, fn) {
+      if (ch === this.current) return fn();
+      const outer = this.current; // вложенный вызов (например, debug() из обработчика события канала)
+      this.swap(ch);
+      this.current = ch;
+      try {
+        return fn();
+      } finally {
+        this.current = outer;
+        this.swap(ch);
+      }
+    },
 
-    document.removeEventListener('mousedown', S.zDownH, true);
-    document.removeEventListener('mousemove', S.zMoveH, true);
-    document.removeEventListener('mouseup',   S.zUpH, true);
-    document.removeEventListener('keydown',   S.zKeyH, true);
+    each(fn) {
+      for (const ch of this.list) this.run(ch, fn);
+    },
 
-    S.zDownH = S.zMoveH = S.zUpH = S.zKeyH = null;
-    S.drawDrag = null;
+    // Сброс отслеживания и тревоги всех каналов (вкл/выкл, смена детектора, конец задержки на выход)
+    reset() {
+      this.each(() => {
+        clearAlarm();
+        resetTrackingState();
+      });
+    },
 
-    hideBox(UI.drawBox);
+    anyAlarm() {
+      return S.alarm || this.list.some(ch => ch.s.alarm);
+    },
 
-    if (msg) S.status = msg;
-    refreshUI(true);
-  }
+    // Поля отслеживания видео (S для основного, ch.s для канала) или null, если видео не отслеживается
+    stateOf(video) {
+      if (video === S.video) return S;
+      return this.list.find(ch => ch.s.video === video)?.s || null;
+    },
 
-  function startZoneDraw() {
-    if (!S.video || S.blocked || S.calibrating || S.picking || S.drawingZone) return;
-    if (S.zones.length >= ZONES_MAX) { S.status = `лимит зон (${ZONES_MAX})`; return refreshUI(true); }
+    watching(video) {
+      return !!video && !!this.stateOf(video);
+    },
 
-    S.drawingZone = true;
-    clearAlarm();
-    S.status = 'добавление зоны: потяни прямоугольник по видео (Esc — отмена)';
-    document.documentElement.style.cursor = 'crosshair';
+    // Вызывается из loop(): номер и набор настроек основного видео и список каналов под текущие источники страницы (см. Sources)
+    sync() {
+      const all = S.multi.on ? Sources.list() : [];
+      const vids = all.slice(0, MULTI.max);
+      const slots = this.assignSlots(vids);
+      const slot = S.multi.on ? (slots.get(S.video) ?? S.slot) : 0;
+      if (slot !== S.slot) this.loadPrimary(slot);
+      const i = all.indexOf(S.video);
+      S.chan = !S.multi.on ? 0 : (i >= 0 ? i : S.chan);
+
+      const next = [];
+      vids.forEach((video, n) => {
+        if (video === S.video || S.multi.off.has(n)) return;
+        const slot = slots.get(video);
+        const ch = this.list.find(c => c.s.video === video && c.s.slot === slot) || this.create(video, n, slot);
+        if (ch.s.chan !== n) {
+          ch.s.chan = n;
+          ch.badge.textContent = `№${n + 1}`;
+        }
+        next.push(ch);
+      });
 
-    hideBox(UI.activeBox);
+      const same = (a, b) => a.length === b.length && a.every((x, k) => x === b[k]);
+      const changed = !same(next, this.list) || !same(vids, this.vids);
+      for (const ch of this.list) if (!next.includes(ch)) this.drop(ch);
+      this.list = next;
+      this.vids = vids;
+      if (changed) this.render();
+    },
 
-    S.zDownH = (e) => {
-      if (e.button !== 0) return;
-      if (!isValidVideo(S.video)) return;
+    // Набор зон и порога для каждого видео. Видео держит свой набор, пока остаётся на странице; видео с меткой
+    // (sourceKey) в S.multi.src находит свой набор, где бы ни стояло. Основное видео без метки берёт набор 0 —
+    // тот же, что вне режима, поэтому включение режима его зоны и порог не меняет. Остальные — набор по номеру
+    // на странице, если он не занят (так было до меток), иначе первый свободный
+    assignSlots(vids) {
+      const src = S.multi.src;
+      const owner = new Map(Object.entries(src).map(([m, key]) => [key, Number(m)]));
+      const order = S.multi.on && S.video && !vids.includes(S.video) ? [...vids, S.video] : vids;
+      const slots = new Map();
+      const used = new Set();
+      const take = (v, m) => {
+        slots.set(v, m);
+        used.add(m);
+      };
 
-      const vr = S.video.getBoundingClientRect();
-      const inside = (e.clientX >= vr.left && e.clientX <= vr.right && e.clientY >= vr.top && e.clientY <= vr.bottom);
-      if (!inside) return;
+      for (const v of order) {
+        const m = this.slots.get(v);
+        if (m !== undefined && !used.has(m)) take(v, m);
+      }
+      for (const v of order) {
+        const m = owner.get(sourceKey(v));
+        if (!slots.has(v) && m !== undefined && !used.has(m)) take(v, m);
+      }
+      if (order.includes(S.video) && !slots.has(S.video) && !used.has(0)) take(S.video, 0);
+      order.forEach((v, n) => {
+        if (slots.has(v)) return;
+        // набор с чужой меткой достаётся видео с меткой только через claim (когда его зоны или порог поправят)
+        if (!used.has(n) && !(sourceKey(v) && src[n])) return take(v, n);
+        let m = 0;
+        while (used.has(m) || src[m]) m++;
+        take(v, m);
+      });
+      this.slots = slots;
+      return slots;
+    },
 
-      e.preventDefault();
-      e.stopPropagation();
+    // Зоны и порог набора slot сохранены для этого видео: дальше набор найдётся по его метке
+    claim(slot, video) {
+      const key = sourceKey(video);
+      if (!key || S.multi.src[slot] === key || slot >= MULTI.slots) return;
+      for (const m of Object.keys(S.multi.src)) if (S.multi.src[m] === key) delete S.multi.src[m];
+      S.multi.src[slot] = key;
+      this.save();
+    },
 
-      S.drawDrag = { startX: e.clientX, startY: e.clientY, curX: e.clientX, curY: e.clientY, vr };
-      updateDrawBox();
-    };
+    // Сменился набор основного видео (другое видео или режим): его зоны и порог — другие
+    loadPrimary(slot) {
+      if (S.drawingZone) stopZoneDraw();
+      if (S.editingZones) stopZoneEdit();
+      S.slot = slot;
+      S.zones = parseStoredZones(getLSJSON(chanLSKey(LS_KEYS.zones), []));
+      S.ignoreMask = buildIgnoreMask(S.zones);
+      S.thr = clampThr(getLSNum(chanLSKey(LS_KEYS.thr), THR.def));
+      UI.sliderThr.value = String(S.thr);
+      S.editSel = -1;
+      S.schedTarget = -1;
+      resetTrackingState();
+      clearAlarm();
+      renderZoneList();
+      renderSchedule();
+      updateZonesBoxes();
+    },
 
-    S.zMoveH = (e) => {
-      if (!S.drawDrag) return;
-      S.drawDrag.curX = e.clientX;
-      S.drawDrag.curY = e.clientY;
-      updateDrawBox();
-    };
+    drop(ch) {
+      this.run(ch, clearAlarm);
+      ch.box.remove();
+    },
 
-    S.zUpH = (e) => {
-      if (!S.drawDrag || !S.video) return;
+    // Вызывается из loop() после кадра основного видео: по кадру каждого канала
+    tick() {
+      for (const ch of this.list) {
+        const v = ch.s.video;
+        if (ch.blocked || !isValidVideo(v) || v.paused || v.ended) continue;
+        // нового кадра ещё нет (камера медленнее основной) — не сравниваем кадр сам с собой;
+        // у canvas/img времени кадра нет — берём их кадр не чаще раза в SOURCE.pollMs
+        const stamp = v instanceof HTMLVideoElement ? v.currentTime : Math.floor(performance.now() / SOURCE.pollMs);
+        if (stamp === ch.lastTime) continue;
+        ch.lastTime = stamp;
+
+        this.run(ch, () => {
+          updateSchedule();
+          if (S.schedOut) return;
+          try {
+            processFrame();
+          } catch (err) {
+            ch.blocked = true;
+            clearAlarm();
+            S.status = 'блокировка canvas (CORS/tainted?)';
+            console.error(`[MotionWatch] видео №${S.chan + 1}: canvas заблокирован:`, err);
+            Journal.onVideo('blocked', S.video);
+            Events.emit('blocked', eventPayload({ video: S.video, error: err }));
+          }
+        });
+      }
+    },
 
-      e.preventDefault();
-      e.stopPropagation();
+    // Канал становится основным (его зоны и порог — в панели), бывшее основное видео — каналом.
+    // Отслеживание обоих продолжается без сброса.
+    select(ch) {
+      if (ch.blocked) {
+        S.status = `видео №${ch.s.chan + 1} заблокировано (CORS) — основным не станет`;
+        return refreshUI(true);
+      }
+      if (S.picking) stopPicking();
+      if (S.drawingZone) stopZoneDraw();
+      if (S.editingZones) stopZoneEdit();
+
+      this.swap(ch);
+      // холст анализа и блокировка остаются за своим видео: заблокированное основное видео
+      // становится заблокированным каналом, а здоровый канал — основным
+      [ctx, ch.ctx] = [ch.ctx, ctx];
+      [S.blocked, ch.blocked] = [ch.blocked, S.blocked];
+      ch.lastTime = -1;
+      S.manualVideo = S.video;
+      S.editSel = -1;
+      S.schedTarget = -1;
+      UI.sliderThr.value = String(S.thr);
+      syncVideoBinding();
+      renderZoneList();
+      renderSchedule();
+      S.status = `основное видео: №${S.chan + 1}`;
+      this.render();
+      refreshUI(true);
+      updateBlobBoxes();
+    },
 
-      const vr = S.drawDrag.vr;
-      const xA = clamp(S.drawDrag.startX, vr.left, vr.right);
-      const yA = clamp(S.drawDrag.startY, vr.top, vr.bottom);
-      const xB = clamp(S.drawDrag.curX,   vr.left, vr.right);
-      const yB = clamp(S.drawDrag.curY,   vr.top, vr.bottom);
+    // Клик по строке: отслеживаемое видео меняется местами с основным, остальное выбирается как кликом по видео
+    pick(video) {
+      const ch = this.list.find(c => c.s.video === video);
+      if (ch) return this.select(ch);
+      if (S.picking) stopPicking();
+      if (S.drawingZone) stopZoneDraw();
+      S.manualVideo = video;
+      S.video = video;
+      resetTrackingState();
+      clearAlarm();
+      syncVideoBinding();
+      S.status = `основное видео: №${this.vids.indexOf(video) + 1}`;
+      refreshUI(true);
+      restartLoop();
+    },
 
-      const left = Math.min(xA, xB);
-      const top  = Math.min(yA, yB);
-      const wPx  = Math.abs(xB - xA);
-      const hPx  = Math.abs(yB - yA);
+    setWatched(n, on) {
+      if (on) S.multi.off.delete(n);
+      else S.multi.off.add(n);
+      this.save();
+      this.sync();
+      S.status = `видео №${n + 1}: ${on ? 'отслеживается' : 'не отслеживается'}`;
+      refreshUI(true);
+    },
 
-      if (wPx < ZONE_MIN_PX || hPx < ZONE_MIN_PX) {
-        stopZoneDraw('зона слишком маленькая');
-        return;
-      }
+    save() {
+      setLSJSON(LS_KEYS.multi, { on: S.multi.on, off: [...S.multi.off].sort((a, b) => a - b), src: S.multi.src, pick: S.multi.pick });
+    },
 
-      const zone = sanitizeZone({
-        x: (left - vr.left) / vr.width,
-        y: (top  - vr.top)  / vr.height,
-        w: wPx / vr.width,
-        h: hPx / vr.height,
+    // Состояние видео для точки в списке; st — поля S основного видео или ch.s канала
+    dotState(st, blocked) {
+      if (blocked) return 'blocked';
+      if (st.alarm) return 'alarm';
+      const v = st.video;
+      if (!S.enabled || S.armUntil || st.schedOut || !isValidVideo(v) || v.paused || v.ended) return 'wait';
+      return 'on';
+    },
+
+    // Строки карточки «Несколько видео»: точка состояния, номер (клик — сделать основным), «отслеживать»
+    render() {
+      const list = UI.multiList;
+      list.textContent = '';
+      this.rows = [];
+      list.style.display = this.vids.length ? 'flex' : 'none';
+
+      this.vids.forEach((video, n) => {
+        const main = video === S.video;
+        const row = createEl('div', {
+          display: 'flex',
+          alignItems: 'center',
+          gap: '6px',
+          padding: '3px 6px',
+          borderRadius: '8px',
+          border: '1px solid rgba(255,255,255,.10)',
+        });
+        const dot = createEl('span', {
+          width: '8px',
+          height: '8px',
+          borderRadius: '999px',
+          flex: '0 0 auto',
+        });
+        const name = createEl('div', {
+          flex: '1 1 auto',
+          minWidth: 0,
+          overflow: 'hidden',
+          textOverflow: 'ellipsis',
+          whiteSpace: 'nowrap',
+          cursor: main ? 'default' : 'pointer',
+          fontWeight: main ? '650' : '400',
+        });
+        name.title = main ? 'Основное видео: его зоны и порог — в панели' : 'Клик — сделать основным (править зоны и порог)';
+        if (!main) name.addEventListener('click', () => this.pick(video));
+
+        const cb = createEl('input', { margin: '0', accentColor: 'rgba(120,200,255,1)' });
+        cb.type = 'checkbox';
+        cb.checked = main || !S.multi.off.has(n);
+        cb.disabled = main;
+        cb.title = main ? 'Основное видео отслеживается всегда' : 'Отслеживать это видео';
+        cb.addEventListener('change', () => this.setWatched(n, cb.checked));
+
+        row.appendChild(dot);
+        row.appendChild(name);
+        row.appendChild(cb);
+        list.appendChild(row);
+        this.rows.push({ video, n, row, dot, name });
       });
+      this.paint();
+    },
 
-      S.zones.push(zone);
-      saveZones(`зона добавлена (${S.zones.length}/${ZONES_MAX})`);
-      stopZoneDraw();
-      updateZonesBoxes();
-    };
+    // Живое состояние строк и рамок (из refreshUI)
+    paint() {
+      for (const r of this.rows) {
+        const main = r.video === S.video;
+        const ch = main ? null : this.list.find(c => c.s.video === r.video);
+        const st = main ? S : ch?.s;
+        const state = !st ? 'off' : this.dotState(st, main ? S.blocked : ch.blocked);
+        const { w, h } = sourceSize(r.video);
+        const tag = r.video instanceof HTMLVideoElement ? '' : ` • <${r.video.tagName.toLowerCase()}>`;
+        const size = w ? `${tag} • ${w}x${h}` : tag;
+        r.dot.style.background = VIDEO_DOT[state];
+        r.dot.title = st?.status || '';
+        r.row.style.background = state === 'alarm' ? 'rgba(255,60,60,.25)' : 'rgba(0,0,0,.18)';
+        r.name.textContent = `№${r.n + 1}${main ? ' (основное)' : ''} • ${VIDEO_STATE_LABEL[state]}` +
+          (st && state !== 'blocked' ? ` • Δ=${st.dFiltered.toFixed(2)}` : '') + size;
+      }
+      this.place();
+    },
 
-    S.zKeyH = (e) => {
-      if (e.key === 'Escape') {
-        e.preventDefault();
-        e.stopPropagation();
-        stopZoneDraw('добавление зоны отменено');
+    // Рамки отслеживаемых видео (основное подсвечивает activeBox); в тревоге рамка краснеет
+    place() {
+      const show = !S.minimized && S.enabled && !S.picking && !S.drawingZone;
+      for (const ch of this.list) {
+        const v = ch.s.video;
+        const r = show && !ch.blocked && !ch.s.schedOut && isValidVideo(v) ? v.getBoundingClientRect() : null;
+        if (!r || r.width <= 1 || r.height <= 1) {
+          hideBox(ch.box);
+          continue;
+        }
+        const alarm = ch.s.alarm;
+        ch.box.style.borderColor = alarm ? ZONE_ALARM_STYLE.border : ACTIVE_BLUE.border;
+        ch.box.style.boxShadow = alarm ? `0 0 0 6px ${ZONE_ALARM_STYLE.glow}` : `0 0 0 5px ${ACTIVE_BLUE.glow1}, 0 0 18px ${ACTIVE_BLUE.glow2}`;
+        ch.badge.style.background = alarm ? ZONE_ALARM_STYLE.badge : 'rgba(0,0,0,.35)';
+        placeBoxAbs(ch.box, r.left, r.top, r.width, r.height);
       }
-    };
+    },
 
-    document.addEventListener('mousedown', S.zDownH, true);
-    document.addEventListener('mousemove', S.zMoveH, true);
-    document.addEventListener('mouseup',   S.zUpH, true);
-    document.addEventListener('keydown',   S.zKeyH, true);
+    destroy() {
+      for (const ch of this.list) this.drop(ch);
+      this.list = [];
+      this.vids = [];
+      this.rows = [];
+      this.slots = new Map();
+    },
+  };
 
+  function applyMulti(val, statusMsg) {
+    S.multi.on = !!val;
+    Channels.save();
+    Channels.sync();
+    Channels.render();
+    if (statusMsg) S.status = statusMsg;
     refreshUI(true);
   }
 
   // =========================
-  // AUTO CAL
+  // MAIN LOOP
   // =========================
-  async function autoCalibrate() {
-    if (!S.video || S.blocked || S.calibrating) {
-      S.status = !S.video ? 'нет видео' : (S.blocked ? 'canvas заблокирован' : 'уже калибруется');
-      return refreshUI(true);
-    }
-    if (S.video.paused || S.video.ended || S.video.readyState < 2) {
-      S.status = 'запусти видео (▶)';
-      return refreshUI(true);
+  // Один кадр детекции для S.video: разница по зонам, фильтр, гистерезис, подтверждение тревоги.
+  // Зовётся для основного видео и (через Channels.run) для остальных — тогда в S подставлены поля того видео,
+  // а рамки пятен, график, тепловая карта и запись клипов не трогаются: они только у основного.
+  function processFrame() {
+    const main = !Channels.current;
+    const targets = zoneTargets();
+    const curr = captureFrame();
+
+    // Компенсация освещения: кадр нормирован по яркости/контрасту, резкая равномерная смена света отмечается
+    const { arr: currArr, stats: light } = prepareFrame(curr);
+    const lightChange = !!light && isUniformLightChange(light.cells, S.lightCells);
+    S.lightCells = light ? light.cells : null;
+
+    // Адаптивный фон учится на каждом кадре; до конца обучения его маске не верим
+    if (lightChange) Background.reset();
+    const fg = S.bgModel === 'gauss' ? Background.update(currArr) : null;
+    const fgReady = !fg || Background.ready();
+
+    if (!S.prev) {
+      S.prev = currArr;
+      S.ref  = new Uint8ClampedArray(currArr);
+      S.refCounter = 0;
+      refreshUI(true);
+      return;
     }
 
-    const videoAtStart = S.video;
-    const boundsList = zonesToSampleBounds(S.zones);
-
-    S.calibrating = true;
-    clearAlarm();
-    S.status = `калибровка: 0/${CAL.samples}`;
-    refreshUI(true);
-
-    try {
-      const diffs = [];
-      let prev = new Uint8ClampedArray(captureFrame());
-      let stalls = 0;
+    // Каждая зона оценивается отдельно: своя разница, свой фильтр, свой порог и своя тревога.
+    // В S.d/S.dPrev/S.dRef/S.dFiltered кладём максимум по зонам (для панели и событий).
+    let maxD = 0, maxPrev = 0, maxRef = 0, maxFiltered = 0;
+    let ready = false;
+    const blobs = [];
+
+    for (const t of targets) {
+      const st = zoneStateFor(t.key);
+
+      // Мгновенная разница: с прошлым кадром и с опорным.
+      // В режиме «объекты» разница зоны — площадь самого большого пятна (% зоны).
+      // С моделью фона (gauss) — доля пикселей переднего плана в зоне, %.
+      let dPrev, dRef;
+      if (!fgReady) {
+        dPrev = dRef = 0;
+      } else if (S.detector === 'blob') {
+        const res = detectBlobs(currArr, S.prev, S.ref, t.bounds, t.mask, S.blobPixThr, fg);
+        dPrev = dRef = res.area;
+        for (const b of res.blobs) blobs.push({ ...b, key: t.key, hit: b.area >= t.thrHigh });
+      } else if (fg) {
+        dPrev = dRef = foregroundPctROI(fg, t.bounds, t.mask);
+      } else {
+        dPrev = avgDiffPerChannelROI(currArr, S.prev, t.bounds, t.mask);
+        dRef  = S.ref ? avgDiffPerChannelROI(currArr, S.ref, t.bounds, t.mask) : dPrev;
+      }
+      st.d = Math.max(dPrev, dRef);
+
+      // Временная фильтрация для подавления шума (у каждой зоны свой буфер)
+      st.dFiltered = filterMotionDiff(st.buffer, st.d);
+      if (st.buffer.length >= 3) ready = true;
+
+      // Логика с гистерезисом:
+      // - Если тревога зоны выключена: используем верхний порог для включения
+      // - Если тревога зоны включена: используем нижний порог для выключения
+      // Это предотвращает дребезг при значениях около порога
+      if (!st.alarm) {
+        if (st.dFiltered > t.thrHigh) st.alarm = true;
+      } else {
+        if (st.dFiltered < t.thrLow) st.alarm = false;
+      }
 
-      for (let i = 0; i < CAL.samples; i++) {
-        if (S.video !== videoAtStart) break;
+      maxD = Math.max(maxD, st.d);
+      maxPrev = Math.max(maxPrev, dPrev);
+      maxRef = Math.max(maxRef, dRef);
+      maxFiltered = Math.max(maxFiltered, st.dFiltered);
+    }
 
-        const ok = await nextFrame(CAL.frameWaitMs);
-        if (!ok) {
-          stalls++;
-          await sleep(CAL.fallbackSampleMs);
-          if (stalls >= CAL.maxStalls) break;
-        }
+    S.d = maxD;
+    S.dPrev = maxPrev;
+    S.dRef = maxRef;
+    S.dFiltered = maxFiltered;
+    S.filterReady = ready;
+    S.blobs = blobs.sort((a, b) => b.area - a.area).slice(0, BLOB.maxBoxes);
+    if (main) {
+      updateBlobBoxes();
+      Recorder.tick();
+      Chart.push();
+    }
 
-        if (S.video.paused || S.video.ended) break;
+    // Общая тревога = хотя бы одна зона в тревоге
+    let alarmKeys = targets.filter(t => zoneStateFor(t.key).alarm).map(t => t.key);
 
-        const curr = new Uint8ClampedArray(captureFrame());
-        const d = motionAcrossZones(curr, prev, boundsList);
+    // Смена освещения: опорный кадр — заново, новую тревогу не поднимаем, буферы зон — с чистого листа
+    if (lightChange) {
+      S.lightHoldUntil = performance.now() + LIGHT.holdMs;
+      S.ref = currArr;
+      S.refCounter = 0;
+    }
+    if (S.lightComp && !S.alarm && alarmKeys.length && performance.now() < S.lightHoldUntil) {
+      for (const t of targets) {
+        const st = zoneStateFor(t.key);
+        st.buffer.length = 0;
+        st.alarm = false;
+      }
+      alarmKeys = [];
+      S.status = 'смена освещения — подавлено';
+    }
 
-        if (isFiniteNum(d) && d >= 0) diffs.push(d);
-        prev = curr;
+    if (S.alarm) Journal.tick();
 
-        if (diffs.length >= 12 && diffs.length % CAL.uiUpdateEvery === 0) {
-          const thrTmp = computeAutoThreshold(diffs);
-          applyThreshold(thrTmp, `калибровка: ${diffs.length}/${CAL.samples} • авто≈${thrTmp.toFixed(2)}`);
-        } else if (i % 12 === 0) {
-          S.status = `калибровка: ${diffs.length}/${CAL.samples}`;
-          refreshUI();
-        }
-      }
+    // Общая тревога поднимается после подтверждения, гаснет не раньше минимальной длительности
+    const now = performance.now();
+    if (S.alarm && !alarmKeys.length) {
+      // clearAlarm сам обнулит список зон (после того как сообщит, какие были в тревоге)
+      if (now - S.alarmSince >= S.arm.holdSec * 1000) clearAlarm();
+    } else if (S.alarm) {
+      setAlarmZones(alarmKeys);
+    } else if (confirmAlarm(alarmKeys.length > 0, now)) {
+      setAlarmZones(alarmKeys);
+      showAlarm();
+    }
 
-      const clean = diffs.filter(x => isFiniteNum(x) && x >= 0);
-      if (clean.length < CAL.minUsefulSamples) {
-        S.status = `калибровка не удалась: мало данных (${clean.length})`;
-        return refreshUI(true);
-      }
+    if (main) Heatmap.feed(currArr, S.prev);
+    S.prev = currArr;
+    Snapshots.tick();
 
-      const maxD = Math.max(...clean);
-      if (maxD < 0.005) {
-        const thr = clampThr(Math.max(THR.min, 0.03));
-        applyThreshold(thr, `авто: почти статично • порог=${thr.toFixed(2)}`);
-      } else {
-        const thr = computeAutoThreshold(clean);
-        applyThreshold(thr, `авто: порог=${thr.toFixed(2)}`);
+    // пока тревога подтверждается, опорный кадр не обновляем — иначе движение «впитается» в него
+    if (!S.alarm && !S.confirmCount) {
+      S.refCounter++;
+      if (S.refCounter >= REF_UPDATE_EVERY) {
+        S.ref = currArr;
+        S.refCounter = 0;
       }
-    } catch (err) {
-      S.blocked = true;
-      S.enabled = false;
-      clearAlarm();
-      S.status = 'ошибка автокалибровки (CORS/tainted canvas?)';
-      console.error('[MotionWatch] AutoCalibrate ERROR:', err);
-    } finally {
-      S.calibrating = false;
-      resetTrackingState();
-      refreshUI(true);
     }
+
+    refreshUI();
   }
 
-  // =========================
-  // MAIN LOOP
-  // =========================
   async function loop() {
     S.stop = false;
 
     while (!S.stop) {
+      Recorder.sync();
+      Capture.sync();
+
       if (!isValidVideo(S.video)) {
         S.video = resolveVideo();
         resetTrackingState();
         S.status = isValidVideo(S.video) ? 'видео найдено' : 'ожидание <video>…';
+        syncVideoBinding();
         refreshUI(true);
         updateZonesBoxes();
       }
+      Channels.sync();
 
-      if (!isValidVideo(S.video)) { await sleep(200); continue; }
-
-      const pausedByUX = S.picking || S.drawingZone;
-      if (!S.enabled || S.blocked || S.calibrating || pausedByUX) { await sleep(90); continue; }
-
-      if (S.video.paused || S.video.ended || S.video.readyState < 2) { await sleep(140); continue; }
-
-      const ok = await nextFrame(800);
-      if (!ok) { refreshUI(); continue; }
-
-      const boundsList = zonesToSampleBounds(S.zones);
-
-      try {
-        const curr = captureFrame();
-
-        if (!S.prev) {
-          S.prev = new Uint8ClampedArray(curr);
-          S.ref  = new Uint8ClampedArray(curr);
-          S.refCounter = 0;
-          refreshUI(true);
-          continue;
-        }
-
-        const currArr = new Uint8ClampedArray(curr);
-
-        // Вычисляем мгновенную разницу (как раньше)
-        S.dPrev = motionAcrossZones(currArr, S.prev, boundsList);
-        S.dRef  = S.ref ? motionAcrossZones(currArr, S.ref, boundsList) : S.dPrev;
-        S.d     = Math.max(S.dPrev, S.dRef);
+      if (!isValidVideo(S.video) && !Channels.list.length) { await sleep(200); continue; }
 
-        // Применяем временную фильтрацию для подавления шума
-        S.dFiltered = filterMotionDiff(S.d);
+      updateSchedule();
 
-        // Получаем пороги с гистерезисом
-        const { thrHigh, thrLow } = getThresholds();
+      // пока зоны рисуют или правят, их геометрия и маска игнора меняются на лету — кадры не сравниваем
+      const pausedByUX = S.picking || S.drawingZone || S.editingZones;
+      if (!S.enabled || S.calibrating || pausedByUX) { await sleep(90); continue; }
 
-        // Логика с гистерезисом: 
-        // - Если тревога выключена: используем верхний порог для включения
-        // - Если тревога включена: используем нижний порог для выключения
-        // Это предотвращает дребезг при значениях около порога
-        if (!S.alarm) {
-          // Тревога выключена - проверяем верхний порог
-          if (S.dFiltered > thrHigh) {
-            showAlarm();
-          }
-        } else {
-          // Тревога включена - проверяем нижний порог (более низкий)
-          if (S.dFiltered < thrLow) {
-            clearAlarm();
-          }
-        }
+      // Задержка на выход: кадры не сравниваем, по её окончании отслеживание начинается с чистого листа
+      if (S.armUntil) {
+        if (performance.now() < S.armUntil) { refreshUI(); await sleep(90); continue; }
+        S.armUntil = 0;
+        resetTrackingState();
+        Channels.reset();
+        S.status = 'на охране';
+        refreshUI(true);
+      }
 
-        S.prev = currArr;
+      // Основное видео заблокировано, вне расписания или стоит — остальные видео всё равно смотрим
+      const live = !S.blocked && !S.schedOut && isValidVideo(S.video) && !S.video.paused && !S.video.ended;
+      if (!live) {
+        Channels.tick();
+        refreshUI();
+        await sleep(Channels.list.length ? MULTI.idleMs : (S.schedOut ? 90 : 140));
+        continue;
+      }
 
-        if (!S.alarm) {
-          S.refCounter++;
-          if (S.refCounter >= REF_UPDATE_EVERY) {
-            S.ref = currArr;
-            S.refCounter = 0;
-          }
-        }
+      const ok = await nextFrame(800);
+      // пока ждали кадр, источник мог пропасть (закрытый ImageBitmap не рисуется — это не блокировка CORS)
+      if (!ok || !isValidVideo(S.video)) { Channels.tick(); refreshUI(); continue; }
 
-        refreshUI();
+      try {
+        processFrame();
       } catch (err) {
-        S.blocked = true;
-        S.enabled = false;
-        clearAlarm();
-        S.status = 'ошибка: блокировка canvas (CORS/tainted?)';
+        markBlocked('ошибка: блокировка canvas (CORS/tainted?)', err);
         console.error('[MotionWatch] Canvas blocked:', err);
         refreshUI(true);
       }
+
+      Channels.tick();
     }
   }
 
@@ -2007,19 +8027,22 @@
   function bindOrWait() {
     S.video = resolveVideo();
     S.status = S.video ? 'видео найдено' : 'ожидание <video>…';
+    syncVideoBinding();
     refreshUI(true);
     restartLoop();
 
     if (S.mo) S.mo.disconnect();
-    S.mo = new MutationObserver(() => {
-      if (S.manualVideo && document.contains(S.manualVideo)) return;
-      if (S.video && document.contains(S.video)) return;
+    S.mo = new MutationObserver((records) => {
+      if (Sources.touched(records)) Sources.reset();
+      if (S.manualVideo && sourceAttached(S.manualVideo)) return;
+      if (S.video && sourceAttached(S.video)) return;
 
       const v = resolveVideo();
       if (v) {
         S.video = v;
         resetTrackingState();
         S.status = 'видео найдено';
+        syncVideoBinding();
         refreshUI(true);
         updateZonesBoxes();
       }
@@ -2028,8 +8051,13 @@
   }
 
   S.onViewportChange = () => {
+    Sources.reset();
     refreshUI(true);
     updateZonesBoxes();
+    updateBlobBoxes();
+    Heatmap.place();
+    Channels.place();
+    Capture.place();
     updateDrawBox();
     if (S.pos) applyPos(S.pos.x, S.pos.y, false);
   };
@@ -2057,12 +8085,37 @@
     if (!Audio.unlocked) await Audio.unlock();
     refreshUI(true);
   });
+  UI.btnModeNotify.addEventListener('click', async () => {
+    applyAlarmMode('notify', 'реакция: уведомление');
+    const perm = await Notifier.ensurePermission();
+    if (perm !== 'granted') S.status = `уведомления ${NOTIFY_PERM_LABEL[perm]}`;
+    refreshUI(true);
+  });
+  UI.btnModeAll.addEventListener('click', async () => {
+    applyAlarmMode('all', 'реакция: визуал+звук+уведомление');
+    const perm = await Notifier.ensurePermission();
+    if (perm !== 'granted') S.status = `уведомления ${NOTIFY_PERM_LABEL[perm]}`;
+    if (!Audio.unlocked) await Audio.unlock();
+    refreshUI(true);
+  });
+  UI.btnNotifyTest.addEventListener('click', async () => {
+    const perm = await Notifier.ensurePermission();
+    if (perm === 'granted') {
+      const frame = isValidVideo(S.video) ? Snapshots.drawFull(S.video) : null;
+      Notifier.show('MotionWatch: проверка', `${new Date().toLocaleString()} • ${location.hostname}`, Notifier.thumb(frame));
+      S.status = 'пробное уведомление отправлено';
+    } else {
+      S.status = `уведомления ${NOTIFY_PERM_LABEL[perm]}`;
+    }
+    refreshUI(true);
+  });
 
   UI.btnPickAuto.addEventListener('click', () => {
     if (TARGET_SELECTOR !== 'auto' || S.calibrating || S.manualVideo) return;
     S.video = pickVideoAuto();
     resetTrackingState();
     clearAlarm();
+    syncVideoBinding();
     S.status = S.video ? 'видео перевыбрано' : 'видео не найдено';
     refreshUI(true);
     restartLoop();
@@ -2070,6 +8123,25 @@
 
   UI.btnPipette.addEventListener('click', startPicking);
 
+  UI.btnProfSave.addEventListener('click', () => Profiles.store(UI.profName.value));
+  UI.profName.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') Profiles.store(UI.profName.value);
+  });
+  UI.btnProfFile.addEventListener('click', () => Profiles.download());
+  UI.btnProfCopy.addEventListener('click', () => Profiles.copy());
+  UI.btnProfOpen.addEventListener('click', () => UI.profFile.click());
+  UI.profFile.addEventListener('change', () => {
+    const file = UI.profFile.files?.[0];
+    UI.profFile.value = ''; // тот же файл можно выбрать ещё раз
+    Profiles.importFile(file);
+  });
+  UI.btnProfPaste.addEventListener('click', () => Profiles.import(UI.profText.value));
+
+  UI.btnCapture.addEventListener('click', () => {
+    if (Capture.stream) Capture.stop('захват вкладки остановлен');
+    else Capture.start(S.video);
+  });
+
   UI.btnBackAuto.addEventListener('click', () => {
     if (S.picking) stopPicking();
     if (S.drawingZone) stopZoneDraw();
@@ -2078,12 +8150,49 @@
     S.video = resolveVideo();
     resetTrackingState();
     clearAlarm();
+    syncVideoBinding();
     S.status = 'возврат к авто-выбору';
     refreshUI(true);
     restartLoop();
   });
 
-  UI.btnZoneAdd.addEventListener('click', startZoneDraw);
+  UI.btnShapeRect.addEventListener('click',  () => applyDrawShape('rect', 'новые зоны: прямоугольник'));
+  UI.btnShapePoly.addEventListener('click',  () => applyDrawShape('poly', 'новые зоны: многоугольник'));
+  UI.btnShapeBrush.addEventListener('click', () => applyDrawShape('mask', 'новые зоны: кисть'));
+
+  UI.btnZoneAdd.addEventListener('click', () => startZoneDraw('include'));
+  UI.btnZoneIgnore.addEventListener('click', () => startZoneDraw('ignore'));
+
+  UI.btnZoneEdit.addEventListener('click', () => {
+    if (S.editingZones) stopZoneEdit('редактирование зон завершено');
+    else startZoneEdit();
+  });
+
+  // Меню зоны: название применяется по Enter/потере фокуса
+  UI.zoneMenuName.addEventListener('change', () => {
+    const i = S.editSel;
+    if (!S.zones[i]) return;
+    updateZone(i, { name: UI.zoneMenuName.value }, 'название зоны изменено');
+    UI.zoneMenuTitle.textContent = zoneName(S.zones[i], i);
+    updateZonesBoxes();
+  });
+  UI.zoneMenuName.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      UI.zoneMenuName.blur();
+      hideZoneMenu();
+    } else if (e.key === 'Escape') {
+      hideZoneMenu();
+    }
+  });
+  UI.btnZoneMenuToggle.addEventListener('click', () => {
+    const i = S.editSel;
+    const z = S.zones[i];
+    if (!z) return;
+    updateZone(i, { enabled: !z.enabled }, `${zoneName(z, i)}: ${z.enabled ? 'выключена' : 'включена'}`);
+    hideZoneMenu();
+    updateZonesBoxes();
+  });
+  UI.btnZoneMenuDelete.addEventListener('click', () => deleteZone(S.editSel));
 
   UI.btnZoneUndo.addEventListener('click', () => {
     if (!S.zones.length) return;
@@ -2098,6 +8207,138 @@
     updateZonesBoxes();
   });
 
+  UI.btnSnapExtra.addEventListener('click', () => applySnapExtra(!S.snapExtra, S.snapExtra ? 'кадры до/после: выкл' : 'кадры до/после: вкл'));
+  UI.btnSnapClear.addEventListener('click', () => {
+    Snapshots.clear();
+    S.status = 'история тревог очищена';
+    refreshUI(true);
+  });
+
+  UI.btnRec.addEventListener('click', () => applyRecEnabled(!S.recEnabled, S.recEnabled ? 'запись клипов: выкл' : 'запись клипов: вкл'));
+  UI.btnRecClear.addEventListener('click', () => {
+    Recorder.clear();
+    S.status = 'клипы очищены';
+    refreshUI(true);
+  });
+  UI.sliderRecPre.addEventListener('input', () => applyRecPre(UI.sliderRecPre.value, `клип: ${clampRecPre(UI.sliderRecPre.value)} с до тревоги`));
+  UI.sliderRecPost.addEventListener('input', () => applyRecPost(UI.sliderRecPost.value, `клип: ${clampRecPost(UI.sliderRecPost.value)} с после тревоги`));
+
+  UI.btnArchive.addEventListener('click', () => applyArchive({ on: !S.archive.on }, S.archive.on ? 'архив тревог: выкл' : 'архив тревог: вкл'));
+  UI.btnArchiveClear.addEventListener('click', () => {
+    Archive.clear();
+    S.status = 'архив тревог очищен';
+    refreshUI(true);
+  });
+  for (const [key, b] of Object.entries(UI.archFilterBtns)) b.addEventListener('click', () => applyArchiveFilter(key));
+  UI.btnArchPrev.addEventListener('click', () => Archive.step(-1));
+  UI.btnArchNext.addEventListener('click', () => Archive.step(1));
+  UI.btnArchDl.addEventListener('click', () => Archive.download(Archive.view));
+  UI.btnArchDel.addEventListener('click', () => {
+    Archive.remove(Archive.view);
+    S.status = 'файл удалён из архива';
+    refreshUI(true);
+  });
+  UI.btnArchClose.addEventListener('click', () => {
+    Archive.open(null);
+    Archive.render();
+  });
+  UI.sliderArchMB.addEventListener('input', () => applyArchive({ maxMB: UI.sliderArchMB.value }, `архив: не больше ${clampArchive('maxMB', UI.sliderArchMB.value)} МБ`));
+  UI.sliderArchDays.addEventListener('input', () => applyArchive({ maxDays: UI.sliderArchDays.value }, `архив: хранить ${clampArchive('maxDays', UI.sliderArchDays.value)} дн.`));
+
+  for (const [key, b] of Object.entries(UI.journalFilterBtns)) b.addEventListener('click', () => applyJournalFilter(key));
+  UI.btnJournalCsv.addEventListener('click', () => Journal.exportCsv());
+  UI.btnJournalJson.addEventListener('click', () => Journal.exportJson());
+  UI.btnJournalClear.addEventListener('click', () => {
+    Journal.clear();
+    S.status = 'журнал событий очищен';
+    refreshUI(true);
+  });
+  UI.sliderJournalDays.addEventListener('input', () => applyJournalDays(UI.sliderJournalDays.value, `журнал: хранить ${clampJournalDays(UI.sliderJournalDays.value)} дн.`));
+
+  UI.chartBtns.forEach((b, i) => {
+    const sec = CHART.sec.list[i];
+    b.addEventListener('click', () => applyChartSec(sec, `график: ${sec} с`));
+  });
+  UI.chartCanvas.addEventListener('mousemove', (e) => {
+    Chart.hoverY = e.clientY - UI.chartCanvas.getBoundingClientRect().top;
+    Chart.draw();
+  });
+  UI.chartCanvas.addEventListener('mouseleave', () => {
+    Chart.hoverY = null;
+    Chart.draw();
+  });
+  UI.chartCanvas.addEventListener('click', (e) => {
+    const v = Chart.valueAt(e.clientY - UI.chartCanvas.getBoundingClientRect().top);
+    if (S.detector === 'blob') applyBlobArea(v, `мин. площадь с графика=${clampBlobArea(v).toFixed(1)}%`);
+    else if (usesFgThr()) applyBgFg(v, `передний план с графика=${clampBgFg(v).toFixed(1)}%`);
+    else applyThreshold(v, `порог с графика=${clampThr(v).toFixed(2)}`);
+  });
+
+  UI.btnLight.addEventListener('click', () => applyLightComp(!S.lightComp, S.lightComp ? 'компенсация освещения: выкл' : 'компенсация освещения: вкл'));
+  UI.btnBgRef.addEventListener('click',   () => applyBgModel('ref',   'фон: опорный кадр'));
+  UI.btnBgGauss.addEventListener('click', () => applyBgModel('gauss', 'фон: адаптивный'));
+  UI.sliderBgRate.addEventListener('input', () => applyBgRate(UI.sliderBgRate.value, `скорость обучения фона=${clampBgRate(UI.sliderBgRate.value).toFixed(3)}`));
+  UI.sliderBgFg.addEventListener('input', () => applyBgFg(UI.sliderBgFg.value, `порог переднего плана=${clampBgFg(UI.sliderBgFg.value).toFixed(1)}%`));
+  UI.btnDetAvg.addEventListener('click',  () => applyDetector('avg',  'детектор: средняя разница'));
+  UI.btnDetBlob.addEventListener('click', () => applyDetector('blob', 'детектор: объекты'));
+  UI.sliderBlobPix.addEventListener('input',  () => applyBlobPix(UI.sliderBlobPix.value, `порог блока=${clampBlobPix(UI.sliderBlobPix.value)}`));
+  UI.sliderBlobArea.addEventListener('input', () => applyBlobArea(UI.sliderBlobArea.value, `мин. площадь=${clampBlobArea(UI.sliderBlobArea.value).toFixed(1)}%`));
+
+  UI.btnAutoStart.addEventListener('click', () => applyAutoStart(!S.autoStart, S.autoStart ? 'автозапуск: выкл' : 'автозапуск: вкл (охрана восстановится после перезагрузки)'));
+  for (const [key, cfg] of Object.entries(ARM)) {
+    const slider = UI.armSliders[key];
+    slider.addEventListener('input', () => applyArm(key, slider.value, `${cfg.label.toLowerCase()}=${clampArm(key, slider.value)} ${cfg.unit}`));
+  }
+  for (const [key, cfg] of Object.entries(ENGINE)) {
+    const slider = UI.engSliders[key];
+    slider.addEventListener('input', () => applyEngine({ [key]: slider.value }, `${cfg.label.toLowerCase()}=${clampEngine(key, slider.value)} ${cfg.unit}`));
+  }
+  UI.btnEngMedian.addEventListener('click', () => applyEngine({ useMedian: true },  'фильтр шума: медиана'));
+  UI.btnEngMean.addEventListener('click',   () => applyEngine({ useMedian: false }, 'фильтр шума: среднее'));
+  UI.btnEngReset.addEventListener('click',  () => applyEngine(sanitizeEngine(null), 'параметры движка: по умолчанию'));
+  UI.btnMulti.addEventListener('click', () => applyMulti(!S.multi.on, S.multi.on ? 'несколько видео: выкл' : 'несколько видео: вкл'));
+  UI.btnBridge.addEventListener('click', () => applyBridge(!S.bridgeOn, S.bridgeOn ? 'связь с вкладками: выкл' : 'связь с вкладками: вкл'));
+  UI.bridgeOrigins.addEventListener('change', () => applyBridgeOrigins(UI.bridgeOrigins.value, 'пульт: список сайтов сохранён'));
+  UI.btnHook.addEventListener('click', () => applyHook({ on: !S.hook.on }, S.hook.on ? 'webhook: выкл' : 'webhook: вкл'));
+  UI.hookUrl.addEventListener('change', () => applyHook({ url: UI.hookUrl.value }, 'webhook: адрес сохранён'));
+  UI.hookHeaders.addEventListener('change', () => applyHook({ headers: UI.hookHeaders.value }, 'webhook: заголовки сохранены'));
+  UI.hookTemplate.addEventListener('change', () => applyHook({ template: UI.hookTemplate.value }, 'webhook: шаблон сохранён'));
+  WEBHOOK.methods.forEach((m, i) => UI.hookMethodBtns[i].addEventListener('click', () => applyHook({ method: m }, `webhook: метод ${m}`)));
+  UI.btnHookSnap.addEventListener('click', () => applyHook({ snapshot: !S.hook.snapshot }, S.hook.snapshot ? 'webhook: без кадра' : 'webhook: с кадром'));
+  UI.btnHookTest.addEventListener('click', () => {
+    if (!S.hook.url) {
+      S.status = 'webhook: сначала укажи адрес';
+      refreshUI(true);
+      return;
+    }
+    Webhook.test();
+    S.status = 'webhook: тест в очереди';
+    refreshUI(true);
+  });
+  UI.btnHookClearLog.addEventListener('click', () => Webhook.clearLog());
+  UI.btnSched.addEventListener('click', () => applyScheduleOn(!S.schedOn, S.schedOn ? 'расписание: выкл' : 'расписание: вкл'));
+  UI.schedTarget.addEventListener('change', () => {
+    S.schedTarget = Number(UI.schedTarget.value);
+    renderSchedule();
+  });
+  UI.btnSchedInherit.addEventListener('click', () => {
+    const i = S.schedTarget;
+    if (!S.zones[i]) return;
+    updateZone(i, { schedule: null }, `${zoneName(S.zones[i], i)}: расписание как общее`);
+    updateSchedule();
+  });
+  UI.schedInputs.forEach((input, d) => input.addEventListener('change', () => applyScheduleDay(d, input.value)));
+  UI.btnHeatOff.addEventListener('click',  () => applyHeatMode('off',  'тепловая карта: выкл'));
+  UI.btnHeatLive.addEventListener('click', () => applyHeatMode('live', 'тепловая карта: сейчас'));
+  UI.btnHeatAcc.addEventListener('click',  () => applyHeatMode('acc',  `тепловая карта: за ${S.heatMinutes} мин`));
+  UI.sliderHeatMin.addEventListener('input', () => applyHeatMinutes(UI.sliderHeatMin.value, `тепловая карта: окно ${clampHeatMin(UI.sliderHeatMin.value)} мин`));
+  UI.btnHeatReset.addEventListener('click', () => {
+    Heatmap.reset();
+    Heatmap.render();
+    S.status = 'тепловая карта сброшена';
+    refreshUI(true);
+  });
+
   UI.btnMin.addEventListener('click', () => applyMinimized(true));
   UI.mini.addEventListener('click', () => {
     if (S.dragMoved) return;
@@ -2125,6 +8366,32 @@
   // =========================
   // KEYBOARD (hotkeys)
   // =========================
+  // Вкл/выкл детектора (горячая клавиша или команда из другой вкладки)
+  function setEnabled(on, statusMsg) {
+    S.enabled = !!on;
+    localStorage.setItem(LS_KEYS.armed, S.enabled ? '1' : '0');
+    Journal.onPower(S.enabled, statusMsg);
+    clearAlarm();
+    resetTrackingState();
+    Channels.reset();
+    startArming();
+    S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  // Ручной сброс тревоги: текущий кадр становится опорным (у всех отслеживаемых видео)
+  function resetAlarm(statusMsg) {
+    const rebase = () => {
+      clearAlarm();
+      if (S.prev) S.ref = new Uint8ClampedArray(S.prev);
+      S.refCounter = 0;
+    };
+    rebase();
+    Channels.each(rebase);
+    S.status = statusMsg;
+    refreshUI(true);
+  }
+
   S.keyH = (e) => {
     const code = e.code;
     if (!TOGGLE_CODES.has(code) && !CLEAR_CODES.has(code)) return;
@@ -2134,21 +8401,8 @@
     e.preventDefault();
     e.stopPropagation();
 
-    if (TOGGLE_CODES.has(code)) {
-      S.enabled = !S.enabled;
-      clearAlarm();
-      resetTrackingState();
-      S.status = S.enabled ? 'включено' : 'выключено';
-      refreshUI(true);
-    }
-
-    if (CLEAR_CODES.has(code)) {
-      clearAlarm();
-      if (S.prev) S.ref = new Uint8ClampedArray(S.prev);
-      S.refCounter = 0;
-      S.status = 'тревога сброшена';
-      refreshUI(true);
-    }
+    if (TOGGLE_CODES.has(code)) setEnabled(!S.enabled, S.enabled ? 'выключено' : 'включено');
+    if (CLEAR_CODES.has(code)) resetAlarm('тревога сброшена');
   };
   document.addEventListener('keydown', S.keyH, true);
 
@@ -2174,16 +8428,339 @@
     UI.header.addEventListener('dblclick', S.headerDblH, { passive: true });
   }
 
+  // =========================
+  // BRIDGE (связь между вкладками)
+  // =========================
+  // Экземпляры MotionWatch в разных вкладках одного сайта общаются через BroadcastChannel(BRIDGE.channel):
+  // объявляют себя (hello/bye), раз в BRIDGE.statusMs шлют состояние (поля debug()), пересылают события
+  // и принимают команды. Окно, открывшее вкладку (opener) или встроившее её (parent), может делать то же через postMessage —
+  // если это свой сайт или сайт из списка S.bridgeOrigins: иначе любая чужая страница могла бы выключить охрану и читать события.
+  // Сообщение: { mw: BRIDGE.proto, kind, from, ts, … }; id экземпляра — `${NS}#${tabId}`.
+  //   hello { info } • status { status } • event { event } • bye — от детектора;
+  //   discover — «отзовитесь все»; cmd { to, cmd, value, reqId } → ack { to, reqId, ok, error }.
+  //   to — id экземпляра, NS (все вкладки этой страницы/селектора) или '*'.
+
+  // Значение для structured clone / JSON: элементы и ошибки — коротким описанием
+  const bridgeSafe = (obj) => JSON.parse(JSON.stringify(obj, (k, v) => {
+    if (v === BitmapFeed) return { tag: 'bitmap', ...sourceSize(v) };
+    if (v instanceof HTMLVideoElement || v instanceof HTMLCanvasElement || v instanceof HTMLImageElement) {
+      return { tag: v.tagName.toLowerCase(), src: v.currentSrc || v.src || '', ...sourceSize(v) };
+    }
+    if (v instanceof Element) return { tag: v.tagName.toLowerCase() };
+    if (v instanceof Error) return String(v);
+    return v;
+  }) ?? 'null');
+
+  // Команды моста: имя → обработчик(value); исключение уходит в ack как error
+  const BRIDGE_COMMANDS = {
+    enable: () => setEnabled(true, 'включено (другая вкладка)'),
+    disable: () => setEnabled(false, 'выключено (другая вкладка)'),
+    clear: () => resetAlarm('тревога сброшена (другая вкладка)'),
+    threshold: (v) => {
+      if (!isFiniteNum(Number(v))) throw new Error('порог должен быть числом');
+      applyThreshold(v, `порог=${clampThr(v).toFixed(2)} (другая вкладка)`);
+    },
+    calibrate: () => {
+      if (S.calibrating) throw new Error('уже калибруется');
+      autoCalibrate(); // итог придёт событием calibration:done
+    },
+    status: () => {}, // ответ — ack и свежее состояние
+  };
+
+  const Bridge = {
+    id: `${NS}#${Math.random().toString(36).slice(2, 10)}`,
+    ch: null,          // BroadcastChannel
+    windows: new Map(),// окно (opener/parent) → его origin (из разрешённых), которому отвечаем через postMessage
+    peers: new Map(),  // id → { id, info, status, seen } — другие экземпляры (для карточки)
+    timer: null,
+    offEvents: null,
+    msgH: null,
+    hideH: null,
+
+    start() {
+      if (this.ch || this.msgH || !S.bridgeOn) return;
+      if (typeof BroadcastChannel === 'function') {
+        this.ch = new BroadcastChannel(BRIDGE.channel);
+        this.ch.onmessage = (e) => this.receive(e.data, null);
+      }
+      // postMessage принимаем только от открывшего или встроившего окна разрешённого сайта
+      this.msgH = (e) => {
+        if (!e.source || e.source === window || (e.source !== window.opener && e.source !== window.parent)) return;
+        if (!this.trusted(e.origin)) return;
+        this.receive(e.data, e);
+      };
+      window.addEventListener('message', this.msgH);
+      this.hideH = () => this.post({ kind: 'bye' });
+      window.addEventListener('pagehide', this.hideH);
+      this.offEvents = Events.on('*', (e) => this.post({ kind: 'event', event: bridgeSafe(e) }));
+      this.timer = setInterval(() => this.tick(), BRIDGE.statusMs);
+      this.announce();
+    },
+
+    stop() {
+      if (!this.ch && !this.msgH) return;
+      this.post({ kind: 'bye' });
+      clearInterval(this.timer);
+      this.timer = null;
+      this.offEvents?.();
+      this.offEvents = null;
+      window.removeEventListener('message', this.msgH);
+      window.removeEventListener('pagehide', this.hideH);
+      this.msgH = this.hideH = null;
+      try { this.ch?.close(); } catch {}
+      this.ch = null;
+      this.windows.clear();
+      this.peers.clear();
+      this.render();
+    },
+
+    // Свой сайт или из списка «Пульт с другого сайта»; 'null' (file:, sandbox) — никогда: ответить ему можно только на '*'
+    trusted(origin) {
+      if (!origin || origin === 'null') return false;
+      return origin === location.origin || S.bridgeOrigins.includes(origin);
+    },
+
+    // Список разрешённых сайтов сузили — замолкаем для тех, кто в него больше не входит
+    forget() {
+      for (const [win, origin] of this.windows) {
+        if (!this.trusted(origin)) this.windows.delete(win);
+      }
+    },
+
+    info() {
+      return { id: this.id, ns: NS, host: location.hostname, url: location.href, title: document.title };
+    },
+
+    announce() {
+      this.post({ kind: 'hello', info: this.info() });
+      this.post({ kind: 'status', status: bridgeSafe(debugState()) });
+    },
+
+    tick() {
+      this.post({ kind: 'status', status: bridgeSafe(debugState()) });
+      // экземпляр молчит дольше BRIDGE.staleMs — вкладку закрыли без bye
+      const now = Date.now();
+      let changed = false;
+      for (const [id, p] of this.peers) {
+        if (now - p.seen > BRIDGE.staleMs) { this.peers.delete(id); changed = true; }
+      }
+      if (changed) this.render();
+    },
+
+    post(msg) {
+      const m = { mw: BRIDGE.proto, from: this.id, ts: Date.now(), ...msg };
+      try { this.ch?.postMessage(m); } catch (err) { console.warn('[MotionWatch] мост: не удалось отправить', err); }
+      for (const [win, origin] of this.windows) {
+        try { win.postMessage(m, origin); } catch { this.windows.delete(win); }
+      }
+    },
+
+    receive(m, e) {
+      if (!m || m.mw !== BRIDGE.proto || m.from === this.id) return;
+      if (e) this.windows.set(e.source, e.origin);
+
+      if (m.kind === 'hello' || m.kind === 'status') {
+        const p = this.peers.get(m.from) || { id: m.from, info: null, status: null, seen: 0 };
+        if (m.kind === 'hello') p.info = m.info;
+        else p.status = m.status;
+        p.seen = Date.now();
+        this.peers.set(m.from, p);
+        this.render();
+        return;
+      }
+      if (m.kind === 'bye') {
+        if (this.peers.delete(m.from)) this.render();
+        return;
+      }
+      if (m.kind === 'discover') {
+        this.announce();
+        return;
+      }
+      if (m.kind === 'cmd' && (m.to === this.id || m.to === NS || m.to === '*')) this.command(m);
+    },
+
+    command(m) {
+      const ack = { kind: 'ack', to: m.from, reqId: m.reqId ?? null, cmd: m.cmd, ok: true };
+      try {
+        const fn = BRIDGE_COMMANDS[m.cmd];
+        if (!fn) throw new Error(`неизвестная команда "${m.cmd}"`);
+        fn(m.value);
+      } catch (err) {
+        ack.ok = false;
+        ack.error = err?.message || String(err);
+      }
+      this.post(ack);
+      this.post({ kind: 'status', status: bridgeSafe(debugState()) });
+    },
+
+    // Список других экземпляров в карточке «Другие вкладки»
+    render() {
+      const list = UI.bridgeList;
+      list.textContent = '';
+      for (const p of this.peers.values()) {
+        const st = p.status;
+        const state = !st ? '…' : st.blocked ? 'блокировка' : !st.enabled ? 'выкл'
+          : st.alarm ? 'ТРЕВОГА' : st.outOfSchedule ? 'вне расписания' : 'на охране';
+        const row = createEl('div', {
+          padding: '3px 6px',
+          borderRadius: '8px',
+          background: st?.alarm ? 'rgba(255,60,60,.25)' : 'rgba(0,0,0,.18)',
+          border: '1px solid rgba(255,255,255,.10)',
+          overflow: 'hidden',
+          textOverflow: 'ellipsis',
+          whiteSpace: 'nowrap',
+        }, `${state} • ${p.info?.title || p.info?.host || p.id}`);
+        row.title = `${p.id}\n${p.info?.url || ''}${st ? `\nΔ=${st.dFiltered.toFixed(2)} • порог ${st.thr.toFixed(2)} • ${st.status}` : ''}`;
+        list.appendChild(row);
+      }
+      // статус от каждого экземпляра приходит раз в секунду — перерисовываем только эту карточку, а не всю панель
+      UI.bridgeRight.textContent = this.label();
+    },
+
+    label() {
+      return !S.bridgeOn ? 'выкл' : `других вкладок: ${this.peers.size}`;
+    },
+  };
+
+  // Чужие сайты для postMessage: строка из поля (адреса через пробел, запятую или с новой строки)
+  function applyBridgeOrigins(text, statusMsg) {
+    const tokens = String(text ?? '').split(/[\s,]+/).filter(Boolean);
+    const bad = tokens.find(t => !toOrigin(t));
+    if (bad) {
+      S.status = `пульт: «${bad}» — не адрес http(s)`;
+      UI.bridgeOrigins.value = S.bridgeOrigins.join(' ');
+      refreshUI(true);
+      return;
+    }
+    S.bridgeOrigins = sanitizeBridgeOrigins(tokens);
+    setLSJSON(LS_KEYS.bridgeOrigins, S.bridgeOrigins);
+    UI.bridgeOrigins.value = S.bridgeOrigins.join(' ');
+    Bridge.forget();
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
+  function applyBridge(val, statusMsg) {
+    S.bridgeOn = !!val;
+    localStorage.setItem(LS_KEYS.bridge, S.bridgeOn ? '1' : '0');
+    if (S.bridgeOn) Bridge.start();
+    else Bridge.stop();
+    if (statusMsg) S.status = statusMsg;
+    refreshUI(true);
+  }
+
   // =========================
   // PUBLIC API
   // =========================
+  // Снимок состояния: debug() и статус для других вкладок
+  function debugState() {
+    return {
+      enabled: S.enabled,
+      outOfSchedule: S.schedOut,
+      blocked: S.blocked,
+      capture: Capture.mode, // захват вкладки: crop | rect, '' — не идёт
+      engine: { ...S.engine },
+      calibrating: S.calibrating,
+      alarm: S.alarm,
+      alarmMode: S.alarmMode,
+      volume: S.volume,
+      audioUnlocked: Audio.unlocked,
+      thr: S.thr,
+      opacity: S.opacity,
+      minimized: S.minimized,
+      manualVideo: !!S.manualVideo,
+      zones: S.zones,
+      alarmZones: describeZones(S.alarmZones),
+      d: S.d, dPrev: S.dPrev, dRef: S.dRef, dFiltered: S.dFiltered,
+      video: S.video,
+      channel: S.chan,
+      // остальные отслеживаемые видео (режим «несколько видео»)
+      channels: Channels.list.map(ch => ({
+        channel: ch.s.chan,
+        video: ch.s.video,
+        blocked: ch.blocked,
+        outOfSchedule: ch.s.schedOut,
+        alarm: ch.s.alarm,
+        alarmZones: Channels.run(ch, () => describeZones(S.alarmZones)),
+        thr: ch.s.thr,
+        dFiltered: ch.s.dFiltered,
+        status: ch.s.status,
+      })),
+      status: S.status,
+      pos: S.pos,
+      snapshots: Snapshots.items.length,
+      clips: Recorder.clips.length,
+      recording: Recorder.statusLabel(),
+      archive: { ...S.archive, items: Archive.items.length, bytes: Archive.bytes(), persistent: Archive.persistent },
+      loader: LOADER,
+      autoStart: S.autoStart,
+    };
+  }
+
   window.__videoMotionWatch = {
+    // id экземпляра для команд из других вкладок: `${NS}#${tabId}`
+    id: Bridge.id,
+    // Подписка на событие: on('alarm:start', (e) => …). Возвращает функцию отписки.
+    on(type, handler) {
+      return Events.on(type, handler);
+    },
+    // Отписка: off(type, handler) / off(type) / off()
+    off(type, handler) {
+      Events.off(type, handler);
+    },
+    // Источник кадров вручную: <video>, <canvas>, <img> или ImageBitmap (новый кадр — снова setSource(bitmap));
+    // null — вернуться к автовыбору. false — такой источник не поддерживается.
+    setSource(src) {
+      if (typeof ImageBitmap === 'function' && src instanceof ImageBitmap) {
+        BitmapFeed.bitmap = src;
+        if (S.video === BitmapFeed) return true; // очередной кадр того же потока
+        src = BitmapFeed;
+      } else if (src != null && !(src instanceof HTMLVideoElement || src instanceof HTMLCanvasElement || src instanceof HTMLImageElement)) {
+        return false;
+      } else {
+        BitmapFeed.bitmap = null;
+      }
+
+      if (S.picking) stopPicking();
+      if (S.drawingZone) stopZoneDraw();
+      if (S.editingZones) stopZoneEdit();
+
+      S.manualVideo = src || null;
+      if (src) Sources.pick(src);
+      S.video = resolveVideo();
+      resetTrackingState();
+      clearAlarm();
+      syncVideoBinding();
+      S.status = src ? 'источник задан через API' : 'возврат к авто-выбору';
+      refreshUI(true);
+      restartLoop();
+      return true;
+    },
+    // Параметры движка (см. ENGINE): configure({ sampleW: 320, sampleH: 180, useMedian: false }).
+    // Вне диапазона — прижимается к границе; неизвестное поле или не число — исключение, ничего не меняется.
+    // Возвращает действующие параметры; configure() без аргумента — только прочитать их.
+    configure(partial) {
+      if (partial === undefined) return { ...S.engine };
+      if (!partial || typeof partial !== 'object' || Array.isArray(partial)) throw new Error('configure: нужен объект параметров');
+      for (const [key, v] of Object.entries(partial)) {
+        if (key === 'useMedian') {
+          if (typeof v !== 'boolean') throw new Error('configure: useMedian — true или false');
+        } else if (!Object.keys(ENGINE).includes(key)) {
+          throw new Error(`configure: неизвестный параметр «${key}» (есть: ${[...Object.keys(ENGINE), 'useMedian'].join(', ')})`);
+        } else if (!isFiniteNum(v)) {
+          throw new Error(`configure: ${key} должен быть числом`);
+        }
+      }
+      applyEngine(partial, 'параметры движка изменены через API');
+      return { ...S.engine };
+    },
     destroy() {
       S.stop = true;
       if (S.mo) S.mo.disconnect();
 
       if (S.picking) stopPicking();
       if (S.drawingZone) stopZoneDraw();
+      if (S.editingZones) stopZoneEdit();
 
       window.removeEventListener('resize', S.onViewportChange);
       window.removeEventListener('scroll', S.onViewportChange, true);
@@ -2197,37 +8774,34 @@
       try { if (S.headerDblH) UI.header.removeEventListener('dblclick', S.headerDblH); } catch {}
 
       clearAlarm();
+      Capture.destroy();
+      Channels.destroy();
+      Bridge.stop(); // до Events.destroy: bye и отписка от событий
       Audio.destroy();
+      Notifier.destroy();
+      Webhook.destroy();
+      Events.destroy();
+      Snapshots.destroy();
+      Recorder.destroy();
+      Heatmap.destroy();
+      Archive.destroy();
+      Journal.destroy(); // после Archive: закрывает базу, дождавшись записей обоих
 
       UI.overlay.remove();
       UI.activeBox.remove();
       UI.zonesLayer.remove();
+      UI.blobLayer.remove();
       UI.drawBox.remove();
+      UI.drawSvg.remove();
       UI.pickBox.remove();
+      UI.zoneMenu.remove();
       UI.panel.remove();
       UI.mini.remove();
 
       delete window.__videoMotionWatch;
     },
     debug() {
-      return {
-        enabled: S.enabled,
-        blocked: S.blocked,
-        calibrating: S.calibrating,
-        alarm: S.alarm,
-        alarmMode: S.alarmMode,
-        volume: S.volume,
-        audioUnlocked: Audio.unlocked,
-        thr: S.thr,
-        opacity: S.opacity,
-        minimized: S.minimized,
-        manualVideo: !!S.manualVideo,
-        zones: S.zones,
-        d: S.d, dPrev: S.dPrev, dRef: S.dRef,
-        video: S.video,
-        status: S.status,
-        pos: S.pos,
-      };
+      return debugState();
     }
   };
 
@@ -2241,13 +8815,25 @@
   applyMinimized(S.minimized);
 
   S.zones = sanitizeZones(S.zones);
-  setLSJSON(LS_KEYS.zones, S.zones);
+  S.ignoreMask = buildIgnoreMask(S.zones);
+  setLSJSON(chanLSKey(LS_KEYS.zones), serializeZones(S.zones));
+  renderZoneList();
+  renderSchedule();
+  fillHookFields();
+  UI.bridgeOrigins.value = S.bridgeOrigins.join(' ');
+  Profiles.render();
+  Journal.onPower(S.enabled, LOADER === 'userscript' ? 'автозапуск (userscript)' : 'запуск скрипта');
+  Journal.start();
+  Archive.start();
+  updateSchedule();
+  startArming();
 
   enableDragUI();
 
   refreshUI(true);
   bindOrWait();
   updateZonesBoxes();
+  Bridge.start();
 
   console.log('✅ MotionWatch v21: sticky header + draggable panel/mini + dblclick reset.');
 })();
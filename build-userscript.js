@@ -0,0 +1,108 @@
+/**
+ * build-userscript.js - Сборка MotionWatch в userscript и закладку (bookmarklet)
+ *
+ * Чтобы не вставлять MotionWatch.js в консоль после каждой перезагрузки страницы:
+ * - dist/MotionWatch.user.js — userscript для Tampermonkey / Violentmonkey: тот же код MotionWatch.js
+ *   с заголовком ==UserScript== и правилами @match. Запускается сам при загрузке подходящей страницы,
+ *   но панель поднимает только там, где в карточке «Охрана и подтверждение» включён «Автозапуск».
+ * - dist/bookmarklet.txt — адрес закладки: по клику загружает MotionWatch.js с указанного адреса (--url).
+ *
+ * Запуск (нужен только Node.js, зависимостей нет):
+ *   node build-userscript.js --match "https://cams.example.com/*" [--match "…"] [--url "https://…/MotionWatch.js"] [--out dist]
+ *
+ * --match — страницы, на которых срабатывает userscript (синтаксис @match), можно несколько раз; обязателен
+ * --url   — откуда закладка грузит MotionWatch.js (https, отдаётся как JavaScript); без него закладка не собирается
+ * --out   — папка для результата (по умолчанию dist рядом с этим файлом)
+ *
+ * После изменения MotionWatch.js сборку нужно повторить и заново установить userscript.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const SRC = path.join(__dirname, 'MotionWatch.js');
+
+// Разбор аргументов: --match можно повторять, остальные — по одному значению
+function parseArgs(argv) {
+  const opts = { match: [], url: '', out: path.join(__dirname, 'dist'), help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      opts.help = true;
+      continue;
+    }
+    if (!['--match', '--url', '--out'].includes(arg)) throw new Error(`неизвестный аргумент: ${arg}`);
+    const value = argv[++i];
+    if (!value || value.startsWith('--')) throw new Error(`после ${arg} нужно значение`);
+    if (arg === '--match') opts.match.push(value);
+    else if (arg === '--url') opts.url = value;
+    else opts.out = path.resolve(value);
+  }
+  return opts;
+}
+
+// Заголовок userscript. @grant none — код выполняется в самой странице (нужны её window и localStorage),
+// @inject-into page — то же для Violentmonkey. @noframes — одна панель на вкладку, не по одной на каждый iframe
+function userscriptHeader(version, match) {
+  const lines = [
+    ['@name', 'MotionWatch'],
+    ['@namespace', 'workhack'],
+    ['@version', version],
+    ['@description', 'Детектор движения в видео (MotionWatch.js), автозапуск при загрузке страницы'],
+    ['@author', 'Nikolay D'],
+    ...match.map(m => ['@match', m]),
+    ['@grant', 'none'],
+    ['@inject-into', 'page'],
+    ['@run-at', 'document-idle'],
+    ['@noframes', ''],
+  ];
+  return [
+    '// ==UserScript==',
+    ...lines.map(([key, value]) => `// ${key.padEnd(13)}${value}`.trimEnd()),
+    '// ==/UserScript==',
+  ].join('\n');
+}
+
+// Закладка: метка загрузчика и <script> с адресом MotionWatch.js (параметр ?t= — чтобы не взять старую копию из кэша)
+function bookmarklet(url) {
+  const sep = url.includes('?') ? '&' : '?';
+  const code = `(()=>{window.__videoMotionWatchLoader='bookmarklet';`
+    + `const s=document.createElement('script');s.src=${JSON.stringify(url + sep + 't=')}+Date.now();`
+    + `s.onerror=()=>alert('MotionWatch: не удалось загрузить '+s.src);`
+    + `document.documentElement.appendChild(s);})()`;
+  return `javascript:${encodeURI(code)}`;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    console.log('node build-userscript.js --match "https://site/*" [--match …] [--url "https://…/MotionWatch.js"] [--out dist]');
+    return;
+  }
+  if (!opts.match.length) throw new Error('укажите хотя бы одно правило --match, например --match "https://cams.example.com/*"');
+  if (opts.url && !/^https?:\/\//i.test(opts.url)) throw new Error('--url должен начинаться с http:// или https://');
+
+  const source = fs.readFileSync(SRC, 'utf8');
+  const version = source.match(/@version\s+(\S+)/)?.[1] || '0';
+
+  fs.mkdirSync(opts.out, { recursive: true });
+
+  const userscript = `${userscriptHeader(version, opts.match)}\n\nwindow.__videoMotionWatchLoader = 'userscript';\n\n${source}`;
+  const userscriptPath = path.join(opts.out, 'MotionWatch.user.js');
+  fs.writeFileSync(userscriptPath, userscript);
+  console.log(`✅ ${userscriptPath} (v${version}, @match: ${opts.match.join(', ')})`);
+
+  if (opts.url) {
+    const bookmarkletPath = path.join(opts.out, 'bookmarklet.txt');
+    fs.writeFileSync(bookmarkletPath, `${bookmarklet(opts.url)}\n`);
+    console.log(`✅ ${bookmarkletPath} (загружает ${opts.url})`);
+  } else {
+    console.log('ℹ️ закладка не собрана: укажите --url, откуда её загружать');
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+}